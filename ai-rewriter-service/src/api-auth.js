@@ -0,0 +1,211 @@
+/**
+ * API Key Authentication
+ *
+ * Every route except /health needs an API key, sent as
+ * `Authorization: Bearer <key>` or `X-API-Key: <key>`. Keys are never read
+ * from the query string, where they would end up in request logs. Keys come
+ * from API_KEYS:
+ *
+ *   API_KEYS=dashboard:k3y-one:30:20,ops:k3y-two
+ *            name:key[:requests per minute[:rewrites per day]]
+ *
+ * Each key has a per-minute rate limit over all requests and a daily quota
+ * (UTC days) over routes marked `config: { quota: true }` - the ones that
+ * spend SerpAPI and LLM credit. The hook only turns away keys whose quota
+ * is already used up; the route charges it with consumeQuota() once a job
+ * is actually queued, so rejected requests (400, 402) cost nothing. Quota
+ * usage is mirrored to a JSON file so a restart does not hand out a fresh
+ * allowance.
+ *
+ * Failures answer 401 (missing/unknown key) or 429 (rate limit or quota,
+ * with Retry-After) in the usual { success: false, error } shape.
+ */
+
+import fs from 'node:fs';
+import crypto from 'node:crypto';
+import { dataPath } from './data-dir.js';
+import { envNumber, parseNumber } from './env.js';
+
+const WINDOW_MS = 60 * 1000;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const utcDay = (time) => new Date(time).toISOString().slice(0, 10);
+
+/**
+ * Read API key settings from the environment
+ *
+ * @returns {Object} { keys: [{ name, key, perMinute, perDay }], usageFile }
+ */
+export function apiAuthOptionsFromEnv() {
+  const perMinute = envNumber('API_RATE_LIMIT_PER_MINUTE', 60, { min: 1, integer: true });
+  const perDay = envNumber('API_DAILY_QUOTA', 100, { min: 1, integer: true });
+
+  const keys = (process.env.API_KEYS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [name, key, minute, day] = entry.split(':').map(part => part.trim());
+      if (!name || !key) {
+        throw new Error(`Invalid API_KEYS entry "${name || entry}": expected name:key[:perMinute[:perDay]]`);
+      }
+      return {
+        name,
+        key,
+        perMinute: parseNumber(`API_KEYS requests per minute for "${name}"`, minute, perMinute, { min: 1, integer: true }),
+        perDay: parseNumber(`API_KEYS rewrites per day for "${name}"`, day, perDay, { min: 1, integer: true }),
+      };
+    });
+
+  return { keys, usageFile: process.env.API_USAGE_PATH || dataPath('api-usage.json') };
+}
+
+/**
+ * Create a file-backed daily quota counter
+ *
+ * @param {string|null} filePath - JSON file, or null to keep counts in memory only
+ * @returns {Object} { used(name, day), increment(name, day) }
+ */
+function createQuotaStore(filePath) {
+  let state = { day: null, counts: {} };
+
+  if (filePath && fs.existsSync(filePath)) {
+    try {
+      state = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      console.error(`Could not read API usage ${filePath}: ${error.message}`);
+    }
+  }
+
+  const rollOver = (day) => {
+    if (state.day !== day) state = { day, counts: {} };
+  };
+
+  return {
+    used(name, day) {
+      rollOver(day);
+      return state.counts[name] || 0;
+    },
+
+    increment(name, day) {
+      rollOver(day);
+      state.counts[name] = (state.counts[name] || 0) + 1;
+      if (filePath) {
+        const tmpPath = `${filePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(state, null, 2));
+        fs.renameSync(tmpPath, filePath);
+      }
+    },
+  };
+}
+
+/**
+ * Create the authentication hook
+ *
+ * @param {Object} options - { keys, usageFile, now } (see apiAuthOptionsFromEnv; `now` for testing)
+ * @returns {Object} { onRequest, consumeQuota, keyCount }
+ */
+export function createApiAuth({ keys = [], usageFile = null, now = Date.now } = {}) {
+  // Look keys up by hash, so checking a key never compares secrets character by character
+  const byHash = new Map(keys.map(entry => [hashKey(entry.key), entry]));
+  const byName = new Map(keys.map(entry => [entry.name, entry]));
+  const windows = new Map();
+  const quota = createQuotaStore(usageFile);
+
+  const readKey = (request) => {
+    const header = request.headers.authorization || '';
+    if (header.toLowerCase().startsWith('bearer ')) return header.slice(7).trim();
+    return request.headers['x-api-key'] || null;
+  };
+
+  const deny = (reply, status, error) => {
+    reply.code(status).send({ success: false, error });
+    return reply;
+  };
+
+  // Quota headers for a key; returns the 429 message when nothing is left
+  const checkQuota = (entry, reply, time) => {
+    const day = utcDay(time);
+    const used = quota.used(entry.name, day);
+    reply.header('X-Quota-Limit', entry.perDay);
+    reply.header('X-Quota-Remaining', Math.max(0, entry.perDay - used));
+
+    if (used < entry.perDay) return null;
+    const midnight = Date.parse(`${day}T00:00:00Z`) + 24 * 60 * 60 * 1000;
+    reply.header('Retry-After', Math.ceil((midnight - time) / 1000));
+    return `Daily quota exceeded: ${entry.perDay} rewrite requests per day`;
+  };
+
+  /**
+   * Fastify onRequest hook
+   */
+  const onRequest = async (request, reply) => {
+    if (request.method === 'OPTIONS' || request.routeOptions.url === '/health') return;
+
+    const key = readKey(request);
+    if (!key) {
+      reply.header('WWW-Authenticate', 'Bearer');
+      return deny(reply, 401, byHash.size === 0
+        ? 'API authentication is not configured; set API_KEYS on the AI Rewriter service'
+        : 'Missing API key');
+    }
+
+    const entry = byHash.get(hashKey(key));
+    if (!entry) {
+      reply.header('WWW-Authenticate', 'Bearer error="invalid_token"');
+      return deny(reply, 401, 'Invalid API key');
+    }
+    request.apiKey = entry.name;
+
+    // Fixed one-minute window per key
+    const time = now();
+    let window = windows.get(entry.name);
+    if (!window || time - window.start >= WINDOW_MS) {
+      window = { start: time, count: 0 };
+      windows.set(entry.name, window);
+    }
+    const resetSeconds = Math.ceil((window.start + WINDOW_MS - time) / 1000);
+    reply.header('X-RateLimit-Limit', entry.perMinute);
+    reply.header('X-RateLimit-Reset', resetSeconds);
+
+    if (window.count >= entry.perMinute) {
+      reply.header('X-RateLimit-Remaining', 0);
+      reply.header('Retry-After', resetSeconds);
+      return deny(reply, 429, `Rate limit exceeded: ${entry.perMinute} requests per minute`);
+    }
+    window.count += 1;
+    reply.header('X-RateLimit-Remaining', entry.perMinute - window.count);
+
+    if (!request.routeOptions.config?.quota) return;
+
+    const exceeded = checkQuota(entry, reply, time);
+    if (exceeded) return deny(reply, 429, exceeded);
+  };
+
+  /**
+   * Charge one request against the caller's daily quota
+   *
+   * Call it right before queueing the job. Checks again, since concurrent
+   * requests may have used up the quota after onRequest let this one in.
+   *
+   * @param {Object} request - Fastify request (authenticated by onRequest)
+   * @param {Object} reply - Fastify reply; quota headers are set on it
+   * @returns {string|null} 429 error message, or null when charged
+   */
+  const consumeQuota = (request, reply) => {
+    const entry = byName.get(request.apiKey);
+    if (!entry) return null;
+
+    const time = now();
+    const exceeded = checkQuota(entry, reply, time);
+    if (exceeded) return exceeded;
+
+    const day = utcDay(time);
+    quota.increment(entry.name, day);
+    reply.header('X-Quota-Remaining', entry.perDay - quota.used(entry.name, day));
+    return null;
+  };
+
+  return { onRequest, consumeQuota, keyCount: byHash.size };
+}
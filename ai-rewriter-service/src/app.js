@@ -0,0 +1,74 @@
+/**
+ * Fastify application factory
+ *
+ * Builds the HTTP app without starting it, so it can be reused by the
+ * server entry point and exercised with fastify.inject().
+ */
+
+import Fastify from 'fastify';
+import cors from '@fastify/cors';
+import { getCircuitStates } from './llm/index.js';
+import { apiAuthOptionsFromEnv, createApiAuth } from './api-auth.js';
+import rewriteRoutes from './routes/rewrite.js';
+import jobRoutes from './routes/jobs.js';
+import jobEventRoutes from './routes/job-events.js';
+import scheduleRoutes from './routes/schedule.js';
+import statsRoutes from './routes/stats.js';
+import { getUsageLedger } from './usage/index.js';
+
+/**
+ * Origins allowed to call the API from a browser
+ *
+ * CORS_ORIGINS is a comma-separated list; "*" allows any origin.
+ *
+ * @returns {Array<string>|boolean} Value for @fastify/cors `origin`
+ */
+export function corsOriginsFromEnv() {
+  const list = (process.env.CORS_ORIGINS || 'http://localhost:5173')
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean);
+  return list.includes('*') ? true : list;
+}
+
+/**
+ * Build the Fastify app
+ *
+ * @param {Object} options - { queue, scheduler, logger, auth, usageLedger } - `auth` defaults to
+ *   createApiAuth(apiAuthOptionsFromEnv()) and `usageLedger` to the shared ledger; pass your own to test
+ * @returns {Object} Fastify instance
+ */
+export function buildApp({
+  queue,
+  scheduler,
+  logger = true,
+  auth = createApiAuth(apiAuthOptionsFromEnv()),
+  usageLedger = getUsageLedger(),
+}) {
+  const fastify = Fastify({ logger });
+
+  fastify.register(cors, { origin: corsOriginsFromEnv() });
+
+  // API keys, rate limits and daily quotas for everything but /health.
+  // Added after CORS so 401/429 responses still carry CORS headers for the dashboard.
+  fastify.decorateRequest('apiKey', null);
+  fastify.after(() => {
+    fastify.addHook('onRequest', auth.onRequest);
+  });
+  if (auth.keyCount === 0) {
+    fastify.log.warn('API_KEYS is empty: every request except /health will be rejected');
+  }
+
+  // Health check endpoint
+  fastify.get('/health', async (request, reply) => {
+    return { status: 'ok', service: 'ai-rewriter-service', llmCircuits: getCircuitStates() };
+  });
+
+  fastify.register(rewriteRoutes, { queue, ledger: usageLedger, auth });
+  fastify.register(jobRoutes, { queue });
+  fastify.register(jobEventRoutes, { queue });
+  fastify.register(scheduleRoutes, { scheduler });
+  fastify.register(statsRoutes, { ledger: usageLedger });
+
+  return fastify;
+}
@@ -0,0 +1,201 @@
+/**
+ * Article Service Client
+ *
+ * Thin wrapper around the Article Service REST API (Laravel).
+ * The Article Service owns the database; this service only reads originals
+ * and publishes rewritten versions.
+ *
+ * Public reads are plain requests. Writes, and reads that include drafts
+ * (review_status=all), are HMAC-signed with the shared secret the Article
+ * Service knows this client by (see AuthenticateService there):
+ *
+ *   X-Client-Id:  ai-rewriter
+ *   X-Timestamp:  unix seconds (rejected when more than 5 minutes off)
+ *   X-Nonce:      random, single use
+ *   X-Signature:  hex HMAC-SHA256 of "METHOD\npath\ntimestamp\nnonce\nsha256(body)"
+ */
+
+import axios from 'axios';
+import { createHash, createHmac, randomUUID } from 'node:crypto';
+
+const baseUrl = () => process.env.ARTICLE_SERVICE_BASE_URL || 'http://localhost:8000';
+
+/**
+ * Read this service's Article Service credentials from the environment
+ *
+ * @returns {Object} { clientId, secret } - secret is undefined when not configured
+ */
+export function serviceCredentialsFromEnv() {
+  return {
+    clientId: process.env.ARTICLE_SERVICE_CLIENT_ID || 'ai-rewriter',
+    secret: process.env.ARTICLE_SERVICE_SECRET || undefined,
+  };
+}
+
+/**
+ * Throw unless credentials for signed writes are configured
+ *
+ * Called before a rewrite starts, so a missing secret fails the job before
+ * any search or LLM quota is spent on a result that could not be published.
+ */
+export function assertCanPublish() {
+  if (!serviceCredentialsFromEnv().secret) {
+    throw new Error('ARTICLE_SERVICE_SECRET is not set; the Article Service rejects unsigned writes');
+  }
+}
+
+/**
+ * Build the signature headers for a request
+ *
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path as routed by the Article Service (e.g. /api/articles)
+ * @param {string} body - Exact request body that will be sent
+ * @param {Object} credentials - { clientId, secret }
+ * @param {Object} options - { timestamp, nonce } (overridable for testing)
+ * @returns {Object} Headers
+ */
+export function signRequest(method, path, body, { clientId, secret }, options = {}) {
+  const timestamp = String(options.timestamp ?? Math.floor(Date.now() / 1000));
+  const nonce = options.nonce ?? randomUUID();
+  const bodyHash = createHash('sha256').update(body).digest('hex');
+  const payload = [method.toUpperCase(), path, timestamp, nonce, bodyHash].join('\n');
+
+  return {
+    'X-Client-Id': clientId,
+    'X-Timestamp': timestamp,
+    'X-Nonce': nonce,
+    'X-Signature': createHmac('sha256', secret).update(payload).digest('hex'),
+  };
+}
+
+/**
+ * Explain an authentication failure from the Article Service
+ *
+ * @param {Object} error - axios error
+ * @returns {string|null} Message, or null when it was not an auth failure
+ */
+function authFailure(error) {
+  const status = error.response?.status;
+  if (status !== 401 && status !== 403) return null;
+
+  const reason = error.response.data?.message || (status === 401 ? 'Unauthenticated' : 'Forbidden');
+  return `Article Service rejected the request (${status} ${reason}); check that ARTICLE_SERVICE_CLIENT_ID / `
+    + 'ARTICLE_SERVICE_SECRET match SERVICE_CLIENTS there and that both clocks are in sync';
+}
+
+/**
+ * Send a signed request to the Article Service
+ *
+ * The query string is not signed; the Article Service signs the path only.
+ *
+ * @param {string} method - get | post | put | delete
+ * @param {string} path - API path (e.g. /api/articles)
+ * @param {Object} data - JSON body (undefined for none)
+ * @param {Object} config - Extra axios config (e.g. { params })
+ * @returns {Promise<Object>} axios response
+ */
+async function signedRequest(method, path, data, config = {}) {
+  assertCanPublish();
+
+  // Sign the exact bytes that go over the wire
+  const body = data === undefined ? '' : JSON.stringify(data);
+  return axios.request({
+    ...config,
+    method,
+    url: `${baseUrl()}${path}`,
+    data: body,
+    // Stop axios re-serializing the already-encoded body
+    transformRequest: [(value) => value],
+    headers: {
+      'Content-Type': 'application/json',
+      Accept: 'application/json',
+      ...signRequest(method, path, body, serviceCredentialsFromEnv()),
+    },
+  });
+}
+
+/**
+ * Fetch the latest unrewritten article from Article Service
+ *
+ * @returns {Promise<Object|null>} Article response ({ data }) or null if none left
+ */
+export async function fetchLatestArticle() {
+  try {
+    const response = await axios.get(`${baseUrl()}/api/articles/latest`);
+    return response.data;
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return null;
+    }
+    throw new Error(`Failed to fetch latest article: ${error.message}`);
+  }
+}
+
+/**
+ * Fetch a single article by ID
+ *
+ * The response includes `parent` and `rewritten_versions`. Drafts and
+ * rejected rewrites are included (`review_status=all`, a signed read),
+ * unlike the public API.
+ *
+ * @param {number|string} id - Article ID
+ * @returns {Promise<Object|null>} Article data or null if it does not exist
+ */
+export async function fetchArticle(id) {
+  try {
+    const response = await signedRequest('get', `/api/articles/${encodeURIComponent(id)}`, undefined, {
+      params: { review_status: 'all' },
+    });
+    return response.data.data;
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return null;
+    }
+    throw new Error(`Failed to fetch article ${id}: ${authFailure(error) || error.message}`);
+  }
+}
+
+/**
+ * Fetch every unrewritten original article, newest first
+ *
+ * Walks the paginated /api/articles endpoint until all pages are read
+ * or `limit` articles have been collected.
+ *
+ * @param {Object} options - { limit, perPage }
+ * @returns {Promise<Array>} Article data objects
+ */
+export async function fetchUnrewrittenArticles({ limit = Infinity, perPage = 50 } = {}) {
+  const articles = [];
+  let page = 1;
+  let lastPage = 1;
+
+  try {
+    do {
+      const response = await axios.get(`${baseUrl()}/api/articles`, {
+        params: { version: 'original', is_rewritten: 0, page, per_page: perPage },
+      });
+      articles.push(...response.data.data);
+      lastPage = response.data.meta?.last_page || 1;
+      page += 1;
+    } while (page <= lastPage && articles.length < limit);
+  } catch (error) {
+    throw new Error(`Failed to fetch unrewritten articles: ${error.message}`);
+  }
+
+  return articles.slice(0, limit);
+}
+
+/**
+ * Publish rewritten article to Article Service
+ *
+ * @param {Object} articleData - Article data to publish
+ * @returns {Promise<Object>} Published article data
+ */
+export async function publishArticle(articleData) {
+  try {
+    const response = await signedRequest('post', '/api/articles', articleData);
+    return response.data;
+  } catch (error) {
+    throw new Error(`Failed to publish article: ${authFailure(error) || error.message}`);
+  }
+}
@@ -0,0 +1,25 @@
+/**
+ * Data Directory
+ *
+ * Local state (job queue, scheduler lock, ...) is kept under DATA_DIR,
+ * which defaults to ai-rewriter-service/data. Mount it as a volume in
+ * Docker so state survives container restarts.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const DEFAULT_DATA_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'data');
+
+/**
+ * Resolve a file path inside the data directory, creating the directory if needed
+ *
+ * @param {string} fileName - File name relative to DATA_DIR
+ * @returns {string} Absolute path
+ */
+export function dataPath(fileName) {
+  const dir = process.env.DATA_DIR ? path.resolve(process.env.DATA_DIR) : DEFAULT_DATA_DIR;
+  fs.mkdirSync(dir, { recursive: true });
+  return path.join(dir, fileName);
+}
@@ -0,0 +1,45 @@
+/**
+ * Environment Options
+ *
+ * Shared parsing for numeric settings. An unset or empty value takes the
+ * default; anything else must be a number within the allowed range, so a
+ * typo fails loudly instead of quietly falling back to the default.
+ */
+
+/**
+ * Parse a numeric setting
+ *
+ * @param {string} label - Setting name used in the error, e.g. "REFERENCE_COUNT"
+ * @param {string|number|undefined} raw - Value to parse
+ * @param {*} fallback - Value when `raw` is unset or empty
+ * @param {Object} options - { min, max, integer }
+ * @returns {number} Parsed value
+ * @throws {Error} When the value is not a number or out of range
+ */
+export function parseNumber(label, raw, fallback, { min = -Infinity, max = Infinity, integer = false } = {}) {
+  if (raw === undefined || raw === null || String(raw).trim() === '') return fallback;
+
+  const value = Number(raw);
+  if (Number.isNaN(value) || value < min || value > max || (integer && !Number.isInteger(value))) {
+    const range = [
+      integer ? 'an integer' : 'a number',
+      min > -Infinity && `>= ${min}`,
+      max < Infinity && `<= ${max}`,
+    ].filter(Boolean).join(' ');
+    throw new Error(`Invalid ${label}: ${raw} (expected ${range})`);
+  }
+  return value;
+}
+
+/**
+ * Read a numeric env var
+ *
+ * @param {string} name - Variable name, e.g. "REFERENCE_COUNT"
+ * @param {*} fallback - Value when the variable is unset or empty
+ * @param {Object} options - { min, max, integer }
+ * @returns {number} Parsed value
+ * @throws {Error} When the value is not a number or out of range
+ */
+export function envNumber(name, fallback, options) {
+  return parseNumber(name, process.env[name], fallback, options);
+}
@@ -0,0 +1,216 @@
+/**
+ * Structured blocks
+ *
+ * Converts the detected content elements into a flat list of typed blocks:
+ *
+ *   { type: 'heading', level: 2, text }
+ *   { type: 'paragraph', text }
+ *   { type: 'list', ordered: false, items: [text, ...] }
+ *   { type: 'quote', text }
+ *   { type: 'code', language, text }
+ *
+ * Block text is inline Markdown: links, bold, italics and inline code are
+ * kept (`[label](https://...)`, `**bold**`), so nothing the reader could see
+ * is thrown away. `blocksToMarkdown` / `blocksToText` render the whole list.
+ */
+
+import { hasBlockChildren, linkDensity } from './readability.js';
+
+const INLINE_SKIP = new Set(['img', 'picture', 'video', 'audio', 'figcaption', 'sup']);
+
+/**
+ * Render an element's inline content as Markdown
+ *
+ * @param {Object} $ - Cheerio document
+ * @param {Object} node - DOM node
+ * @param {string} baseUrl - Used to resolve relative links
+ * @returns {string} Inline Markdown
+ */
+function inline($, node, baseUrl) {
+  if (node.type === 'text') {
+    return node.data.replace(/\s+/g, ' ');
+  }
+  if (node.type !== 'tag' || INLINE_SKIP.has(node.tagName)) {
+    return '';
+  }
+
+  const inner = () => $(node).contents().toArray().map(child => inline($, child, baseUrl)).join('');
+
+  switch (node.tagName) {
+    case 'br':
+      return '\n';
+    case 'a': {
+      const label = inner().trim();
+      const href = resolveUrl(node.attribs?.href, baseUrl);
+      return href && label ? `[${label}](${href})` : label;
+    }
+    case 'strong':
+    case 'b': {
+      const text = inner().trim();
+      return text ? `**${text}**` : '';
+    }
+    case 'em':
+    case 'i': {
+      const text = inner().trim();
+      return text ? `*${text}*` : '';
+    }
+    case 'code':
+      return `\`${$(node).text()}\``;
+    default:
+      return inner();
+  }
+}
+
+function clean(text) {
+  return text
+    .split('\n')
+    .map(line => line.replace(/[ \t]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{2,}/g, '\n')
+    .trim();
+}
+
+function resolveUrl(href, baseUrl) {
+  if (!href || href.startsWith('#') || /^(javascript|mailto|tel):/i.test(href)) return null;
+  try {
+    const url = new URL(href, baseUrl);
+    return /^https?:$/.test(url.protocol) ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+function listBlock($, list, baseUrl) {
+  const items = [];
+  $(list).children('li').each((i, li) => {
+    // Nested lists are flattened after their parent item
+    const nested = $(li).children('ul, ol').toArray();
+    $(nested).remove();
+    const text = clean($(li).contents().toArray().map(child => inline($, child, baseUrl)).join(''));
+    if (text) items.push(text);
+    for (const sublist of nested) {
+      items.push(...listBlock($, sublist, baseUrl).items.map(item => `  ${item}`));
+    }
+  });
+  return { type: 'list', ordered: list.tagName === 'ol', items };
+}
+
+/**
+ * Convert content elements into blocks
+ *
+ * @param {Object} $ - Cheerio document
+ * @param {Array} nodes - Content elements (from findContentNodes)
+ * @param {string} baseUrl - Page URL for resolving links
+ * @returns {Array<Object>} Blocks
+ */
+export function toBlocks($, nodes, baseUrl) {
+  const blocks = [];
+  let buffer = '';
+
+  const flush = () => {
+    const text = clean(buffer);
+    if (text) blocks.push({ type: 'paragraph', text });
+    buffer = '';
+  };
+
+  const walk = (node) => {
+    if (node.type === 'text' || (node.type === 'tag' && !hasBlockChildren($, node) && !isBlock(node))) {
+      buffer += inline($, node, baseUrl);
+      return;
+    }
+    if (node.type !== 'tag') return;
+
+    const tag = node.tagName;
+    if (/^h[1-6]$/.test(tag)) {
+      flush();
+      const text = clean($(node).text());
+      if (text) blocks.push({ type: 'heading', level: Number(tag[1]), text });
+    } else if (tag === 'p') {
+      flush();
+      buffer = inline($, node, baseUrl);
+      flush();
+    } else if (tag === 'ul' || tag === 'ol') {
+      flush();
+      // Link-heavy lists are navigation or "related posts", not content
+      if (linkDensity($, node) > 0.5 && $(node).text().trim().length < 400) return;
+      const list = listBlock($, node, baseUrl);
+      if (list.items.length > 0) blocks.push(list);
+    } else if (tag === 'blockquote') {
+      flush();
+      const text = clean($(node).find('p').length
+        ? $(node).find('p').toArray().map(p => clean(inline($, p, baseUrl))).join('\n')
+        : inline($, node, baseUrl));
+      if (text) blocks.push({ type: 'quote', text });
+    } else if (tag === 'pre') {
+      flush();
+      const code = $(node).find('code').first();
+      const className = `${code.attr('class') || ''} ${$(node).attr('class') || ''}`;
+      const language = className.match(/(?:language|lang)-([\w+#-]+)/)?.[1] || null;
+      const text = $(node).text().replace(/^\n+|\s+$/g, '');
+      if (text) blocks.push({ type: 'code', language, text });
+    } else if (tag === 'table' || tag === 'hr' || tag === 'figure') {
+      flush();
+    } else {
+      // Containers (div, section, article, li outside lists, ...)
+      if (isBlock(node)) flush();
+      $(node).contents().toArray().forEach(walk);
+      if (isBlock(node)) flush();
+    }
+  };
+
+  nodes.forEach(walk);
+  flush();
+  return blocks;
+}
+
+function isBlock(node) {
+  return ['address', 'article', 'blockquote', 'dd', 'div', 'dl', 'dt', 'figure', 'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'main', 'ol', 'p', 'pre', 'section', 'table', 'ul'].includes(node.tagName);
+}
+
+/**
+ * Render blocks as a Markdown document
+ *
+ * @param {Array<Object>} blocks - Blocks
+ * @returns {string} Markdown
+ */
+export function blocksToMarkdown(blocks) {
+  return blocks.map(block => {
+    switch (block.type) {
+      case 'heading':
+        return `${'#'.repeat(block.level)} ${block.text}`;
+      case 'list':
+        return block.items
+          .map((item, i) => {
+            const indent = item.match(/^\s*/)[0];
+            return `${indent}${block.ordered ? `${i + 1}.` : '-'} ${item.trim()}`;
+          })
+          .join('\n');
+      case 'quote':
+        return block.text.split('\n').map(line => `> ${line}`).join('\n');
+      case 'code':
+        return `\`\`\`${block.language || ''}\n${block.text}\n\`\`\``;
+      default:
+        return block.text;
+    }
+  }).join('\n\n');
+}
+
+/**
+ * Render blocks as plain text (inline Markdown stripped)
+ *
+ * @param {Array<Object>} blocks - Blocks
+ * @returns {string} Plain text
+ */
+export function blocksToText(blocks) {
+  const strip = (text) => text
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\*\*([^*]+)\*\*/g, '$1')
+    .replace(/\*([^*]+)\*/g, '$1')
+    .replace(/`([^`]+)`/g, '$1');
+
+  return blocks.map(block => {
+    if (block.type === 'list') return block.items.map(item => strip(item.trim())).join('\n');
+    if (block.type === 'code') return block.text;
+    return strip(block.text);
+  }).join('\n\n');
+}
@@ -0,0 +1,56 @@
+/**
+ * Article Extraction
+ *
+ * Turns a raw HTML page into a structured article:
+ *
+ *   {
+ *     title, author, publishedAt, canonicalUrl, language, siteName,
+ *     blocks: [{ type: 'heading' | 'paragraph' | 'list' | 'quote' | 'code', ... }],
+ *     content,    (blocks rendered as Markdown - what the LLM sees)
+ *     text,       (plain text)
+ *     wordCount,
+ *   }
+ *
+ * Content detection is readability-style scoring (see readability.js),
+ * so it works on sites without well-known CSS class names.
+ */
+
+import * as cheerio from 'cheerio';
+import { readJsonLd, extractMetadata } from './metadata.js';
+import { stripBoilerplate, findContentNodes } from './readability.js';
+import { toBlocks, blocksToMarkdown, blocksToText } from './blocks.js';
+
+export { cleanTitle } from './metadata.js';
+export { blocksToMarkdown, blocksToText } from './blocks.js';
+
+/**
+ * Extract a structured article from HTML
+ *
+ * @param {string} html - Page HTML
+ * @param {string} url - Page URL (used to resolve relative links)
+ * @returns {Object} Extracted article (see module header)
+ */
+export function extractArticle(html, url) {
+  const $ = cheerio.load(html);
+
+  // Metadata first: JSON-LD lives in <script> tags that stripping removes
+  const metadata = extractMetadata($, url, readJsonLd($));
+
+  stripBoilerplate($);
+  const blocks = toBlocks($, findContentNodes($), url);
+
+  // The page title usually repeats as the first heading
+  if (blocks[0]?.type === 'heading' && blocks[0].text === metadata.title) {
+    blocks.shift();
+  }
+
+  const text = blocksToText(blocks);
+
+  return {
+    ...metadata,
+    blocks,
+    content: blocksToMarkdown(blocks),
+    text,
+    wordCount: text.split(/\s+/).filter(Boolean).length,
+  };
+}
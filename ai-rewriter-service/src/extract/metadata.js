@@ -0,0 +1,155 @@
+/**
+ * Article metadata
+ *
+ * Title, author, publish date, canonical URL and language, read from (in
+ * order of trust) explicit article markup, Open Graph / meta tags and
+ * JSON-LD structured data.
+ */
+
+const SITE_NAME_SEPARATORS = [' | ', ' - ', ' – ', ' — ', ' :: ', ' » '];
+const ARTICLE_TYPES = /Article|BlogPosting|NewsArticle|Report|WebPage/;
+
+/**
+ * Parse every JSON-LD block into a flat list of objects
+ *
+ * Must run before boilerplate stripping, which removes <script> tags.
+ *
+ * @param {Object} $ - Cheerio document
+ * @returns {Array<Object>} JSON-LD objects (arrays and @graph flattened)
+ */
+export function readJsonLd($) {
+  const items = [];
+  const collect = (value) => {
+    if (Array.isArray(value)) {
+      value.forEach(collect);
+    } else if (value && typeof value === 'object') {
+      items.push(value);
+      if (value['@graph']) collect(value['@graph']);
+    }
+  };
+
+  $('script[type="application/ld+json"]').each((i, script) => {
+    try {
+      collect(JSON.parse($(script).text()));
+    } catch {
+      // Broken JSON-LD is common; ignore it
+    }
+  });
+
+  return items;
+}
+
+/**
+ * Remove a trailing (or leading) site name from a page title
+ *
+ * Only splits on separators surrounded by spaces, so hyphenated words
+ * ("Step-by-step guide") are left intact.
+ *
+ * @param {string} title - Raw title
+ * @param {string} siteName - og:site_name, if known
+ * @returns {string} Cleaned title
+ */
+export function cleanTitle(title, siteName = '') {
+  let cleaned = normalize(title);
+
+  for (const separator of SITE_NAME_SEPARATORS) {
+    if (!cleaned.includes(separator)) continue;
+    const parts = cleaned.split(separator);
+    const site = normalize(siteName).toLowerCase();
+
+    if (site && parts.at(-1).toLowerCase() === site) {
+      cleaned = parts.slice(0, -1).join(separator);
+    } else if (site && parts[0].toLowerCase() === site) {
+      cleaned = parts.slice(1).join(separator);
+    } else if (parts[0].split(' ').length >= 3) {
+      // "Article title | Site" - keep the first part when it reads like a title
+      cleaned = parts.slice(0, -1).join(separator);
+    }
+    break;
+  }
+
+  return cleaned.trim();
+}
+
+function normalize(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+function meta($, ...names) {
+  for (const name of names) {
+    const value = $(`meta[property="${name}"], meta[name="${name}"], meta[itemprop="${name}"]`).first().attr('content');
+    if (value && value.trim()) return value.trim();
+  }
+  return null;
+}
+
+function toIsoDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function absoluteUrl(href, baseUrl) {
+  try {
+    return href ? new URL(href, baseUrl).href : null;
+  } catch {
+    return null;
+  }
+}
+
+function jsonLdAuthor(article) {
+  const authors = [].concat(article?.author || []);
+  const names = authors
+    .map(author => (typeof author === 'string' ? author : author?.name))
+    .filter(Boolean)
+    .map(normalize);
+  return names.length > 0 ? names.join(', ') : null;
+}
+
+/**
+ * Extract article metadata
+ *
+ * @param {Object} $ - Cheerio document (before boilerplate stripping)
+ * @param {string} url - Page URL
+ * @param {Array<Object>} jsonLd - Parsed JSON-LD objects
+ * @returns {Object} { title, author, publishedAt, canonicalUrl, language, siteName }
+ */
+export function extractMetadata($, url, jsonLd = []) {
+  const article = jsonLd.find(item => ARTICLE_TYPES.test([].concat(item['@type'] || []).join(' ')));
+  const siteName = meta($, 'og:site_name');
+
+  const headingTitle = normalize($('h1.entry-title, h1.post-title, article h1').first().text());
+  const rawTitle = headingTitle
+    || meta($, 'og:title', 'twitter:title')
+    || normalize(article?.headline)
+    || normalize($('h1').first().text())
+    || normalize($('title').first().text());
+
+  const metaAuthor = meta($, 'author', 'article:author', 'parsely-author');
+  const author = (metaAuthor && !/^https?:\/\//.test(metaAuthor) ? metaAuthor : null)
+    || jsonLdAuthor(article)
+    || normalize($('[rel="author"], [itemprop="author"] [itemprop="name"], [itemprop="author"], .author-name, .byline .author, .byline').first().text()).replace(/^by\s+/i, '')
+    || null;
+
+  const publishedAt = toIsoDate(meta($, 'article:published_time', 'datePublished', 'date', 'pubdate', 'publish-date', 'dc.date'))
+    || toIsoDate(article?.datePublished)
+    || toIsoDate($('article time[datetime], time[datetime]').first().attr('datetime'));
+
+  const canonicalUrl = absoluteUrl($('link[rel="canonical"]').attr('href'), url)
+    || absoluteUrl(meta($, 'og:url'), url)
+    || url;
+
+  const language = ($('html').attr('lang')
+    || $('meta[http-equiv="content-language"]').attr('content')
+    || meta($, 'og:locale')
+    || '').trim().replace('_', '-') || null;
+
+  return {
+    title: cleanTitle(rawTitle, siteName) || null,
+    author: author ? author.slice(0, 200) : null,
+    publishedAt,
+    canonicalUrl,
+    language,
+    siteName,
+  };
+}
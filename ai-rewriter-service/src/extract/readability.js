@@ -0,0 +1,126 @@
+/**
+ * Readability-style main content detection
+ *
+ * A simplified take on Arc90/Mozilla Readability:
+ * 1. Strip boilerplate (scripts, nav, footers) and elements whose class/id
+ *    look like sidebars, comments, share bars, ads...
+ * 2. Score every paragraph-like element by length and comma count, and
+ *    credit the score to its ancestors (parent fully, grandparent half, ...)
+ * 3. Penalise candidates by link density; the best-scoring one is the
+ *    article body
+ * 4. Pull in siblings of the winner that score well or look like prose
+ */
+
+const UNLIKELY = /-ad-|ad-break|agegate|banner|breadcrumb|combx|comment|community|cookie|cover-wrap|disqus|extra|footer|gdpr|header|legends|menu|newsletter|pager|pagination|popup|promo|related|remark|replies|rss|share|shoutbox|sidebar|skyscraper|social|sponsor|subscribe|supplemental|yom-remote/i;
+const MAYBE = /and|article|body|column|content|main|shadow/i;
+const POSITIVE = /article|body|content|entry|hentry|h-entry|main|page|post|text|blog|story/i;
+const NEGATIVE = /-ad-|hidden|^hid$| hid$| hid |^hid |banner|combx|comment|com-|contact|foot|footer|footnote|gdpr|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget/i;
+
+const BOILERPLATE = 'script, style, noscript, iframe, form, nav, footer, aside, svg, button, input, select, textarea, [role="navigation"], [role="complementary"], [aria-hidden="true"], .advertisement, .ads';
+const BLOCK_TAGS = new Set(['address', 'article', 'aside', 'blockquote', 'dd', 'div', 'dl', 'dt', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'ul']);
+
+/**
+ * Whether an element contains block-level children
+ */
+export function hasBlockChildren($, element) {
+  return $(element).children().toArray().some(child => BLOCK_TAGS.has(child.tagName));
+}
+
+/**
+ * Share of an element's text that sits inside links (0..1)
+ */
+export function linkDensity($, element) {
+  const textLength = normalize($(element).text()).length;
+  if (textLength === 0) return 0;
+  const linkLength = $(element).find('a').toArray()
+    .reduce((sum, link) => sum + normalize($(link).text()).length, 0);
+  return linkLength / textLength;
+}
+
+function classWeight(element) {
+  const signature = `${element.attribs?.class || ''} ${element.attribs?.id || ''}`;
+  let weight = 0;
+  if (NEGATIVE.test(signature)) weight -= 25;
+  if (POSITIVE.test(signature)) weight += 25;
+  return weight;
+}
+
+function initialScore(element) {
+  const tagScores = { div: 5, article: 10, main: 5, section: 3, pre: 3, td: 3, blockquote: 3, form: -3, ol: -3, ul: -3, dl: -3, li: -3, h1: -5, h2: -5, h3: -5, h4: -5, h5: -5, h6: -5, th: -5 };
+  return (tagScores[element.tagName] || 0) + classWeight(element);
+}
+
+function normalize(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Remove boilerplate and unlikely candidates from the document
+ *
+ * @param {Object} $ - Cheerio document (mutated)
+ */
+export function stripBoilerplate($) {
+  $(BOILERPLATE).remove();
+
+  $('body *').each((i, element) => {
+    if (['a', 'article', 'main', 'body', 'html'].includes(element.tagName)) return;
+    const signature = `${element.attribs?.class || ''} ${element.attribs?.id || ''}`;
+    if (UNLIKELY.test(signature) && !MAYBE.test(signature)) {
+      $(element).remove();
+    }
+  });
+}
+
+/**
+ * Find the element(s) holding the main article content
+ *
+ * @param {Object} $ - Cheerio document (already stripped)
+ * @returns {Array} Content elements in document order
+ */
+export function findContentNodes($) {
+  const scores = new Map();
+
+  const paragraphs = $('p, pre, td, blockquote').toArray()
+    .concat($('div').toArray().filter(div => !hasBlockChildren($, div)));
+
+  for (const paragraph of paragraphs) {
+    const text = normalize($(paragraph).text());
+    if (text.length < 25) continue;
+
+    const score = 1 + (text.match(/,/g) || []).length + Math.min(Math.floor(text.length / 100), 3);
+
+    $(paragraph).parents().toArray().slice(0, 5).forEach((ancestor, level) => {
+      if (!ancestor.tagName || ancestor.tagName === 'html') return;
+      if (!scores.has(ancestor)) scores.set(ancestor, initialScore(ancestor));
+      const divider = level === 0 ? 1 : level === 1 ? 2 : level * 3;
+      scores.set(ancestor, scores.get(ancestor) + score / divider);
+    });
+  }
+
+  let top = null;
+  let topScore = -Infinity;
+  for (const [candidate, score] of scores) {
+    const adjusted = score * (1 - linkDensity($, candidate));
+    scores.set(candidate, adjusted);
+    if (adjusted > topScore) {
+      top = candidate;
+      topScore = adjusted;
+    }
+  }
+
+  if (!top) {
+    return $('body').toArray();
+  }
+
+  // Include siblings that belong to the same article (split bodies, intro paragraphs)
+  const threshold = Math.max(10, topScore * 0.2);
+  return $(top).parent().children().toArray().filter(sibling => {
+    if (sibling === top) return true;
+    if (scores.has(sibling) && scores.get(sibling) >= threshold) return true;
+    if (sibling.tagName === 'p') {
+      const text = normalize($(sibling).text());
+      return text.length > 80 && linkDensity($, sibling) < 0.25;
+    }
+    return false;
+  });
+}
@@ -3,45 +3,37 @@
  * 
  * This service provides:
  * - Health check endpoint
- * - Manual trigger for rewriting (optional)
+ * - Manual triggers for rewriting (latest article or whole backlog)
+ * - Job status endpoints for queued rewrites
+ * - Built-in cron scheduler (REWRITE_SCHEDULE_CRON) with pause/resume
+ * - Token/cost accounting with budgets (GET /stats/usage)
  * 
- * Main functionality is in the rewrite-latest.js script
- * which is designed to run as a cron job.
+ * Rewrites run in a persistent background job queue (src/jobs/),
+ * so HTTP requests return immediately with a job ID.
+ * The rewrite-latest.js script can still be run directly from an external cron.
  */
 
-import Fastify from 'fastify';
 import dotenv from 'dotenv';
+import { buildApp } from './app.js';
+import { getJobQueue } from './jobs/index.js';
+import { createSchedulerFromEnv } from './scheduler.js';
+import { assertValidOptions } from './scripts/rewrite-latest.js';
 
 dotenv.config();
 
-const fastify = Fastify({
-  logger: true,
-});
-
 const PORT = process.env.PORT || 3001;
 
-// Health check endpoint
-fastify.get('/health', async (request, reply) => {
-  return { status: 'ok', service: 'ai-rewriter-service' };
-});
-
-// Optional: Manual trigger endpoint
-fastify.post('/rewrite/latest', async (request, reply) => {
-  try {
-    // Import and run the rewrite script
-    const { rewriteLatest } = await import('./scripts/rewrite-latest.js');
-    const result = await rewriteLatest();
-    return { success: true, result };
-  } catch (error) {
-    fastify.log.error(error);
-    reply.code(500);
-    return { success: false, error: error.message };
-  }
-});
+const queue = getJobQueue();
+const scheduler = createSchedulerFromEnv(queue);
+const fastify = buildApp({ queue, scheduler });
 
 // Start server
 const start = async () => {
   try {
+    // Refuse to start with a misconfigured pipeline rather than failing every job later
+    assertValidOptions();
+    queue.start();
+    scheduler.start();
     await fastify.listen({ port: PORT, host: '0.0.0.0' });
     fastify.log.info(`AI Rewriter Service running on port ${PORT}`);
   } catch (err) {
@@ -52,3 +44,14 @@ const start = async () => {
 
 start();
 
+// Release the scheduler lock on shutdown (docker stop sends SIGTERM); jobs still
+// running are re-queued on the next start
+const shutdown = async (signal) => {
+  fastify.log.info(`${signal} received, shutting down`);
+  scheduler.stop();
+  await fastify.close();
+  process.exit(0);
+};
+
+process.once('SIGTERM', shutdown);
+process.once('SIGINT', shutdown);
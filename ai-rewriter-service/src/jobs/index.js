@@ -0,0 +1,48 @@
+/**
+ * Rewrite Jobs
+ *
+ * Wires the job queue to the rewrite pipeline. The queue is created lazily
+ * so the CLI script can import the pipeline without touching the job store.
+ *
+ * Job types:
+ *   rewrite-latest  - rewrite the latest unrewritten article
+ *   rewrite-article - rewrite one article ({ articleId, force })
+ *   rewrite-batch   - rewrite the whole backlog ({ concurrency, maxArticles, budgetMinutes })
+ *
+ * Every type also accepts { template, tone } to pick the prompt template.
+ */
+
+import { createJobStore } from './store.js';
+import { createJobQueue } from './queue.js';
+import { dataPath } from '../data-dir.js';
+import { envNumber } from '../env.js';
+import { rewriteLatest, rewriteById, rewriteBatch } from '../scripts/rewrite-latest.js';
+
+let queue = null;
+
+const handlers = {
+  'rewrite-latest': (params, ctx) => rewriteLatest({ ...params, onStep: ctx.step, onToken: ctx.token }),
+  'rewrite-article': (params, ctx) => rewriteById(params.articleId, { ...params, onStep: ctx.step, onToken: ctx.token }),
+  'rewrite-batch': (params, ctx) => rewriteBatch({ ...params, onStep: ctx.step, onToken: ctx.token }),
+};
+
+/**
+ * Get the shared rewrite job queue
+ *
+ * @returns {Object} Job queue (see queue.js)
+ */
+export function getJobQueue() {
+  if (!queue) {
+    const store = createJobStore({
+      filePath: process.env.JOB_STORE_PATH || dataPath('jobs.json'),
+      historyLimit: envNumber('JOB_HISTORY_LIMIT', 500, { min: 1, integer: true }),
+    });
+    queue = createJobQueue({
+      store,
+      handlers,
+      concurrency: envNumber('JOB_CONCURRENCY', 1, { min: 1, integer: true }),
+      maxAttempts: envNumber('JOB_MAX_ATTEMPTS', 3, { min: 1, integer: true }),
+    });
+  }
+  return queue;
+}
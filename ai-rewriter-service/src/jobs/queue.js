@@ -0,0 +1,177 @@
+/**
+ * Job Queue
+ *
+ * Runs persisted jobs in the background with a fixed concurrency.
+ * Handlers are plain async functions `(params, ctx) => result`; they report
+ * progress through `ctx.step(name, detail)`, which records the current
+ * pipeline step and per-step timings on the job, and may stream LLM output
+ * through `ctx.token(text)`.
+ *
+ * Jobs that were running when the service stopped are re-queued on start
+ * (up to JOB_MAX_ATTEMPTS), so work is not lost across restarts.
+ *
+ * Events (EventEmitter):
+ *   'update' (job)                   - any change to a job (state, step, result)
+ *   'step'   ({ jobId, name, detail }) - job entered a pipeline step
+ *   'token'  ({ jobId, text })         - LLM output chunk (not persisted)
+ *   'done'   (job)                   - job finished (succeeded or failed)
+ */
+
+import { EventEmitter } from 'node:events';
+
+/**
+ * Create a job queue
+ *
+ * @param {Object} options - { store, handlers: { [type]: fn }, concurrency, maxAttempts }
+ * @returns {Object} Queue
+ */
+export function createJobQueue({ store, handlers, concurrency = 1, maxAttempts = 3 }) {
+  const events = new EventEmitter();
+  let running = 0;
+  let started = false;
+
+  const update = (id, patch) => {
+    const job = store.update(id, patch);
+    events.emit('update', job);
+    return job;
+  };
+
+  const run = async (job) => {
+    const handler = handlers[job.type];
+    const startedAt = Date.now();
+
+    update(job.id, {
+      state: 'running',
+      startedAt: new Date(startedAt).toISOString(),
+      attempts: job.attempts + 1,
+      step: null,
+      steps: [],
+      error: null,
+    });
+
+    const finishStep = () => {
+      const current = job.steps[job.steps.length - 1];
+      if (current && !current.finishedAt) {
+        current.finishedAt = new Date().toISOString();
+        current.durationMs = Date.parse(current.finishedAt) - Date.parse(current.startedAt);
+      }
+    };
+
+    const ctx = {
+      jobId: job.id,
+      step: (name, detail = null) => {
+        finishStep();
+        job.steps.push({ name, detail, startedAt: new Date().toISOString(), finishedAt: null, durationMs: null });
+        update(job.id, { step: name });
+        events.emit('step', { jobId: job.id, name, detail });
+      },
+      token: (text) => {
+        events.emit('token', { jobId: job.id, text });
+      },
+    };
+
+    try {
+      if (!handler) {
+        throw new Error(`No handler registered for job type "${job.type}"`);
+      }
+      const result = await handler(job.params, ctx);
+      finishStep();
+      update(job.id, {
+        state: 'succeeded',
+        step: null,
+        result,
+        finishedAt: new Date().toISOString(),
+        durationMs: Date.now() - startedAt,
+      });
+    } catch (error) {
+      finishStep();
+      update(job.id, {
+        state: 'failed',
+        error: { message: error.message, step: job.step },
+        finishedAt: new Date().toISOString(),
+        durationMs: Date.now() - startedAt,
+      });
+    }
+
+    events.emit('done', store.get(job.id));
+  };
+
+  // Start as many queued jobs (oldest first) as concurrency allows
+  const drain = () => {
+    if (!started) return;
+
+    const queued = store.list({ state: 'queued', limit: Infinity }).reverse();
+    while (running < concurrency && queued.length > 0) {
+      const job = queued.shift();
+      running += 1;
+      run(job).finally(() => {
+        running -= 1;
+        drain();
+      });
+    }
+  };
+
+  return {
+    events,
+
+    /**
+     * Recover interrupted jobs and start processing
+     */
+    start() {
+      for (const job of store.list({ state: 'running', limit: Infinity })) {
+        if (job.attempts >= maxAttempts) {
+          store.update(job.id, {
+            state: 'failed',
+            error: { message: 'Interrupted by service restart', step: job.step },
+            finishedAt: new Date().toISOString(),
+          });
+        } else {
+          store.update(job.id, { state: 'queued', step: null, recoveredAt: new Date().toISOString() });
+        }
+      }
+      started = true;
+      drain();
+    },
+
+    /**
+     * Add a job to the queue
+     *
+     * @param {string} type - Job type (must have a handler)
+     * @param {Object} params - Handler parameters
+     * @returns {Object} Queued job
+     */
+    enqueue(type, params = {}) {
+      if (!handlers[type]) {
+        throw new Error(`Unknown job type: ${type}`);
+      }
+      const job = store.create(type, params);
+      events.emit('update', job);
+      setImmediate(drain);
+      return job;
+    },
+
+    /**
+     * Resolve once a job has finished
+     *
+     * @param {string} id - Job ID
+     * @returns {Promise<Object>} Finished job
+     */
+    waitFor(id) {
+      const job = store.get(id);
+      if (!job) return Promise.reject(new Error(`Job not found: ${id}`));
+      if (job.state === 'succeeded' || job.state === 'failed') return Promise.resolve(job);
+
+      return new Promise(resolve => {
+        const onDone = (done) => {
+          if (done.id !== id) return;
+          events.off('done', onDone);
+          resolve(done);
+        };
+        events.on('done', onDone);
+      });
+    },
+
+    get: (id) => store.get(id),
+    list: (filters) => store.list(filters),
+  };
+}
@@ -0,0 +1,111 @@
+/**
+ * File-backed Job Store
+ *
+ * Keeps every rewrite job in memory and mirrors it to a JSON file after each
+ * change. Writes go to a temp file first and are renamed into place, so a
+ * crash mid-write never leaves a corrupt store behind.
+ */
+
+import fs from 'node:fs';
+import crypto from 'node:crypto';
+
+/**
+ * Create a job store backed by a JSON file
+ *
+ * @param {Object} options - { filePath, historyLimit }
+ * @returns {Object} Job store
+ */
+export function createJobStore({ filePath, historyLimit = 500 }) {
+  const jobs = new Map();
+
+  if (fs.existsSync(filePath)) {
+    try {
+      const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      for (const job of saved.jobs || []) {
+        jobs.set(job.id, job);
+      }
+    } catch (error) {
+      console.error(`Could not read job store ${filePath}: ${error.message}`);
+    }
+  }
+
+  const save = () => {
+    prune();
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ jobs: [...jobs.values()] }, null, 2));
+    fs.renameSync(tmpPath, filePath);
+  };
+
+  // Drop the oldest finished jobs once the history limit is exceeded
+  const prune = () => {
+    const finished = [...jobs.values()]
+      .filter(job => job.state === 'succeeded' || job.state === 'failed')
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    while (finished.length > historyLimit) {
+      jobs.delete(finished.shift().id);
+    }
+  };
+
+  return {
+    /**
+     * Create a queued job
+     *
+     * @param {string} type - Job type (handler name)
+     * @param {Object} params - Handler parameters
+     * @returns {Object} Job record
+     */
+    create(type, params = {}) {
+      const job = {
+        id: crypto.randomUUID(),
+        type,
+        params,
+        state: 'queued',
+        step: null,
+        steps: [],
+        attempts: 0,
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        durationMs: null,
+        result: null,
+        error: null,
+      };
+      jobs.set(job.id, job);
+      save();
+      return job;
+    },
+
+    get(id) {
+      return jobs.get(id) || null;
+    },
+
+    /**
+     * List jobs, newest first
+     *
+     * @param {Object} filters - { state, type, limit }
+     * @returns {Array} Job records
+     */
+    list({ state, type, limit = 50 } = {}) {
+      return [...jobs.values()]
+        .filter(job => !state || job.state === state)
+        .filter(job => !type || job.type === type)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .slice(0, limit);
+    },
+
+    /**
+     * Apply a partial update to a job and persist it
+     *
+     * @param {string} id - Job ID
+     * @param {Object} patch - Fields to change
+     * @returns {Object} Updated job
+     */
+    update(id, patch) {
+      const job = jobs.get(id);
+      if (!job) throw new Error(`Job not found: ${id}`);
+      Object.assign(job, patch);
+      save();
+      return job;
+    },
+  };
+}
@@ -0,0 +1,69 @@
+/**
+ * Fake HTTP client for offline runs and tests
+ *
+ * Mimics the subset of axios the providers use (`post`, `get`) and answers
+ * with the response body a real provider would send, built from the
+ * provider's own `fakeReply()` (or `fakeStream()` for streaming requests).
+ * Failures are raised as axios-style errors (with `error.response.status`)
+ * so retry and fallback logic behave the same as against the real API.
+ *
+ * Usage:
+ *   const http = createFakeHttp('ollama', '## Rewritten article...');
+ *   const provider = createProvider('ollama', {}, { http });
+ *
+ *   // Scripted replies: strings are successes, numbers are HTTP errors
+ *   const flaky = createFakeHttp('google', [429, 'second try works']);
+ */
+
+import { Readable } from 'node:stream';
+import { getProviderDefinition } from './registry.js';
+
+/**
+ * Create a fake axios-compatible client for a provider
+ *
+ * @param {string} providerName - Registered provider name
+ * @param {string|Array<string|number>|Function} replies - Reply text, a script
+ *   of replies consumed in order (the last one repeats), or a function
+ *   `(request) => string|number`
+ * @returns {Object} Fake client; `calls` holds every request made
+ */
+export function createFakeHttp(providerName, replies) {
+  const definition = getProviderDefinition(providerName);
+  if (!definition?.fakeReply) {
+    throw new Error(`LLM provider "${providerName}" has no fake reply builder`);
+  }
+
+  const script = Array.isArray(replies) ? [...replies] : [replies];
+  const calls = [];
+
+  const nextReply = (request) => {
+    if (typeof replies === 'function') return replies(request);
+    return script.length > 1 ? script.shift() : script[0];
+  };
+
+  const respond = async (method, url, data, config = {}) => {
+    const request = { method, url, data, config };
+    calls.push(request);
+
+    const reply = await nextReply(request);
+    if (typeof reply === 'number') {
+      const error = new Error(`Request failed with status code ${reply}`);
+      error.response = { status: reply, statusText: 'Fake error', data: {} };
+      error.config = config;
+      throw error;
+    }
+
+    // Streaming requests get the provider's chunked body when it has one
+    if (config.responseType === 'stream' && definition.fakeStream) {
+      return { status: 200, data: Readable.from(definition.fakeStream(reply)), config };
+    }
+
+    return { status: 200, data: definition.fakeReply(reply), config };
+  };
+
+  return {
+    calls,
+    get: (url, config) => respond('get', url, undefined, config),
+    post: (url, data, config) => respond('post', url, data, config),
+  };
+}
@@ -0,0 +1,171 @@
+/**
+ * LLM Provider Fallback Chain
+ *
+ * Tries an ordered list of providers (LLM_PROVIDERS=google,ollama,openai)
+ * until one produces content. Each provider has its own circuit breaker:
+ * after LLM_CIRCUIT_FAILURE_THRESHOLD consecutive failures the provider is
+ * skipped for LLM_CIRCUIT_COOLDOWN_MS, then given a single trial request
+ * (half-open) before being trusted again.
+ *
+ * Breaker state lives at module level so it is shared by every rewrite run
+ * in the same process (server, scheduler, batch).
+ */
+
+import { createProvider, getProviderDefinition, listProviders } from './registry.js';
+import { envNumber } from '../env.js';
+
+const breakers = new Map();
+
+/**
+ * Get (or create) the circuit breaker for a provider
+ *
+ * @param {string} name - Provider name
+ * @returns {Object} Breaker state
+ */
+function getBreaker(name) {
+  if (!breakers.has(name)) {
+    breakers.set(name, { state: 'closed', failures: 0, openedAt: null, lastError: null });
+  }
+  return breakers.get(name);
+}
+
+/**
+ * Read circuit breaker settings from env
+ *
+ * @returns {Object} { failureThreshold, cooldownMs }
+ */
+export function circuitOptionsFromEnv() {
+  return {
+    failureThreshold: envNumber('LLM_CIRCUIT_FAILURE_THRESHOLD', 3, { min: 1, integer: true }),
+    cooldownMs: envNumber('LLM_CIRCUIT_COOLDOWN_MS', 5 * 60 * 1000, { min: 0 }),
+  };
+}
+
+/**
+ * Whether a provider may be called right now
+ *
+ * Moves an open breaker to half-open once its cooldown has elapsed.
+ */
+function canAttempt(breaker, { cooldownMs }) {
+  if (breaker.state !== 'open') return true;
+  if (Date.now() - breaker.openedAt >= cooldownMs) {
+    breaker.state = 'half-open';
+    return true;
+  }
+  return false;
+}
+
+function recordSuccess(breaker) {
+  breaker.state = 'closed';
+  breaker.failures = 0;
+  breaker.openedAt = null;
+}
+
+function recordFailure(breaker, error, { failureThreshold }) {
+  breaker.failures += 1;
+  breaker.lastError = error.message;
+  if (breaker.state === 'half-open' || breaker.failures >= failureThreshold) {
+    breaker.state = 'open';
+    breaker.openedAt = Date.now();
+  }
+}
+
+/**
+ * Parse the provider list from env
+ *
+ * LLM_PROVIDERS takes precedence; LLM_PROVIDER alone is a chain of one.
+ *
+ * @returns {Array<string>} Provider names in fallback order
+ */
+export function providerNamesFromEnv() {
+  const list = process.env.LLM_PROVIDERS || process.env.LLM_PROVIDER || 'google';
+  return list
+    .split(',')
+    .map(name => name.toLowerCase().trim())
+    .filter(Boolean);
+}
+
+/**
+ * Create a fallback chain over several providers
+ *
+ * The chain has the same `generate()` interface as a single provider, but
+ * resolves to `{ content, provider, model, attempts }` where `provider` is
+ * the one that actually produced the content. `request.onAttempt(name)` is
+ * called before each provider is tried, so streaming consumers can discard
+ * tokens from a provider that failed part-way.
+ *
+ * @param {Array<string>} names - Provider names in fallback order
+ * @param {Object} options - { overrides: { [name]: config }, deps: { [name]: { http } } }
+ * @returns {Object} Chain with generate()
+ */
+export function createProviderChain(names, options = {}) {
+  const { overrides = {}, deps = {} } = options;
+  const instances = new Map();
+
+  const unknown = names.filter(name => !getProviderDefinition(name));
+  if (names.length === 0 || unknown.length > 0) {
+    throw new Error(`Unknown LLM provider(s): ${unknown.join(', ') || '(none given)'} (registered: ${listProviders().join(', ')})`);
+  }
+
+  const getInstance = (name) => {
+    if (!instances.has(name)) {
+      instances.set(name, createProvider(name, overrides[name], deps[name]));
+    }
+    return instances.get(name);
+  };
+
+  return {
+    name: names.join(','),
+    providers: names,
+
+    generate: async (request) => {
+      const settings = circuitOptionsFromEnv();
+      const attempts = [];
+
+      for (const name of names) {
+        const breaker = getBreaker(name);
+        if (!canAttempt(breaker, settings)) {
+          attempts.push({ provider: name, skipped: true, error: 'circuit open' });
+          continue;
+        }
+
+        const startedAt = Date.now();
+        try {
+          const provider = getInstance(name);
+          request.onAttempt?.(name);
+          const result = await provider.generate(request);
+          recordSuccess(breaker);
+          attempts.push({ provider: name, ok: true, durationMs: Date.now() - startedAt });
+          return { ...result, provider: provider.name, model: provider.model, attempts };
+        } catch (error) {
+          recordFailure(breaker, error, settings);
+          attempts.push({ provider: name, ok: false, error: error.message, durationMs: Date.now() - startedAt });
+          console.warn(`LLM provider "${name}" failed: ${error.message}`);
+        }
+      }
+
+      const summary = attempts.map(a => `${a.provider}: ${a.error}`).join('; ');
+      const error = new Error(`All LLM providers failed (${summary})`);
+      error.attempts = attempts;
+      throw error;
+    },
+  };
+}
+
+/**
+ * Snapshot of every provider's circuit breaker
+ *
+ * @returns {Object} Breaker state keyed by provider name
+ */
+export function getCircuitStates() {
+  return Object.fromEntries(
+    [...breakers.entries()].map(([name, breaker]) => [name, { ...breaker }])
+  );
+}
+
+/**
+ * Reset all circuit breakers (useful in tests and after config changes)
+ */
+export function resetCircuits() {
+  breakers.clear();
+}
@@ -0,0 +1,29 @@
+/**
+ * LLM module entry point
+ *
+ * Importing this module registers all built-in providers. Custom providers
+ * can be added at runtime through LLM_PROVIDER_MODULES (see registry.js).
+ */
+
+import './providers/google.js';
+import './providers/openai.js';
+import './providers/azure-openai.js';
+import './providers/openai-compatible.js';
+import './providers/anthropic.js';
+import './providers/ollama.js';
+
+export {
+  registerProvider,
+  createProvider,
+  listProviders,
+  resolveProviderConfig,
+  loadExternalProviders,
+} from './registry.js';
+export {
+  createProviderChain,
+  providerNamesFromEnv,
+  circuitOptionsFromEnv,
+  getCircuitStates,
+  resetCircuits,
+} from './fallback.js';
+export { createFakeHttp } from './fake-http.js';
@@ -0,0 +1,65 @@
+/**
+ * Anthropic provider
+ *
+ * Calls the Messages API. The system prompt goes in the top-level
+ * `system` field rather than in the message list.
+ */
+
+import { registerProvider } from '../registry.js';
+
+registerProvider({
+  name: 'anthropic',
+  requiresApiKey: true,
+  defaults: () => ({
+    model: 'claude-3-5-haiku-latest',
+    apiKey: process.env.ANTHROPIC_API_KEY,
+    baseUrl: 'https://api.anthropic.com',
+    apiVersion: '2023-06-01',
+    temperature: 0.7,
+    maxTokens: 3000,
+    timeoutMs: 120000,
+  }),
+  create: (config, { http }) => ({
+    name: 'anthropic',
+    model: config.model,
+    generate: async ({ system, prompt }) => {
+      const response = await http.post(
+        `${config.baseUrl}/v1/messages`,
+        {
+          model: config.model,
+          system,
+          messages: [{ role: 'user', content: prompt }],
+          temperature: config.temperature,
+          max_tokens: config.maxTokens,
+        },
+        {
+          headers: {
+            'Content-Type': 'application/json',
+            'x-api-key': config.apiKey,
+            'anthropic-version': config.apiVersion,
+          },
+          timeout: config.timeoutMs,
+        }
+      );
+
+      const content = (response.data.content || [])
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+      if (!content) {
+        throw new Error('Invalid response from Anthropic API');
+      }
+      const { usage } = response.data;
+      return {
+        content: content.trim(),
+        usage: usage && { promptTokens: usage.input_tokens || 0, completionTokens: usage.output_tokens || 0 },
+      };
+    },
+  }),
+  fakeReply: (text) => ({
+    type: 'message',
+    role: 'assistant',
+    content: [{ type: 'text', text }],
+    stop_reason: 'end_turn',
+  }),
+});
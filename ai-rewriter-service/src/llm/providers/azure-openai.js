@@ -0,0 +1,35 @@
+/**
+ * Azure OpenAI provider
+ *
+ * Azure routes requests by deployment name instead of model name, so
+ * LLM_AZURE_OPENAI_MODEL must be set to the deployment name.
+ */
+
+import { registerProvider } from '../registry.js';
+import { createChatCompletionsProvider, chatCompletionsReply, chatCompletionsStream } from './openai.js';
+
+registerProvider({
+  name: 'azure-openai',
+  requiresApiKey: true,
+  defaults: () => ({
+    model: process.env.AZURE_OPENAI_DEPLOYMENT,
+    apiKey: process.env.AZURE_OPENAI_API_KEY,
+    baseUrl: process.env.AZURE_OPENAI_ENDPOINT,
+    apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-06-01',
+    temperature: 0.7,
+    maxTokens: 3000,
+    timeoutMs: 120000,
+  }),
+  create: (config, { http }) => {
+    if (!config.baseUrl || !config.model) {
+      throw new Error('Azure OpenAI needs an endpoint (AZURE_OPENAI_ENDPOINT) and a deployment (AZURE_OPENAI_DEPLOYMENT)');
+    }
+    const baseUrl = config.baseUrl.replace(/\/+$/, '');
+    return createChatCompletionsProvider('azure-openai', config, http, {
+      url: `${baseUrl}/openai/deployments/${config.model}/chat/completions?api-version=${config.apiVersion}`,
+      headers: { 'api-key': config.apiKey },
+    });
+  },
+  fakeReply: chatCompletionsReply,
+  fakeStream: chatCompletionsStream,
+});
@@ -0,0 +1,76 @@
+/**
+ * Google Gemini provider
+ *
+ * Calls the generateContent endpoint and retries with exponential backoff
+ * when the API rate limits us (HTTP 429).
+ */
+
+import { registerProvider } from '../registry.js';
+
+registerProvider({
+  name: 'google',
+  requiresApiKey: true,
+  defaults: () => ({
+    model: process.env.GOOGLE_AI_MODEL || 'gemini-2.0-flash-exp',
+    apiKey: process.env.GOOGLE_AI_API_KEY,
+    baseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+    temperature: 0.7,
+    maxTokens: 3000,
+    timeoutMs: 120000,
+    retries: 3,
+    retryBaseDelayMs: 10000,
+  }),
+  create: (config, { http }) => ({
+    name: 'google',
+    model: config.model,
+    generate: ({ system, prompt }) => generate(config, http, system, prompt),
+  }),
+  fakeReply: (text) => ({
+    candidates: [{ content: { parts: [{ text }] } }],
+  }),
+});
+
+async function generate(config, http, system, prompt) {
+  const apiUrl = `${config.baseUrl}/models/${config.model}:generateContent`;
+  const text = system ? `${system}\n\n${prompt}` : prompt;
+
+  for (let i = 0; i < config.retries; i++) {
+    try {
+      const response = await http.post(
+        apiUrl,
+        {
+          contents: [{ parts: [{ text }] }],
+          generationConfig: {
+            temperature: config.temperature,
+            topK: 40,
+            topP: 0.95,
+            maxOutputTokens: config.maxTokens,
+          },
+        },
+        {
+          headers: { 'Content-Type': 'application/json', 'X-goog-api-key': config.apiKey },
+          timeout: config.timeoutMs,
+        }
+      );
+
+      const content = response.data.candidates?.[0]?.content?.parts?.[0]?.text;
+      if (!content) {
+        throw new Error('Invalid response from Google Gemini API');
+      }
+
+      const usage = response.data.usageMetadata;
+      return {
+        content: content.trim(),
+        usage: usage && { promptTokens: usage.promptTokenCount || 0, completionTokens: usage.candidatesTokenCount || 0 },
+      };
+    } catch (error) {
+      if (error.response?.status === 429 && i < config.retries - 1) {
+        const waitTime = Math.pow(2, i) * config.retryBaseDelayMs;
+        console.log(`Rate limited. Retrying in ${waitTime}ms...`);
+        await new Promise(resolve => setTimeout(resolve, waitTime));
+        continue;
+      }
+      throw error;
+    }
+  }
+}
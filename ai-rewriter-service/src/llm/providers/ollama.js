@@ -0,0 +1,66 @@
+/**
+ * Ollama provider
+ *
+ * Talks to a local Ollama server through its /api/generate endpoint.
+ * Streams tokens (`stream: true`) when the caller passes `onToken`.
+ * Token counts come from `prompt_eval_count` / `eval_count` on the final response.
+ */
+
+import { registerProvider } from '../registry.js';
+import { readLines, toTokens } from '../stream.js';
+
+const toUsage = (body) => (body.eval_count === undefined
+  ? undefined
+  : { promptTokens: body.prompt_eval_count || 0, completionTokens: body.eval_count });
+
+registerProvider({
+  name: 'ollama',
+  requiresApiKey: false,
+  defaults: () => ({
+    model: process.env.OLLAMA_MODEL || 'llama3.2',
+    baseUrl: process.env.OLLAMA_BASE_URL || 'http://localhost:11434',
+    temperature: 0.7,
+    maxTokens: 3000,
+    timeoutMs: 120000,
+  }),
+  create: (config, { http }) => ({
+    name: 'ollama',
+    model: config.model,
+    generate: async ({ system, prompt, onToken }) => {
+      const stream = typeof onToken === 'function';
+      const response = await http.post(
+        `${config.baseUrl}/api/generate`,
+        {
+          model: config.model,
+          prompt: system ? `${system}\n\n${prompt}` : prompt,
+          stream,
+          options: { temperature: config.temperature, num_predict: config.maxTokens },
+        },
+        { timeout: config.timeoutMs, ...(stream && { responseType: 'stream' }) }
+      );
+
+      if (!stream) {
+        return { content: response.data.response.trim(), usage: toUsage(response.data) };
+      }
+
+      // Streaming responses are newline-delimited JSON chunks; the last one (done: true) has the counts
+      let content = '';
+      let usage;
+      await readLines(response.data, (line) => {
+        const chunk = JSON.parse(line);
+        if (chunk.error) throw new Error(`Ollama error: ${chunk.error}`);
+        if (chunk.response) {
+          content += chunk.response;
+          onToken(chunk.response);
+        }
+        if (chunk.done) usage = toUsage(chunk);
+      });
+      return { content: content.trim(), streamed: true, usage };
+    },
+  }),
+  fakeReply: (text) => ({ response: text, done: true }),
+  fakeStream: (text) => [
+    ...toTokens(text).map(token => JSON.stringify({ response: token, done: false }) + '\n'),
+    JSON.stringify({ response: '', done: true }) + '\n',
+  ],
+});
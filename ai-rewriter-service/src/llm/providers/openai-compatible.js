@@ -0,0 +1,28 @@
+/**
+ * OpenAI-compatible provider
+ *
+ * For any local or hosted server exposing /chat/completions
+ * (LM Studio, vLLM, llama.cpp server, LocalAI, OpenRouter, ...).
+ * Set LLM_OPENAI_COMPATIBLE_BASE_URL, e.g. http://localhost:1234/v1
+ */
+
+import { registerProvider } from '../registry.js';
+import { createChatCompletionsProvider, chatCompletionsReply, chatCompletionsStream } from './openai.js';
+
+registerProvider({
+  name: 'openai-compatible',
+  requiresApiKey: false,
+  defaults: () => ({
+    model: 'local-model',
+    baseUrl: 'http://localhost:1234/v1',
+    temperature: 0.7,
+    maxTokens: 3000,
+    timeoutMs: 120000,
+  }),
+  create: (config, { http }) => createChatCompletionsProvider('openai-compatible', config, http, {
+    url: `${config.baseUrl.replace(/\/+$/, '')}/chat/completions`,
+    headers: config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {},
+  }),
+  fakeReply: chatCompletionsReply,
+  fakeStream: chatCompletionsStream,
+});
@@ -0,0 +1,144 @@
+/**
+ * OpenAI provider (and shared Chat Completions client)
+ *
+ * `createChatCompletionsProvider` is reused by every backend that speaks the
+ * OpenAI Chat Completions protocol (Azure OpenAI, LM Studio, vLLM, ...).
+ * Streams tokens (`stream: true`) when the caller passes `onToken`.
+ * Token counts from the response's `usage` are returned as `usage`.
+ */
+
+import { registerProvider } from '../registry.js';
+import { readLines, toTokens } from '../stream.js';
+
+/**
+ * Build a provider instance for a Chat Completions compatible API
+ *
+ * @param {string} name - Provider name
+ * @param {Object} config - Resolved provider config
+ * @param {Object} http - axios-compatible client
+ * @param {Object} endpoint - { url, headers, streamUsage } of the completions endpoint
+ *   (`streamUsage` asks for token counts at the end of a stream; not every compatible server accepts it)
+ * @returns {Object} Provider instance
+ */
+export function createChatCompletionsProvider(name, config, http, endpoint) {
+  return {
+    name,
+    model: config.model,
+    generate: async ({ system, prompt, onToken }) => {
+      const stream = typeof onToken === 'function';
+      const messages = [];
+      if (system) messages.push({ role: 'system', content: system });
+      messages.push({ role: 'user', content: prompt });
+
+      const response = await http.post(
+        endpoint.url,
+        {
+          model: config.model,
+          messages,
+          temperature: config.temperature,
+          max_tokens: config.maxTokens,
+          stream,
+          ...(stream && endpoint.streamUsage && { stream_options: { include_usage: true } }),
+        },
+        {
+          headers: { 'Content-Type': 'application/json', ...endpoint.headers },
+          timeout: config.timeoutMs,
+          ...(stream && { responseType: 'stream' }),
+        }
+      );
+
+      if (stream) {
+        const { content, usage } = await readChatStream(response.data, onToken);
+        return { content: content.trim(), streamed: true, usage: toUsage(usage) };
+      }
+
+      const content = response.data.choices?.[0]?.message?.content;
+      if (!content) {
+        throw new Error(`Invalid response from ${name} API`);
+      }
+      return { content: content.trim(), usage: toUsage(response.data.usage) };
+    },
+  };
+}
+
+/**
+ * Normalize a Chat Completions `usage` object
+ *
+ * @param {Object} usage - { prompt_tokens, completion_tokens }
+ * @returns {Object|undefined} { promptTokens, completionTokens }
+ */
+function toUsage(usage) {
+  if (!usage) return undefined;
+  return { promptTokens: usage.prompt_tokens || 0, completionTokens: usage.completion_tokens || 0 };
+}
+
+/**
+ * Collect a streamed Chat Completions response (server-sent events)
+ *
+ * @param {Readable} body - Response body stream
+ * @param {Function} onToken - Called with each content delta
+ * @returns {Promise<Object>} { content, usage } - usage from the final chunk, when the server sends one
+ */
+async function readChatStream(body, onToken) {
+  let content = '';
+  let usage;
+  await readLines(body, (line) => {
+    if (!line.startsWith('data:')) return;
+    const data = line.slice(5).trim();
+    if (data === '[DONE]') return;
+
+    const chunk = JSON.parse(data);
+    if (chunk.usage) usage = chunk.usage;
+    const delta = chunk.choices?.[0]?.delta?.content;
+    if (delta) {
+      content += delta;
+      onToken(delta);
+    }
+  });
+  return { content, usage };
+}
+
+/**
+ * Chat Completions response body for `text`, used by the fake HTTP client
+ *
+ * @param {string} text - Completion text
+ * @returns {Object} Response body
+ */
+export function chatCompletionsReply(text) {
+  return {
+    choices: [{ index: 0, message: { role: 'assistant', content: text }, finish_reason: 'stop' }],
+  };
+}
+
+/**
+ * Streamed Chat Completions body for `text` (server-sent event chunks)
+ *
+ * @param {string} text - Completion text
+ * @returns {Array<string>} Body chunks
+ */
+export function chatCompletionsStream(text) {
+  return [
+    ...toTokens(text).map(token => `data: ${JSON.stringify({ choices: [{ index: 0, delta: { content: token } }] })}\n\n`),
+    'data: [DONE]\n\n',
+  ];
+}
+
+registerProvider({
+  name: 'openai',
+  requiresApiKey: true,
+  defaults: () => ({
+    model: 'gpt-4o-mini',
+    apiKey: process.env.OPENAI_API_KEY,
+    baseUrl: 'https://api.openai.com/v1',
+    temperature: 0.7,
+    maxTokens: 3000,
+    timeoutMs: 120000,
+  }),
+  create: (config, { http }) => createChatCompletionsProvider('openai', config, http, {
+    url: `${config.baseUrl}/chat/completions`,
+    headers: { Authorization: `Bearer ${config.apiKey}` },
+    streamUsage: true,
+  }),
+  fakeReply: chatCompletionsReply,
+  fakeStream: chatCompletionsStream,
+});
@@ -0,0 +1,139 @@
+/**
+ * LLM Provider Registry
+ *
+ * Every LLM backend registers itself here under a name (e.g. "google",
+ * "ollama"). The rewriter only ever talks to the registry, so adding a
+ * provider never requires editing the core script.
+ *
+ * A provider definition looks like:
+ *   {
+ *     name: 'ollama',
+ *     defaults: () => ({ model, temperature, maxTokens, timeoutMs, baseUrl, apiKey }),
+ *     requiresApiKey: false,
+ *     create: (config, { http }) => ({ name, model, generate }),
+ *     fakeReply: (text) => responseBody,
+ *     fakeStream: (text) => [chunk, ...],   (optional, streaming providers)
+ *   }
+ *
+ * `defaults` is a function so env vars are read after dotenv has loaded.
+ * `generate({ system, prompt, onToken })` resolves to `{ content }`.
+ * Providers that can stream call `onToken(text)` for each chunk and resolve
+ * to `{ content, streamed: true }`; others ignore `onToken`.
+ * `fakeReply(text)` returns the raw HTTP body the real API would send back
+ * for `text`, which is what `createFakeHttp()` uses to test offline.
+ */
+
+import axios from 'axios';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { envNumber } from '../env.js';
+
+const providers = new Map();
+
+/**
+ * Register an LLM provider
+ *
+ * @param {Object} definition - Provider definition (see module header)
+ */
+export function registerProvider(definition) {
+  if (!definition?.name || typeof definition.create !== 'function') {
+    throw new Error('LLM provider definition needs a name and a create() function');
+  }
+  providers.set(definition.name.toLowerCase(), definition);
+}
+
+/**
+ * Get a registered provider definition
+ *
+ * @param {string} name - Provider name
+ * @returns {Object|undefined} Provider definition
+ */
+export function getProviderDefinition(name) {
+  return providers.get(String(name).toLowerCase().trim());
+}
+
+/**
+ * List the names of all registered providers
+ *
+ * @returns {Array<string>} Provider names
+ */
+export function listProviders() {
+  return [...providers.keys()];
+}
+
+/**
+ * Resolve the configuration for a provider
+ *
+ * Precedence: explicit overrides > LLM_<NAME>_* env vars > provider defaults.
+ * For "openai-compatible" the env prefix is LLM_OPENAI_COMPATIBLE_.
+ *
+ * @param {string} name - Provider name
+ * @param {Object} overrides - Explicit config values
+ * @returns {Object} Resolved config
+ */
+export function resolveProviderConfig(name, overrides = {}) {
+  const definition = getProviderDefinition(name);
+  if (!definition) {
+    throw new Error(`Unknown LLM provider: ${name} (registered: ${listProviders().join(', ')})`);
+  }
+
+  const prefix = `LLM_${definition.name.toUpperCase().replace(/[^A-Z0-9]+/g, '_')}_`;
+  const env = (key) => process.env[prefix + key];
+
+  const fromEnv = {
+    model: env('MODEL'),
+    temperature: envNumber(`${prefix}TEMPERATURE`, undefined, { min: 0 }),
+    maxTokens: envNumber(`${prefix}MAX_TOKENS`, undefined, { min: 1, integer: true }),
+    timeoutMs: envNumber(`${prefix}TIMEOUT_MS`, undefined, { min: 1 }),
+    baseUrl: env('BASE_URL'),
+    apiKey: env('API_KEY'),
+  };
+
+  return {
+    ...definition.defaults?.(),
+    ...stripUndefined(fromEnv),
+    ...stripUndefined(overrides),
+  };
+}
+
+/**
+ * Create a ready-to-use provider instance
+ *
+ * @param {string} name - Provider name
+ * @param {Object} overrides - Config overrides (model, temperature, ...)
+ * @param {Object} deps - Injected dependencies ({ http } - axios-compatible client)
+ * @returns {Object} Provider instance with generate()
+ */
+export function createProvider(name, overrides = {}, deps = {}) {
+  const definition = getProviderDefinition(name);
+  const config = resolveProviderConfig(name, overrides);
+
+  if (definition.requiresApiKey && !config.apiKey) {
+    throw new Error(`Missing API key for LLM provider "${definition.name}"`);
+  }
+
+  return definition.create(config, { http: deps.http || axios });
+}
+
+/**
+ * Load provider modules listed in LLM_PROVIDER_MODULES
+ *
+ * Each module is imported for its side effects and is expected to call
+ * registerProvider(). Paths are resolved relative to the working directory.
+ *
+ * @param {string} list - Comma-separated module paths or package names
+ */
+export async function loadExternalProviders(list = process.env.LLM_PROVIDER_MODULES) {
+  if (!list) return;
+
+  for (const entry of list.split(',').map(s => s.trim()).filter(Boolean)) {
+    const specifier = entry.startsWith('.') || path.isAbsolute(entry)
+      ? pathToFileURL(path.resolve(entry)).href
+      : entry;
+    await import(specifier);
+  }
+}
+
+function stripUndefined(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
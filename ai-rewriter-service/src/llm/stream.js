@@ -0,0 +1,38 @@
+/**
+ * Streaming helpers for LLM providers
+ */
+
+/**
+ * Read a text stream line by line
+ *
+ * Handles chunks that split lines (and multi-byte characters) anywhere.
+ * Errors thrown by `onLine` abort the stream and propagate to the caller.
+ *
+ * @param {Readable} stream - Response body stream
+ * @param {Function} onLine - Called with each non-empty line
+ */
+export async function readLines(stream, onLine) {
+  stream.setEncoding?.('utf8');
+  let buffer = '';
+
+  for await (const chunk of stream) {
+    buffer += chunk;
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (line.trim()) onLine(line.trim());
+    }
+  }
+
+  if (buffer.trim()) onLine(buffer.trim());
+}
+
+/**
+ * Split text into word-sized chunks, used to build fake token streams
+ *
+ * @param {string} text - Full completion text
+ * @returns {Array<string>} Chunks that join back to `text`
+ */
+export function toTokens(text) {
+  return text.match(/\S+\s*|\s+/g) || [];
+}
@@ -0,0 +1,75 @@
+/**
+ * File Lock
+ *
+ * A minimal cross-process lock: the lock file is created with O_EXCL, so
+ * only one process can hold it. The file records the owner's PID and a
+ * random boot ID for the process; a lock whose owner is no longer alive,
+ * or that is older than `staleMs`, is treated as abandoned and taken over.
+ *
+ * Ownership is decided by the boot ID, not the PID: a restarted container
+ * usually gets the same PID as before, and a lock left behind by the
+ * previous run must not look like it is still ours.
+ */
+
+import fs from 'node:fs';
+import { randomUUID } from 'node:crypto';
+
+const BOOT_ID = randomUUID();
+
+/**
+ * Try to acquire a lock
+ *
+ * @param {string} lockPath - Lock file path
+ * @param {Object} options - { staleMs }
+ * @returns {boolean} True if the lock was acquired
+ */
+export function acquireLock(lockPath, { staleMs = 6 * 60 * 60 * 1000 } = {}) {
+  try {
+    fs.writeFileSync(lockPath, JSON.stringify({ pid: process.pid, bootId: BOOT_ID, acquiredAt: Date.now() }), { flag: 'wx' });
+    return true;
+  } catch (error) {
+    if (error.code !== 'EEXIST') throw error;
+  }
+
+  if (!isStale(lockPath, staleMs)) {
+    return false;
+  }
+
+  fs.rmSync(lockPath, { force: true });
+  return acquireLock(lockPath, { staleMs });
+}
+
+/**
+ * Release a lock held by this process
+ *
+ * @param {string} lockPath - Lock file path
+ */
+export function releaseLock(lockPath) {
+  if (readLock(lockPath)?.bootId === BOOT_ID) {
+    fs.rmSync(lockPath, { force: true });
+  }
+}
+
+function readLock(lockPath) {
+  try {
+    return JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function isStale(lockPath, staleMs) {
+  const owner = readLock(lockPath);
+  if (!owner) return true;
+  if (Date.now() - owner.acquiredAt > staleMs) return true;
+  if (owner.bootId === BOOT_ID) return false;
+  // Our PID but another boot: left behind by an earlier run of this process
+  if (owner.pid === process.pid) return true;
+
+  try {
+    process.kill(owner.pid, 0);
+    return false;
+  } catch {
+    return true;
+  }
+}
@@ -0,0 +1,148 @@
+/**
+ * Originality Check
+ *
+ * Measures how much of a rewrite was copied from its sources using word
+ * n-gram shingles: `overlap` is the share of the rewrite's shingles that
+ * also appear in a source (containment), so 0.2 means a fifth of the text
+ * is word-for-word from that source. The References section is ignored.
+ *
+ *   ORIGINALITY_SHINGLE_SIZE          words per shingle (default 5)
+ *   ORIGINALITY_REFERENCE_THRESHOLD   max overlap with any reference (default 0.15)
+ *   ORIGINALITY_ORIGINAL_THRESHOLD    max overlap with the original article (default 0.5)
+ *   ORIGINALITY_ACTION                regenerate | block | report (default regenerate)
+ *   ORIGINALITY_MAX_REGENERATIONS     retries before blocking (default 2)
+ *
+ * `regenerate` retries with the copied passages as feedback and blocks if the
+ * output still fails; `block` fails straight away; `report` only records.
+ */
+
+import { shingles } from './text/similarity.js';
+import { envNumber } from './env.js';
+
+const ACTIONS = ['regenerate', 'block', 'report'];
+
+/**
+ * Read originality options from env
+ *
+ * @returns {Object} { shingleSize, referenceThreshold, originalThreshold, action, maxRegenerations }
+ */
+export function originalityOptionsFromEnv() {
+  const action = (process.env.ORIGINALITY_ACTION || 'regenerate').toLowerCase().trim();
+  if (!ACTIONS.includes(action)) {
+    throw new Error(`Invalid ORIGINALITY_ACTION: ${action} (expected ${ACTIONS.join(', ')})`);
+  }
+
+  return {
+    shingleSize: envNumber('ORIGINALITY_SHINGLE_SIZE', 5, { min: 2, integer: true }),
+    referenceThreshold: envNumber('ORIGINALITY_REFERENCE_THRESHOLD', 0.15, { min: 0, max: 1 }),
+    originalThreshold: envNumber('ORIGINALITY_ORIGINAL_THRESHOLD', 0.5, { min: 0, max: 1 }),
+    action,
+    maxRegenerations: envNumber('ORIGINALITY_MAX_REGENERATIONS', 2, { min: 0, integer: true }),
+  };
+}
+
+/**
+ * Remove a trailing "References" / "Sources" section from Markdown
+ *
+ * @param {string} markdown - Article Markdown
+ * @returns {string} Article body
+ */
+export function stripReferencesSection(markdown) {
+  const match = markdown.match(/^#{1,6}\s*\**\s*(references|sources)\b.*$/gim);
+  if (!match) return markdown;
+  return markdown.slice(0, markdown.lastIndexOf(match.at(-1))).trimEnd();
+}
+
+/**
+ * Compare a text against one source
+ *
+ * @returns {Object} { overlap, sharedShingles, passages }
+ */
+function compare(output, sourceText, size) {
+  const source = new Set(shingles(sourceText, size).shingles);
+  const copied = output.shingles.map(shingle => source.has(shingle));
+  const shared = copied.filter(Boolean).length;
+
+  // Merge runs of copied shingles back into the passages they cover
+  const passages = [];
+  let start = -1;
+  copied.concat(false).forEach((isCopied, i) => {
+    if (isCopied && start < 0) start = i;
+    if (!isCopied && start >= 0) {
+      passages.push(output.tokens.slice(start, i - 1 + size).join(' '));
+      start = -1;
+    }
+  });
+
+  return {
+    overlap: output.shingles.length ? round(shared / output.shingles.length) : 0,
+    sharedShingles: shared,
+    passages: passages.sort((a, b) => b.length - a.length).slice(0, 3),
+  };
+}
+
+/**
+ * Check a rewrite against its original and references
+ *
+ * @param {string} content - Rewritten article (Markdown)
+ * @param {Object} sources - { original: { title, content }, references: [{ url, content }] }
+ * @param {Object} options - Overrides for originalityOptionsFromEnv()
+ * @returns {Object} Report { passed, shingleSize, thresholds, maxOverlap, sources, violations, checkedAt }
+ */
+export function checkOriginality(content, { original, references = [] }, options = {}) {
+  const { shingleSize, referenceThreshold, originalThreshold } = { ...originalityOptionsFromEnv(), ...options };
+  const output = shingles(stripReferencesSection(content), shingleSize);
+
+  const results = [
+    { source: 'original', threshold: originalThreshold, ...compare(output, original?.content || '', shingleSize) },
+    ...references.map(ref => ({ source: ref.url, threshold: referenceThreshold, ...compare(output, ref.content || '', shingleSize) })),
+  ];
+
+  const violations = results
+    .filter(result => result.overlap > result.threshold)
+    .map(result => result.source);
+
+  return {
+    passed: violations.length === 0,
+    shingleSize,
+    thresholds: { reference: referenceThreshold, original: originalThreshold },
+    maxOverlap: Math.max(0, ...results.filter(r => r.source !== 'original').map(r => r.overlap)),
+    sources: results.map(({ threshold, ...result }) => result),
+    violations,
+    checkedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Describe a failed report for the LLM, so a regeneration can fix it
+ *
+ * @param {Object} report - Report from checkOriginality()
+ * @returns {string} Feedback to append to the prompt
+ */
+export function originalityFeedback(report) {
+  const lines = report.sources
+    .filter(result => report.violations.includes(result.source))
+    .flatMap(result => [
+      `- ${Math.round(result.overlap * 100)}% of your text was copied word-for-word from ${result.source === 'original' ? 'the original article' : result.source}, e.g.:`,
+      ...result.passages.map(passage => `  "${passage}"`),
+    ]);
+
+  return `Your previous draft was rejected by the originality check:\n${lines.join('\n')}\nWrite the article again in your own words. Do not reuse sentences or long phrases from the original or the reference articles.`;
+}
+
+/**
+ * Short summary of a failed report, for errors and logs
+ *
+ * @param {Object} report - Report from checkOriginality()
+ * @returns {string} Summary
+ */
+export function describeViolations(report) {
+  return report.sources
+    .filter(result => report.violations.includes(result.source))
+    .map(result => `${Math.round(result.overlap * 100)}% overlap with ${result.source}`)
+    .join(', ');
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
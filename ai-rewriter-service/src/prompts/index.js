@@ -0,0 +1,140 @@
+/**
+ * Prompt Templates
+ *
+ * Rewrite prompts live in Markdown files with a small front-matter header:
+ *
+ *   ---
+ *   name: seo-long-form
+ *   version: 1.0.0
+ *   description: ...
+ *   tone: professional          (default for {{tone}})
+ *   system: You are an expert...  (system message sent to the LLM)
+ *   min_length_ratio: 0.6         (optional quality gate overrides,
+ *   min_headings: 2                see src/quality.js)
+ *   ---
+ *   Prompt body with {{title}}, {{content}}, {{references}},
+ *   {{reference_urls}} and {{tone}} placeholders.
+ *
+ * Built-in presets are in ./templates. Files in PROMPT_TEMPLATES_DIR are
+ * loaded on top and override built-ins with the same name. Bump `version`
+ * whenever a template changes: name and version are stored with every
+ * published rewrite.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const BUILT_IN_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'templates');
+const DEFAULT_SYSTEM = 'You are an expert content writer specializing in article rewriting and SEO optimization.';
+const VARIABLES = ['title', 'content', 'references', 'reference_urls', 'tone'];
+
+/**
+ * Parse a template file
+ *
+ * @param {string} source - File contents
+ * @param {string} fileName - Used as the name when front matter has none
+ * @returns {Object} Template { name, version, description, tone, system, quality, body }
+ */
+export function parseTemplate(source, fileName) {
+  const match = source.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n([\s\S]*)$/);
+  const meta = {};
+
+  if (match) {
+    for (const line of match[1].split(/\r?\n/)) {
+      const separator = line.indexOf(':');
+      if (separator > 0) {
+        meta[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+      }
+    }
+  }
+
+  const body = (match ? match[2] : source).trim();
+  for (const [, variable] of body.matchAll(/\{\{\s*(\w+)\s*\}\}/g)) {
+    if (!VARIABLES.includes(variable)) {
+      throw new Error(`Unknown variable {{${variable}}} in prompt template ${fileName}`);
+    }
+  }
+
+  return {
+    name: meta.name || path.basename(fileName, '.md'),
+    version: meta.version || '0.0.0',
+    description: meta.description || '',
+    tone: meta.tone || 'professional',
+    system: meta.system || DEFAULT_SYSTEM,
+    quality: Object.fromEntries(
+      [['minLengthRatio', meta.min_length_ratio], ['minHeadings', meta.min_headings]]
+        .filter(([, value]) => value !== undefined && value !== '' && !Number.isNaN(Number(value)))
+        .map(([key, value]) => [key, Number(value)])
+    ),
+    body,
+  };
+}
+
+/**
+ * Load all templates (built-in first, then PROMPT_TEMPLATES_DIR)
+ *
+ * Read from disk on every call so edited templates are picked up
+ * without restarting the service.
+ *
+ * @returns {Map<string, Object>} Templates keyed by name
+ */
+function loadTemplates() {
+  const templates = new Map();
+  const dirs = [BUILT_IN_DIR, process.env.PROMPT_TEMPLATES_DIR].filter(Boolean);
+
+  for (const dir of dirs) {
+    if (!fs.existsSync(dir)) {
+      console.warn(`Prompt template directory not found: ${dir}`);
+      continue;
+    }
+    for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.md')).sort()) {
+      const template = parseTemplate(fs.readFileSync(path.join(dir, file), 'utf8'), file);
+      templates.set(template.name, template);
+    }
+  }
+
+  return templates;
+}
+
+/**
+ * List available templates (without their bodies)
+ *
+ * @returns {Array<Object>} { name, version, description, tone }
+ */
+export function listTemplates() {
+  return [...loadTemplates().values()].map(({ name, version, description, tone }) => ({
+    name,
+    version,
+    description,
+    tone,
+  }));
+}
+
+/**
+ * Get a template by name
+ *
+ * @param {string} name - Template name (default PROMPT_TEMPLATE or seo-long-form)
+ * @returns {Object} Template
+ */
+export function getTemplate(name = process.env.PROMPT_TEMPLATE || 'seo-long-form') {
+  const templates = loadTemplates();
+  const template = templates.get(name);
+  if (!template) {
+    throw new Error(`Unknown prompt template: ${name} (available: ${[...templates.keys()].join(', ')})`);
+  }
+  return template;
+}
+
+/**
+ * Render a template into the system message and prompt for the LLM
+ *
+ * @param {Object} template - Template from getTemplate()
+ * @param {Object} variables - { title, content, references, reference_urls, tone }
+ * @returns {Object} { system, prompt }
+ */
+export function renderTemplate(template, variables) {
+  const values = { ...variables, tone: variables.tone || template.tone };
+  const prompt = template.body.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, variable) => values[variable] ?? '');
+  return { system: template.system, prompt };
+}
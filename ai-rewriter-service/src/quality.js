@@ -0,0 +1,188 @@
+/**
+ * Output Quality Gate
+ *
+ * Cleans and validates LLM output before it is published:
+ *
+ * - cleanOutput() strips chat preambles ("Sure, here's the rewritten
+ *   article:"), sign-offs ("Let me know if...") and code fences wrapped
+ *   around the whole article
+ * - validateOutput() checks for refusals, a minimum length relative to the
+ *   original, enough headings, and a References section listing every
+ *   scraped URL
+ *
+ *   QUALITY_MIN_LENGTH_RATIO   rewrite words / original words (default 0.6)
+ *   QUALITY_MIN_HEADINGS       headings besides References (default 2)
+ *   QUALITY_MAX_RETRIES        retries with feedback (default 1)
+ *   QUALITY_ON_FAILURE         flag | block (default flag: publish, marked for review)
+ */
+
+import { stripReferencesSection } from './originality.js';
+import { envNumber } from './env.js';
+
+const PREAMBLE = /^(?:(?:sure|certainly|absolutely|of course|okay|ok|great)[!,.:][^\n]*|here(?:'s| is| are)\b[^\n]*(?:article|version|rewrite|content|draft)[^\n]*:|(?:below|following) is\b[^\n]*[:.]|i(?:'ve| have) (?:rewritten|revised|created)\b[^\n]*)$/i;
+// Only lines addressed to the person who asked for the rewrite; "Note: this article was updated" is content
+const SIGN_OFF = /^(?:i hope (?:this|that)\b|let me know\b|feel free to (?:ask|let me)\b|if you(?:'d| would) like(?: me\b|,)|would you like me\b)[^\n]*$/i;
+const REFUSAL = /^(?:i(?:'m| am) sorry|i (?:cannot|can't|can not|am unable|won't)|as an ai\b|i apologi[sz]e)/i;
+const ON_FAILURE = ['flag', 'block'];
+
+/**
+ * Read quality gate options from env
+ *
+ * @returns {Object} { minLengthRatio, minHeadings, maxRetries, onFailure }
+ */
+export function qualityOptionsFromEnv() {
+  const onFailure = (process.env.QUALITY_ON_FAILURE || 'flag').toLowerCase().trim();
+  if (!ON_FAILURE.includes(onFailure)) {
+    throw new Error(`Invalid QUALITY_ON_FAILURE: ${onFailure} (expected ${ON_FAILURE.join(', ')})`);
+  }
+
+  return {
+    minLengthRatio: envNumber('QUALITY_MIN_LENGTH_RATIO', 0.6, { min: 0 }),
+    minHeadings: envNumber('QUALITY_MIN_HEADINGS', 2, { min: 0, integer: true }),
+    maxRetries: envNumber('QUALITY_MAX_RETRIES', 1, { min: 0, integer: true }),
+    onFailure,
+  };
+}
+
+/**
+ * Strip chat wrapping from LLM output
+ *
+ * @param {string} text - Raw LLM output
+ * @returns {string} Article Markdown
+ */
+export function cleanOutput(text) {
+  const trimChat = (content) => {
+    const lines = content.split('\n');
+    const isNoise = (line) => line.trim() === '' || /^-{3,}$/.test(line.trim());
+    while (lines.length > 0 && (isNoise(lines[0]) || PREAMBLE.test(lines[0].trim()))) {
+      lines.shift();
+    }
+    while (lines.length > 0 && (isNoise(lines.at(-1)) || SIGN_OFF.test(lines.at(-1).trim()))) {
+      lines.pop();
+    }
+    return lines.join('\n').trim();
+  };
+
+  let content = trimChat(String(text || '').replace(/\r\n/g, '\n'));
+
+  // The whole article wrapped in ```markdown ... ```
+  const wrapped = content.match(/^```(?:markdown|md)?[ \t]*\n([\s\S]*)\n```$/i);
+  if (wrapped && (wrapped[1].match(/^```/gm) || []).length % 2 === 0) {
+    content = trimChat(wrapped[1]);
+  }
+
+  // Stray, unpaired fence lines
+  if ((content.match(/^```/gm) || []).length % 2 === 1) {
+    content = content.replace(/^```(?:markdown|md)?[ \t]*$/gim, (fence, offset) => (
+      offset === 0 || offset + fence.length === content.length || /markdown|md/i.test(fence) ? '' : fence
+    )).trim();
+  }
+
+  return content;
+}
+
+function wordCount(text) {
+  return String(text || '').split(/\s+/).filter(Boolean).length;
+}
+
+/**
+ * Find the References section and the URLs it lists
+ *
+ * @param {string} markdown - Article Markdown
+ * @returns {string|null} Section text (without its heading) or null
+ */
+function referencesSection(markdown) {
+  const body = stripReferencesSection(markdown);
+  if (body.length === markdown.length) return null;
+  return markdown.slice(body.length).replace(/^\s*#{1,6}[^\n]*\n?/, '');
+}
+
+function normalizeUrl(url) {
+  return url.toLowerCase().replace(/^https?:\/\/(www\.)?/, '').replace(/[/#?]+$/, '');
+}
+
+/**
+ * Validate cleaned LLM output
+ *
+ * @param {string} content - Cleaned article Markdown
+ * @param {Object} sources - { original: { content }, references: [{ url }] }
+ * @param {Object} options - Overrides for qualityOptionsFromEnv()
+ * @returns {Object} { passed, issues: [{ code, message }], metrics }
+ */
+export function validateOutput(content, { original, references = [] }, options = {}) {
+  const { minLengthRatio, minHeadings } = { ...qualityOptionsFromEnv(), ...options };
+  const issues = [];
+  const body = stripReferencesSection(content);
+
+  if (REFUSAL.test(content.trim())) {
+    issues.push({ code: 'refusal', message: 'The output is a refusal or apology instead of an article.' });
+  }
+  const firstLine = content.trim().split('\n')[0] || '';
+  if (PREAMBLE.test(firstLine.trim())) {
+    issues.push({ code: 'preamble', message: `The output starts with a chat preamble ("${firstLine.trim().slice(0, 80)}").` });
+  }
+
+  const words = wordCount(body);
+  const originalWords = wordCount(original?.content);
+  const lengthRatio = originalWords ? Math.round((words / originalWords) * 100) / 100 : 1;
+  if (lengthRatio < minLengthRatio) {
+    issues.push({
+      code: 'too_short',
+      message: `The article has ${words} words, less than ${Math.round(minLengthRatio * 100)}% of the original's ${originalWords}.`,
+    });
+  }
+
+  const headings = (body.match(/^#{1,6}\s+\S/gm) || []).length;
+  if (headings < minHeadings) {
+    issues.push({ code: 'headings', message: `The article has ${headings} Markdown heading(s); at least ${minHeadings} are required.` });
+  }
+
+  const section = referencesSection(content);
+  const listed = section ? normalizeUrl(section) : '';
+  const missingUrls = references
+    .map(ref => ref.url)
+    .filter(url => !section || !listed.includes(normalizeUrl(url)));
+  if (!section) {
+    issues.push({ code: 'references_missing', message: 'There is no "## References" section at the end.' });
+  } else if (missingUrls.length > 0) {
+    issues.push({ code: 'references_incomplete', message: `The References section does not list: ${missingUrls.join(', ')}.` });
+  }
+
+  return {
+    passed: issues.length === 0,
+    issues,
+    metrics: { words, originalWords, lengthRatio, headings, missingUrls },
+  };
+}
+
+/**
+ * Add any reference URLs the References section is missing
+ *
+ * Used as a last resort so published articles always credit their sources.
+ *
+ * @param {string} content - Article Markdown
+ * @param {Array<Object>} references - [{ title, url }]
+ * @returns {string} Article with a complete References section
+ */
+export function appendMissingReferences(content, references) {
+  const section = referencesSection(content);
+  const listed = section ? normalizeUrl(section) : '';
+  const missing = references.filter(ref => !listed.includes(normalizeUrl(ref.url)));
+  if (missing.length === 0) return content;
+
+  const offset = section ? (section.match(/^\s*\d+\./gm) || []).length : 0;
+  const items = missing.map((ref, i) => `${offset + i + 1}. [${ref.title}](${ref.url})`).join('\n');
+  return section ? `${content.trimEnd()}\n${items}` : `${content.trimEnd()}\n\n## References\n\n${items}`;
+}
+
+/**
+ * Describe failed checks for the LLM, so a retry can fix them
+ *
+ * @param {Object} result - Result from validateOutput()
+ * @param {Array<Object>} references - [{ url }]
+ * @returns {string} Feedback to append to the prompt
+ */
+export function qualityFeedback(result, references) {
+  const lines = result.issues.map(issue => `- ${issue.message}`);
+  return `Your previous draft did not pass review:\n${lines.join('\n')}\nReturn only the article in Markdown: no introduction or closing remarks, no code fences, use ## headings, and end with a "## References" section listing:\n${references.map((ref, i) => `${i + 1}. ${ref.url}`).join('\n')}`;
+}
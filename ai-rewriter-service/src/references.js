@@ -0,0 +1,82 @@
+/**
+ * Reference Selection
+ *
+ * Chooses which scraped pages the LLM gets to see. Candidates are ranked by
+ * TF-IDF cosine similarity to the original article; a candidate that is a
+ * near-duplicate of one already chosen (syndicated copies, the same post on
+ * two URLs) is dropped so every reference adds something new.
+ *
+ *   REFERENCE_COUNT                 references passed to the LLM (default 2)
+ *   REFERENCE_MIN_SIMILARITY        drop candidates less relevant than this (default 0.05)
+ *   REFERENCE_DUPLICATE_THRESHOLD   similarity above which two candidates
+ *                                   count as duplicates (default 0.8)
+ */
+
+import { tfidfVectors, cosineSimilarity } from './text/similarity.js';
+import { envNumber } from './env.js';
+
+/**
+ * Read reference selection options from env
+ *
+ * @returns {Object} { count, minSimilarity, duplicateThreshold }
+ */
+export function referenceOptionsFromEnv() {
+  return {
+    count: envNumber('REFERENCE_COUNT', 2, { min: 1, integer: true }),
+    minSimilarity: envNumber('REFERENCE_MIN_SIMILARITY', 0.05, { min: 0, max: 1 }),
+    duplicateThreshold: envNumber('REFERENCE_DUPLICATE_THRESHOLD', 0.8, { min: 0, max: 1 }),
+  };
+}
+
+/**
+ * Rank candidates and pick the best, non-duplicate references
+ *
+ * @param {Object} original - Original article ({ title, content })
+ * @param {Array<Object>} candidates - Scraped pages ({ url, title, content })
+ * @param {Object} options - { count, minSimilarity, duplicateThreshold } (defaults from env)
+ * @returns {Object} { selected, rejected } - each candidate gets a `relevance` score;
+ *                   rejected ones also get a `reason`
+ */
+export function selectReferences(original, candidates, options = {}) {
+  const { count, minSimilarity, duplicateThreshold } = { ...referenceOptionsFromEnv(), ...options };
+
+  const documents = [original, ...candidates].map(doc => `${doc.title || ''}\n${doc.content || ''}`);
+  const [originalVector, ...vectors] = tfidfVectors(documents);
+
+  const ranked = candidates
+    .map((candidate, index) => ({
+      candidate: { ...candidate, relevance: round(cosineSimilarity(originalVector, vectors[index])) },
+      vector: vectors[index],
+    }))
+    .sort((a, b) => b.candidate.relevance - a.candidate.relevance);
+
+  const selected = [];
+  const rejected = [];
+
+  for (const entry of ranked) {
+    const { candidate } = entry;
+
+    if (candidate.relevance < minSimilarity) {
+      rejected.push({ ...candidate, reason: 'not relevant enough' });
+      continue;
+    }
+    if (selected.length >= count) {
+      rejected.push({ ...candidate, reason: 'lower relevance' });
+      continue;
+    }
+
+    const duplicate = selected.find(chosen => cosineSimilarity(chosen.vector, entry.vector) >= duplicateThreshold);
+    if (duplicate) {
+      rejected.push({ ...candidate, reason: `near-duplicate of ${duplicate.candidate.url}` });
+      continue;
+    }
+
+    selected.push(entry);
+  }
+
+  return { selected: selected.map(entry => entry.candidate), rejected };
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
@@ -0,0 +1,89 @@
+/**
+ * Job Event Stream (Server-Sent Events)
+ *
+ * Streams a job's progress to the client as it happens:
+ *
+ *   event: job    - snapshot of the job when the stream opens
+ *   event: step   - { name, detail } pipeline step (fetching, searching,
+ *                   scraping, generating, publishing, published); every
+ *                   `generating` step starts a new draft, so tokens
+ *                   received before it are discarded
+ *   event: token  - { text } LLM output chunk (streaming providers), or the
+ *                   whole draft at once for providers that don't stream
+ *   event: done   - final job record (state succeeded | failed)
+ *
+ * A comment line is sent every 15s to keep proxies from closing the stream.
+ */
+
+const HEARTBEAT_MS = 15000;
+
+/**
+ * Stream events for a job until it finishes or the client disconnects
+ *
+ * @param {Object} queue - Job queue
+ * @param {string} jobId - Job ID
+ * @param {Object} request - Fastify request
+ * @param {Object} reply - Fastify reply
+ */
+export function streamJobEvents(queue, jobId, request, reply) {
+  const job = queue.get(jobId);
+
+  reply.hijack();
+  const res = reply.raw;
+  // Hijacking skips Fastify's own header writing, so pass on what hooks already set (CORS, rate limits)
+  res.writeHead(200, {
+    ...reply.getHeaders(),
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  send('job', job);
+  if (job.state === 'succeeded' || job.state === 'failed') {
+    send('done', job);
+    res.end();
+    return;
+  }
+
+  const onStep = (event) => {
+    if (event.jobId === jobId) send('step', { name: event.name, detail: event.detail });
+  };
+  const onToken = (event) => {
+    if (event.jobId === jobId) send('token', { text: event.text });
+  };
+  const onDone = (done) => {
+    if (done.id !== jobId) return;
+    send('done', done);
+    cleanup();
+    res.end();
+  };
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_MS);
+
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    queue.events.off('step', onStep);
+    queue.events.off('token', onToken);
+    queue.events.off('done', onDone);
+  };
+
+  queue.events.on('step', onStep);
+  queue.events.on('token', onToken);
+  queue.events.on('done', onDone);
+  // The response, not the request: a request with a body closes as soon as the body is read
+  res.on('close', cleanup);
+}
+
+export default async function jobEventRoutes(fastify, { queue }) {
+  fastify.get('/jobs/:id/events', async (request, reply) => {
+    if (!queue.get(request.params.id)) {
+      reply.code(404);
+      return { success: false, error: 'Job not found' };
+    }
+    streamJobEvents(queue, request.params.id, request, reply);
+  });
+}
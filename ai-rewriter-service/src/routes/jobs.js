@@ -0,0 +1,25 @@
+/**
+ * Job Routes
+ *
+ * Read-only view of the rewrite job queue: state, current pipeline step,
+ * per-step timings, result and error.
+ */
+
+export default async function jobRoutes(fastify, { queue }) {
+  // List jobs, newest first. Query: ?state=queued|running|succeeded|failed&type=&limit=
+  fastify.get('/jobs', async (request) => {
+    const { state, type, limit } = request.query || {};
+    const jobs = queue.list({ state, type, limit: Math.min(Number(limit) || 50, 500) });
+    return { jobs };
+  });
+
+  // Single job
+  fastify.get('/jobs/:id', async (request, reply) => {
+    const job = queue.get(request.params.id);
+    if (!job) {
+      reply.code(404);
+      return { success: false, error: 'Job not found' };
+    }
+    return { job };
+  });
+}
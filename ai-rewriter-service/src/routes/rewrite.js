@@ -0,0 +1,103 @@
+/**
+ * Rewrite Routes
+ *
+ * Rewrites run in the background job queue. Each route returns 202 with the
+ * job ID immediately; poll GET /jobs/:id for progress. Pass `?wait=true` to
+ * hold the request open until the job finishes (the old synchronous behaviour),
+ * or `?stream=true` to receive the job's progress as Server-Sent Events.
+ */
+
+import { getTemplate, listTemplates } from '../prompts/index.js';
+import { budgetFromEnv, budgetStatus } from '../usage/index.js';
+import { batchOptions } from '../scripts/rewrite-latest.js';
+import { streamJobEvents } from './job-events.js';
+
+/**
+ * Enqueue a job and build the HTTP response for it
+ *
+ * Every rewrite route accepts { template, tone } in the body to choose the
+ * prompt template; unknown templates are rejected before anything is queued.
+ * Nothing is queued either once the usage budget is spent (402). The API
+ * key's daily quota is only charged for a job that gets queued.
+ */
+async function enqueueAndRespond({ queue, ledger, auth }, request, reply, type, params) {
+  const { template, tone } = request.body || {};
+  try {
+    getTemplate(template);
+  } catch (error) {
+    reply.code(400);
+    return { success: false, error: error.message };
+  }
+
+  const budget = budgetStatus({ ledger, budget: budgetFromEnv() });
+  if (budget.exceeded) {
+    const period = budget.monthly.exceeded ? 'Monthly' : 'Daily';
+    reply.code(402);
+    return { success: false, error: `${period} usage budget exceeded; see GET /stats/usage`, budget };
+  }
+
+  const quotaExceeded = auth.consumeQuota(request, reply);
+  if (quotaExceeded) {
+    reply.code(429);
+    return { success: false, error: quotaExceeded };
+  }
+
+  const job = queue.enqueue(type, { ...params, template, tone });
+
+  if (request.query?.stream === 'true') {
+    return streamJobEvents(queue, job.id, request, reply);
+  }
+
+  if (request.query?.wait === 'true') {
+    const finished = await queue.waitFor(job.id);
+    if (finished.state === 'failed') {
+      reply.code(500);
+      return { success: false, jobId: job.id, error: finished.error.message };
+    }
+    return { success: true, jobId: job.id, result: finished.result };
+  }
+
+  reply.code(202);
+  return { success: true, jobId: job.id, state: job.state, statusUrl: `/jobs/${job.id}` };
+}
+
+// Routes that spend search/LLM credit count towards each API key's daily quota (see api-auth.js)
+export default async function rewriteRoutes(fastify, { queue, ledger, auth }) {
+  const deps = { queue, ledger, auth };
+
+  // Available prompt templates
+  fastify.get('/prompts', async () => {
+    return { templates: listTemplates() };
+  });
+
+  // Rewrite the latest unrewritten article
+  fastify.post('/rewrite/latest', { config: { quota: true } }, async (request, reply) => {
+    return enqueueAndRespond(deps, request, reply, 'rewrite-latest', {});
+  });
+
+  // Rewrite every unrewritten article
+  // Body (all optional): { concurrency, maxArticles, budgetMinutes }
+  fastify.post('/rewrite/batch', { config: { quota: true } }, async (request, reply) => {
+    const { concurrency, maxArticles, budgetMinutes } = request.body || {};
+    try {
+      batchOptions({ concurrency, maxArticles, budgetMinutes });
+    } catch (error) {
+      reply.code(400);
+      return { success: false, error: error.message };
+    }
+    return enqueueAndRespond(deps, request, reply, 'rewrite-batch', { concurrency, maxArticles, budgetMinutes });
+  });
+
+  // Rewrite a specific article
+  // Body (optional): { force: true } to add another version to an already rewritten article
+  fastify.post('/rewrite/:articleId', { config: { quota: true } }, async (request, reply) => {
+    const articleId = Number(request.params.articleId);
+    if (!Number.isInteger(articleId) || articleId <= 0) {
+      reply.code(400);
+      return { success: false, error: 'articleId must be a positive integer' };
+    }
+
+    const force = request.body?.force === true || request.query?.force === 'true';
+    return enqueueAndRespond(deps, request, reply, 'rewrite-article', { articleId, force });
+  });
+}
@@ -0,0 +1,20 @@
+/**
+ * Schedule Routes
+ *
+ * Inspect and control the built-in rewrite scheduler.
+ */
+
+export default async function scheduleRoutes(fastify, { scheduler }) {
+  // Configuration, pause state, next and last run
+  fastify.get('/schedule', async () => {
+    return { schedule: scheduler.status() };
+  });
+
+  fastify.post('/schedule/pause', async () => {
+    return { success: true, schedule: scheduler.pause() };
+  });
+
+  fastify.post('/schedule/resume', async () => {
+    return { success: true, schedule: scheduler.resume() };
+  });
+}
@@ -0,0 +1,32 @@
+/**
+ * Stats Routes
+ *
+ * Token, search and cost accounting from the usage ledger (see src/usage).
+ * Costs are estimates from the price table, not provider invoices.
+ */
+
+import { budgetStatus, summarizeUsage, usageOptionsFromEnv } from '../usage/index.js';
+
+export default async function statsRoutes(fastify, { ledger }) {
+  // Daily and monthly aggregates (UTC, oldest first), this month's spend per model, and budget status.
+  // Query: ?days=30 (1-366) &months=12 (1-24)
+  fastify.get('/stats/usage', async (request) => {
+    const days = Math.min(Math.max(Number(request.query?.days) || 30, 1), 366);
+    const months = Math.min(Math.max(Number(request.query?.months) || 12, 1), 24);
+
+    const now = Date.now();
+    const oldestMonth = new Date(now);
+    oldestMonth.setUTCDate(1);
+    oldestMonth.setUTCMonth(oldestMonth.getUTCMonth() - (months - 1));
+    const oldestDay = new Date(now - (days - 1) * 24 * 60 * 60 * 1000);
+    const since = new Date(Math.min(oldestMonth, oldestDay)).toISOString().slice(0, 10);
+
+    const { daily, monthly, models } = summarizeUsage(ledger.entries({ since }), { days, months, now });
+    return {
+      budget: budgetStatus({ ledger, budget: usageOptionsFromEnv().budget, now }),
+      daily,
+      monthly,
+      models,
+    };
+  });
+}
@@ -0,0 +1,152 @@
+/**
+ * Rewrite Scheduler
+ *
+ * Runs rewrite jobs on a cron schedule inside the service, so no external
+ * crontab is needed. Each tick:
+ * 1. Waits a random jitter (0..REWRITE_SCHEDULE_JITTER_SECONDS)
+ * 2. Takes the scheduler lock (skips the tick if a previous run still holds it)
+ * 3. Enqueues a rewrite job and waits for it to finish
+ * 4. Releases the lock and records the run
+ *
+ * The lock is a file in DATA_DIR, so several service instances sharing the
+ * same data directory never overlap either. Pause state and the last run
+ * are persisted in DATA_DIR/scheduler.json and survive restarts.
+ */
+
+import fs from 'node:fs';
+import { Cron } from 'croner';
+import { acquireLock, releaseLock } from './lock.js';
+import { dataPath } from './data-dir.js';
+import { envNumber } from './env.js';
+
+/**
+ * Create the scheduler
+ *
+ * @param {Object} options
+ * @param {Object} options.queue - Job queue (see jobs/queue.js)
+ * @param {string} options.cron - Cron expression; empty disables the scheduler
+ * @param {string} options.timezone - IANA timezone for the cron expression
+ * @param {number} options.jitterSeconds - Max random delay before each run
+ * @param {string} options.jobType - Job type to enqueue (rewrite-latest | rewrite-batch)
+ * @param {Object} options.jobParams - Parameters for the job
+ * @returns {Object} Scheduler
+ */
+export function createScheduler({ queue, cron, timezone = 'UTC', jitterSeconds = 0, jobType = 'rewrite-latest', jobParams = {} }) {
+  const statePath = dataPath('scheduler.json');
+  const lockPath = dataPath('scheduler.lock');
+  const state = { paused: false, lastRun: null, skippedRuns: 0, ...readState(statePath) };
+  let task = null;
+  let running = false;
+
+  const saveState = () => {
+    fs.writeFileSync(statePath, JSON.stringify(state, null, 2));
+  };
+
+  const tick = async () => {
+    const jitterMs = Math.round(Math.random() * jitterSeconds * 1000);
+    if (jitterMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, jitterMs));
+    }
+
+    if (running || !acquireLock(lockPath)) {
+      state.skippedRuns += 1;
+      saveState();
+      console.warn('Scheduled rewrite skipped: previous run still in progress');
+      return;
+    }
+
+    running = true;
+    const startedAt = new Date().toISOString();
+    try {
+      const job = queue.enqueue(jobType, { ...jobParams, scheduled: true });
+      state.lastRun = { jobId: job.id, startedAt, finishedAt: null, state: 'running' };
+      saveState();
+
+      const finished = await queue.waitFor(job.id);
+      state.lastRun = { jobId: job.id, startedAt, finishedAt: new Date().toISOString(), state: finished.state };
+    } catch (error) {
+      state.lastRun = { jobId: null, startedAt, finishedAt: new Date().toISOString(), state: 'failed', error: error.message };
+    } finally {
+      running = false;
+      releaseLock(lockPath);
+      saveState();
+    }
+  };
+
+  return {
+    /**
+     * Start the cron timer (no-op when no cron expression is configured)
+     */
+    start() {
+      if (!cron) return;
+      task = new Cron(cron, { timezone, paused: state.paused }, tick);
+    },
+
+    /**
+     * Stop the cron timer and give up the lock, so the next process does not wait for it
+     */
+    stop() {
+      task?.stop();
+      task = null;
+      releaseLock(lockPath);
+    },
+
+    pause() {
+      state.paused = true;
+      task?.pause();
+      saveState();
+      return this.status();
+    },
+
+    resume() {
+      state.paused = false;
+      task?.resume();
+      saveState();
+      return this.status();
+    },
+
+    /**
+     * Current schedule: configuration, pause state, next and last run
+     *
+     * @returns {Object} Status
+     */
+    status() {
+      return {
+        enabled: Boolean(task),
+        cron: cron || null,
+        timezone,
+        jitterSeconds,
+        jobType,
+        paused: state.paused,
+        running,
+        nextRun: task && !state.paused ? task.nextRun()?.toISOString() ?? null : null,
+        lastRun: state.lastRun,
+        skippedRuns: state.skippedRuns,
+      };
+    },
+  };
+}
+
+/**
+ * Create the scheduler from REWRITE_SCHEDULE_* env vars
+ *
+ * @param {Object} queue - Job queue
+ * @returns {Object} Scheduler
+ */
+export function createSchedulerFromEnv(queue) {
+  return createScheduler({
+    queue,
+    cron: process.env.REWRITE_SCHEDULE_CRON,
+    timezone: process.env.REWRITE_SCHEDULE_TIMEZONE || 'UTC',
+    jitterSeconds: envNumber('REWRITE_SCHEDULE_JITTER_SECONDS', 0, { min: 0 }),
+    jobType: process.env.REWRITE_SCHEDULE_JOB || 'rewrite-latest',
+  });
+}
+
+function readState(statePath) {
+  try {
+    return JSON.parse(fs.readFileSync(statePath, 'utf8'));
+  } catch {
+    return {};
+  }
+}
@@ -4,449 +4,496 @@
  * @version 1.0.1
  * This script:
  * 1. Fetches the latest article from Article Service
- * 2. Searches Google for related articles
- * 3. Scrapes the first two non-BeyondChats articles
+ * 2. Searches for related articles (SEARCH_PROVIDER, see src/search)
+ * 3. Scrapes the candidates and keeps the most relevant (REFERENCE_COUNT)
  * 4. Uses LLM to rewrite the original article
  * 5. Publishes the rewritten article back to Article Service
+ *
+ * Token, search and cost usage of every rewrite is recorded (see src/usage).
  */
 
 import axios from 'axios';
-import * as cheerio from 'cheerio';
-import OpenAI from 'openai';
 import dotenv from 'dotenv';
+import { parseArgs } from 'node:util';
+import { assertCanPublish, fetchArticle, fetchLatestArticle, fetchUnrewrittenArticles, publishArticle } from '../article-service.js';
+import { circuitOptionsFromEnv, createProviderChain, listProviders, loadExternalProviders, providerNamesFromEnv, resolveProviderConfig } from '../llm/index.js';
+import { getTemplate, renderTemplate } from '../prompts/index.js';
+import { extractArticle } from '../extract/index.js';
+import { createSearchProvider, searchReferences, searchProviderFromEnv, filterOptionsFromEnv } from '../search/index.js';
+import { selectReferences, referenceOptionsFromEnv } from '../references.js';
+import { checkOriginality, originalityFeedback, describeViolations, originalityOptionsFromEnv } from '../originality.js';
+import { cleanOutput, validateOutput, appendMissingReferences, qualityFeedback, qualityOptionsFromEnv } from '../quality.js';
+import { envNumber, parseNumber } from '../env.js';
+import { assertWithinBudget, budgetFromEnv, budgetStatus, createUsageTracker, getUsageLedger } from '../usage/index.js';
 
 dotenv.config();
 
-// Configuration
-const ARTICLE_SERVICE_BASE_URL = process.env.ARTICLE_SERVICE_BASE_URL || 'http://localhost:8000';
-const LLM_PROVIDER = (process.env.LLM_PROVIDER || 'google').toLowerCase().trim();
-const SERP_API_KEY = process.env.SERP_API_KEY;
-
-// LLM API Keys
-const GOOGLE_AI_API_KEY = process.env.GOOGLE_AI_API_KEY;
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-const OLLAMA_BASE_URL = process.env.OLLAMA_BASE_URL || 'http://localhost:11434';
-const OLLAMA_MODEL = process.env.OLLAMA_MODEL || 'llama3.2';
-
-// Initialize provider
-let openai = null;
-if (LLM_PROVIDER === 'openai' && OPENAI_API_KEY) {
-  openai = new OpenAI({ apiKey: OPENAI_API_KEY });
-  console.log('Using OpenAI API');
-} else if (LLM_PROVIDER === 'google' && GOOGLE_AI_API_KEY) {
-  console.log('Using Google Gemini API');
-} else if (LLM_PROVIDER === 'ollama') {
-  console.log(`Using Ollama (${OLLAMA_BASE_URL}/${OLLAMA_MODEL})`);
-} else {
-  console.error('ERROR: Invalid LLM_PROVIDER or missing API key');
-  console.error('Set LLM_PROVIDER=google|openai|ollama and corresponding API key');
-  process.exit(1);
+// Reference pages scraped in parallel
+const SCRAPE_CONCURRENCY = 3;
+
+let llmProvider = null;
+
+/**
+ * Get the configured LLM provider chain, creating it on first use
+ *
+ * Providers are looked up in the LLM registry (see src/llm/registry.js).
+ * LLM_PROVIDERS=google,ollama,openai gives an ordered fallback list;
+ * a single LLM_PROVIDER is a chain of one.
+ *
+ * @returns {Promise<Object>} Provider chain
+ */
+async function getLLMProvider() {
+  if (llmProvider) return llmProvider;
+
+  await loadExternalProviders();
+  llmProvider = createProviderChain(providerNamesFromEnv());
+
+  console.log(`Using LLM providers (in fallback order): ${llmProvider.providers.join(' -> ')}`);
+  return llmProvider;
+}
+
+/**
+ * Check the pipeline configuration without calling any external service
+ *
+ * Covers the search provider and result filter, the reference, quality and
+ * originality options, which are otherwise only read after search and
+ * scraping have already spent quota, the LLM provider and circuit breaker
+ * settings, and the usage budgets. Called when the server starts and before
+ * every rewrite.
+ *
+ * @throws {Error} On the first invalid setting
+ */
+export function assertValidOptions() {
+  createSearchProvider(searchProviderFromEnv());
+  filterOptionsFromEnv();
+  // Providers from LLM_PROVIDER_MODULES are only registered once loaded; the chain reports those
+  const registered = listProviders();
+  providerNamesFromEnv().filter(name => registered.includes(name)).forEach(name => resolveProviderConfig(name));
+  circuitOptionsFromEnv();
+  referenceOptionsFromEnv();
+  qualityOptionsFromEnv();
+  originalityOptionsFromEnv();
+  budgetFromEnv();
 }
 
 /**
  * Main function to rewrite the latest article
+ *
+ * @param {Object} options - { template, tone, onStep(step, detail) }
  */
-export async function rewriteLatest() {
+export async function rewriteLatest(options = {}) {
+  const { template, tone, onStep = () => {}, onToken } = options;
   try {
     console.log('Starting article rewriting process...');
 
     // Step 1: Fetch latest article
+    onStep('fetching');
     const article = await fetchLatestArticle();
     if (!article) {
       console.log('No articles found to rewrite');
       return { success: false, message: 'No articles found' };
     }
 
-    console.log(`Fetched article: ${article.data.title}`);
+    return await rewriteArticle(article.data, options);
+  } catch (error) {
+    console.error('Error during rewriting:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Rewrite a specific article by ID
+ *
+ * If the ID points to a rewritten version, its original is rewritten instead.
+ * Originals already marked `is_rewritten` are refused unless `force` is set,
+ * in which case an additional rewritten version is published under the same
+ * parent_article_id.
+ *
+ * @param {number|string} articleId - Article ID
+ * @param {Object} options - { force, template, tone, onStep(step, detail) }
+ * @returns {Promise<Object>} Rewrite result
+ */
+export async function rewriteById(articleId, options = {}) {
+  const { force = false, onStep = () => {} } = options;
 
-    // Step 2: Search Google for related articles
-    const searchResults = await googleSearch(article.data.title);
-    console.log(`Found ${searchResults.length} search results`);
+  console.log(`Starting rewrite of article ${articleId}${force ? ' (forced)' : ''}...`);
+  onStep('fetching', { articleId });
 
-    // Step 3: Scrape reference articles
-    const references = await scrapeReferenceArticles(searchResults);
-    console.log(`Scraped ${references.length} reference articles`);
+  let article = await fetchArticle(articleId);
+  if (!article) {
+    throw new Error(`Article ${articleId} not found`);
+  }
 
-    if (references.length === 0) {
-      console.log('No reference articles found, skipping rewrite');
-      return { success: false, message: 'No reference articles found' };
+  if (article.version === 'rewritten') {
+    article = article.parent || await fetchArticle(article.parent_article_id);
+    if (!article) {
+      throw new Error(`Original of rewritten article ${articleId} not found`);
     }
+    console.log(`Article ${articleId} is a rewritten version, rewriting its original ${article.id}`);
+  }
 
-    // Step 4: Rewrite article using LLM
-    const rewrittenContent = await rewriteWithLLM(
-      article.data,
-      references
-    );
-    console.log('Article rewritten successfully');
-
-    // Step 5: Publish rewritten article
-    const published = await publishArticle({
-      title: article.data.title + ' (Rewritten)',
-      content: rewrittenContent,
-      version: 'rewritten',
-      parent_article_id: article.data.id,
-      references: references.map(ref => ref.url),
-    });
-
-    console.log('Rewritten article published successfully');
+  if (article.is_rewritten && !force) {
+    console.log(`Article ${article.id} is already rewritten, skipping (use force to create another version)`);
     return {
-      success: true,
-      originalArticleId: article.data.id,
-      rewrittenArticleId: published.data.id,
+      success: false,
+      message: 'Article already rewritten; pass force to create an additional version',
+      originalArticleId: article.id,
     };
-  } catch (error) {
-    console.error('Error during rewriting:', error.message);
-    throw error;
   }
-}
 
-/**
- * Check if URL is from BeyondChats website
- * 
- * @param {string} url - URL to check
- * @returns {boolean} True if URL is from BeyondChats
- */
-function isBeyondChatsUrl(url) {
-  if (!url) return false;
-  const urlLower = url.toLowerCase();
-  return urlLower.includes('beyondchats.com') || 
-         urlLower.includes('beyondchats') ||
-         urlLower.includes('www.beyondchats.com');
+  return rewriteArticle(article, options);
 }
 
 /**
- * Fetch the latest article from Article Service
- * 
- * @returns {Promise<Object>} Article data
+ * Rewrite a single original article and publish the result
+ *
+ * Runs steps 2-5 of the pipeline (search, scrape, rewrite, publish).
+ * Returns `success: false` with a message when the article is skipped.
+ * Whatever the outcome, the tokens and search calls spent are recorded in
+ * the usage ledger and returned as `usage`.
+ *
+ * @param {Object} article - Original article data (id, title, content)
+ * @param {Object} options - { force, template, tone, onStep(step, detail), onToken(text) }
+ * @returns {Promise<Object>} Rewrite result
  */
-async function fetchLatestArticle() {
+export async function rewriteArticle(article, options = {}) {
+  console.log(`Fetched article: ${article.title}`);
+
+  // Fail fast on an unknown template, invalid options, missing publish credentials or a
+  // spent budget before using search/LLM quota
+  getTemplate(options.template);
+  assertValidOptions();
+  assertCanPublish();
+  assertWithinBudget();
+
+  const usage = createUsageTracker();
   try {
-    const response = await axios.get(`${ARTICLE_SERVICE_BASE_URL}/api/articles/latest`);
-    return response.data;
+    const result = await runRewrite(article, options, usage);
+    recordUsage(article, usage, result.success ? 'published' : 'skipped', result);
+    return { ...result, usage: usage.summary() };
   } catch (error) {
-    if (error.response?.status === 404) {
-      return null;
-    }
-    throw new Error(`Failed to fetch latest article: ${error.message}`);
+    recordUsage(article, usage, 'failed', { error: error.message });
+    throw error;
   }
 }
 
 /**
- * Search Google for articles related to the title
- * 
- * This function searches Google and returns the first two blog/article URLs
- * from other websites (excluding BeyondChats).
- * 
- * Implementation options:
- * 1. SerpAPI (recommended for production) - requires API key
- * 2. Google Custom Search API (free tier available)
- * 3. DuckDuckGo HTML scraping (demo/fallback)
- * 
- * @param {string} query - Search query (article title)
- * @returns {Promise<Array>} Array of search result URLs
+ * Append a rewrite's usage to the ledger
+ *
+ * Accounting problems are logged, never allowed to fail the rewrite itself.
+ *
+ * @param {Object} article - Original article
+ * @param {Object} usage - Usage tracker
+ * @param {string} outcome - published | skipped | failed
+ * @param {Object} detail - { rewrittenArticleId, message, error }
  */
-async function googleSearch(query) {
+function recordUsage(article, usage, outcome, detail = {}) {
+  if (usage.isEmpty()) return;
+
   try {
-    console.log(`Searching Google for: "${query}"`);
-    
-    if (SERP_API_KEY) {
-      return await searchWithSerpAPI(query, SERP_API_KEY);
-    }
-    
-    console.warn('WARNING: SERP_API_KEY not set. Using DuckDuckGo fallback (demo only).');
-    return await searchWithDuckDuckGo(query);
-    
+    getUsageLedger().record({
+      at: new Date().toISOString(),
+      articleId: article.id,
+      outcome,
+      rewrittenArticleId: detail.rewrittenArticleId ?? null,
+      reason: detail.error || detail.message || null,
+      ...usage.summary(),
+    });
   } catch (error) {
-    console.error('Error during Google search:', error.message);
-    return [];
+    console.error(`Failed to record usage: ${error.message}`);
   }
 }
 
-async function searchWithSerpAPI(query, apiKey) {
-  const response = await axios.get('https://serpapi.com/search', {
-    params: { engine: 'google', q: query, api_key: apiKey, num: 10 },
-  });
+/**
+ * Steps 2-5 of the pipeline for one article
+ *
+ * @param {Object} article - Original article data
+ * @param {Object} options - See rewriteArticle()
+ * @param {Object} usage - Usage tracker
+ * @returns {Promise<Object>} Rewrite result
+ */
+async function runRewrite(article, options, usage) {
+  const { force = false, template, tone, onStep = () => {}, onToken } = options;
+
+  // Step 2: Search for related articles (over-fetch so ranking has a choice)
+  const referenceOptions = referenceOptionsFromEnv();
+  onStep('searching', { articleId: article.id });
+  const searchResults = await searchArticles(article.title, referenceOptions.count * 3, usage);
+  console.log(`Found ${searchResults.length} search results`);
+
+  // Step 3: Scrape candidates and keep the most relevant
+  onStep('scraping', { articleId: article.id, urls: searchResults.length });
+  const references = await scrapeReferenceArticles(article, searchResults, referenceOptions);
+  console.log(`Selected ${references.length} reference articles`);
+
+  if (references.length === 0) {
+    console.log('No reference articles found, skipping rewrite');
+    return { success: false, message: 'No reference articles found' };
+  }
 
-  const urls = [];
-  for (const result of response.data.organic_results || []) {
-    const url = result.link;
-    if (url && !isBeyondChatsUrl(url) && !url.includes('google.com') && !url.includes('youtube.com') &&
-        (url.includes('/blog/') || url.includes('/article/') || url.includes('/post/'))) {
-      urls.push(url);
-      console.log(`  Found: ${result.title || url}`);
-      if (urls.length >= 2) break;
+  // Step 4: Rewrite article using LLM
+  const rewrite = await rewriteWithLLM(
+    article,
+    references,
+    {
+      template,
+      tone,
+      onToken,
+      usage,
+      // Every draft (fallback provider or quality/originality retry) starts with a new step; SSE clients reset on it
+      onAttempt: (provider, { attempt, retry }) => onStep('generating', {
+        articleId: article.id,
+        references: references.length,
+        provider,
+        attempt,
+        retry,
+      }),
     }
-  }
-  console.log(`Found ${urls.length} relevant articles via SerpAPI`);
-  return urls;
+  );
+  console.log(`Article rewritten successfully by ${rewrite.provider} (${rewrite.model})`);
+
+  // Step 5: Publish rewritten article
+  onStep('publishing', { articleId: article.id, provider: rewrite.provider });
+  const published = await publishArticle({
+    title: article.title + ' (Rewritten)',
+    content: rewrite.content,
+    version: 'rewritten',
+    parent_article_id: article.id,
+    references: references.map(ref => ref.url),
+    rewrite_meta: {
+      provider: rewrite.provider,
+      model: rewrite.model,
+      attempts: rewrite.attempts,
+      forced: force,
+      prompt: rewrite.prompt,
+      references: references.map(ref => ({ url: ref.url, relevance: ref.relevance })),
+      quality: rewrite.quality,
+      originality: rewrite.originality,
+      // Everything spent on this rewrite, retries and regenerations included
+      usage: usage.summary(),
+    },
+  });
+
+  // Article Service keeps rewrites as drafts until an editor approves them
+  const reviewStatus = published.data.review_status || 'approved';
+  console.log(`Rewritten article published successfully (review status: ${reviewStatus})`);
+  onStep('published', { articleId: article.id, rewrittenArticleId: published.data.id, reviewStatus });
+  return {
+    success: true,
+    originalArticleId: article.id,
+    rewrittenArticleId: published.data.id,
+    reviewStatus,
+    provider: rewrite.provider,
+    model: rewrite.model,
+    prompt: rewrite.prompt,
+  };
 }
 
+/**
+ * Resolve batch options, falling back to BATCH_* env vars
+ *
+ * @param {Object} options - { concurrency, maxArticles, budgetMinutes } (numbers or numeric strings)
+ * @returns {Object} { concurrency, maxArticles, budgetMinutes } - maxArticles is Infinity and
+ *   budgetMinutes null when unlimited
+ * @throws {Error} When a value is not a positive number
+ */
+export function batchOptions(options = {}) {
+  const count = { min: 1, integer: true };
+  return {
+    concurrency: parseNumber('concurrency', options.concurrency, envNumber('BATCH_CONCURRENCY', 1, count), count),
+    maxArticles: parseNumber('maxArticles', options.maxArticles, envNumber('BATCH_MAX_ARTICLES', Infinity, count), count),
+    budgetMinutes: parseNumber('budgetMinutes', options.budgetMinutes, envNumber('BATCH_BUDGET_MINUTES', null, { min: 0 }), { min: 0 }),
+  };
+}
 
 /**
- * Fallback: Search using DuckDuckGo HTML scraping (demo only)
- * NOTE: This is for demonstration. Production should use proper APIs.
- * 
- * DuckDuckGo doesn't require API keys but results may be limited.
- * For production, use SerpAPI or Google Custom Search API.
+ * Rewrite every unrewritten article (batch mode)
+ *
+ * Works through the backlog with a small worker pool. Articles are skipped
+ * once the time budget or the usage budget (USAGE_BUDGET_*) is spent;
+ * articles already in progress still finish.
+ *
+ * @param {Object} options - Batch options
+ * @param {number} options.concurrency - Articles processed in parallel (default BATCH_CONCURRENCY or 1)
+ * @param {number} options.maxArticles - Upper bound on articles taken from the backlog (default BATCH_MAX_ARTICLES)
+ * @param {number} options.budgetMinutes - Wall-clock budget for the run (default BATCH_BUDGET_MINUTES)
+ * @param {string} options.template - Prompt template name
+ * @param {string} options.tone - Tone override for the template
+ * @param {Function} options.onStep - Progress callback (step, detail)
+ * @param {Function} options.onToken - LLM token callback (text)
+ * @returns {Promise<Object>} Summary report
  */
-async function searchWithDuckDuckGo(query) {
-  try {
-    // Use DuckDuckGo HTML interface
-    const searchUrl = `https://html.duckduckgo.com/html/?q=${encodeURIComponent(query)}`;
-    
-    const response = await axios.get(searchUrl, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-        'Accept': 'text/html,application/xhtml+xml',
-      },
-      timeout: 15000,
-    });
+export async function rewriteBatch(options = {}) {
+  const { concurrency, maxArticles, budgetMinutes } = batchOptions(options);
+  const { template, tone, onStep = () => {}, onToken } = options;
+  assertValidOptions();
+
+  const startedAt = Date.now();
+  const deadline = budgetMinutes ? startedAt + budgetMinutes * 60 * 1000 : Infinity;
+
+  console.log('Starting batch rewrite...');
+  onStep('fetching');
+  const articles = await fetchUnrewrittenArticles({ limit: maxArticles });
+  console.log(`Found ${articles.length} unrewritten articles (concurrency ${concurrency})`);
+
+  const results = [];
+  let budgetExhausted = false;
+  let usageBudgetExceeded = false;
+  let next = 0;
+
+  const worker = async () => {
+    while (next < articles.length) {
+      const article = articles[next++];
+
+      if (Date.now() >= deadline) {
+        budgetExhausted = true;
+        results.push({ articleId: article.id, title: article.title, status: 'skipped', reason: 'Run budget exhausted' });
+        continue;
+      }
 
-    const $ = cheerio.load(response.data);
-    const urls = [];
-
-    // Extract result links - try multiple selectors
-    const linkSelectors = [
-      '.result__a',
-      'a.result__a',
-      '.web-result a',
-      '.result a',
-    ];
-
-    for (const selector of linkSelectors) {
-      $(selector).each((i, element) => {
-        if (urls.length >= 2) return false; // Stop after 2
-        
-        const href = $(element).attr('href');
-        if (href) {
-          let cleanUrl = href;
-          
-          // Handle DuckDuckGo redirect URLs
-          if (href.includes('uddg=')) {
-            try {
-              const match = href.match(/uddg=([^&]+)/);
-              if (match) {
-                cleanUrl = decodeURIComponent(match[1]);
-              }
-            } catch (e) {
-              // If decoding fails, try to extract from URL
-              cleanUrl = href;
-            }
-          }
-          
-          // Ensure URL is absolute
-          if (!cleanUrl.startsWith('http')) {
-            cleanUrl = `https://${cleanUrl}`;
-          }
-          
-          // Filter: Only blog/article URLs, exclude BeyondChats and search engines
-          if (!isBeyondChatsUrl(cleanUrl) &&
-              !cleanUrl.includes('duckduckgo.com') &&
-              !cleanUrl.includes('google.com') &&
-              (cleanUrl.includes('/blog/') || 
-               cleanUrl.includes('/article/') || 
-               cleanUrl.includes('/post/') ||
-               cleanUrl.match(/\/\d{4}\/\d{2}\//))) { // Date-based URLs (common for blogs)
-            if (!urls.includes(cleanUrl)) {
-              urls.push(cleanUrl);
-            }
-          }
-        }
-      });
-      
-      if (urls.length >= 2) break;
-    }
+      if (usageBudgetExceeded || budgetStatus().exceeded) {
+        usageBudgetExceeded = true;
+        results.push({ articleId: article.id, title: article.title, status: 'skipped', reason: 'Usage budget exceeded' });
+        continue;
+      }
 
-    // If still not enough, try extracting from result titles
-    if (urls.length < 2) {
-      $('.result').each((i, element) => {
-        if (urls.length >= 2) return false;
-        
-        const resultLink = $(element).find('a').first().attr('href');
-        if (resultLink) {
-          let cleanUrl = resultLink;
-          if (resultLink.includes('uddg=')) {
-            const match = resultLink.match(/uddg=([^&]+)/);
-            if (match) {
-              cleanUrl = decodeURIComponent(match[1]);
-            }
-          }
-          
-          if (!cleanUrl.startsWith('http')) {
-            cleanUrl = `https://${cleanUrl}`;
-          }
-          
-          if (!isBeyondChatsUrl(cleanUrl) &&
-              !cleanUrl.includes('duckduckgo.com') &&
-              (cleanUrl.includes('/blog/') || cleanUrl.includes('/article/') || cleanUrl.includes('/post/'))) {
-            if (!urls.includes(cleanUrl)) {
-              urls.push(cleanUrl);
-            }
-          }
-        }
-      });
+      try {
+        const result = await rewriteArticle(article, { template, tone, onStep, onToken });
+        results.push(result.success
+          ? { articleId: article.id, title: article.title, status: 'succeeded', rewrittenArticleId: result.rewrittenArticleId, provider: result.provider }
+          : { articleId: article.id, title: article.title, status: 'skipped', reason: result.message });
+      } catch (error) {
+        console.error(`Failed to rewrite article ${article.id}:`, error.message);
+        results.push({ articleId: article.id, title: article.title, status: 'failed', reason: error.message });
+      }
     }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, articles.length) }, worker));
+
+  const count = (status) => results.filter(r => r.status === status).length;
+  const summary = {
+    total: articles.length,
+    succeeded: count('succeeded'),
+    skipped: count('skipped'),
+    failed: count('failed'),
+    budgetExhausted,
+    usageBudgetExceeded,
+    durationMs: Date.now() - startedAt,
+    results,
+  };
+
+  console.log(`Batch finished: ${summary.succeeded} succeeded, ${summary.skipped} skipped, ${summary.failed} failed`);
+  return summary;
+}
 
-    console.log(`Found ${urls.length} relevant articles via DuckDuckGo (demo)`);
-    if (urls.length > 0) {
-      urls.forEach((url, i) => console.log(`  ${i + 1}. ${url}`));
-    }
-    return urls.slice(0, 2); // Return max 2
+/**
+ * Search for articles related to the title
+ * 
+ * Uses the configured search provider (SEARCH_PROVIDER, see src/search) and
+ * returns the results that pass the SEARCH_* filters. Search failures are
+ * logged and treated as "no results" so the article is skipped, not failed.
+ * 
+ * @param {string} query - Search query (article title)
+ * @param {number} count - Minimum number of candidates wanted
+ * @param {Object} usage - Usage tracker; the call is counted even when it fails
+ * @returns {Promise<Array>} Search results [{ url, title, snippet, provider }]
+ */
+async function searchArticles(query, count, usage) {
+  const provider = searchProviderFromEnv();
+  if (provider === 'duckduckgo') {
+    console.warn('WARNING: Using DuckDuckGo HTML search (demo only). Set SEARCH_PROVIDER or SERP_API_KEY for production.');
+  }
+
+  try {
+    console.log(`Searching ${provider} for: "${query}"`);
+    usage?.addSearch(provider);
+    const results = await searchReferences(query, { count: Math.max(count, filterOptionsFromEnv().count) });
+    results.forEach((result, i) => console.log(`  ${i + 1}. ${result.title || result.url} (${result.url})`));
+    return results;
   } catch (error) {
-    console.error('DuckDuckGo search failed:', error.message);
+    console.error('Error during search:', error.message);
     return [];
   }
 }
 
 /**
- * Scrape content from reference articles
+ * Scrape and select reference articles
  * 
- * Fetches the first two non-BeyondChats blog/article URLs from Google search results
- * and scrapes their main content.
+ * Scrapes every search result (a few at a time), then keeps the
+ * REFERENCE_COUNT most relevant, non-duplicate pages (see src/references.js).
+ * Results that fail or are too short are skipped.
  * 
- * @param {Array<string>} urls - Array of article URLs from Google search
- * @returns {Promise<Array>} Array of scraped article content with title, content, and URL
+ * @param {Object} original - Original article ({ title, content })
+ * @param {Array<Object>} results - Search results ({ url, title, html? })
+ * @param {Object} options - Reference selection options (see selectReferences)
+ * @returns {Promise<Array>} Selected references with title, content, URL and relevance
  */
-async function scrapeReferenceArticles(urls) {
-  const references = [];
-  
-  // Filter out BeyondChats URLs and ensure we have blog/article links
-  const filteredUrls = urls
-    .filter(url => 
-      url && 
-      !isBeyondChatsUrl(url) &&
-      (url.includes('/blog/') || url.includes('/article/') || url.includes('/post/'))
-    )
-    .slice(0, 2); // Get first two non-BeyondChats articles
-
-  if (filteredUrls.length === 0) {
-    console.warn('No valid blog/article URLs found in search results');
+async function scrapeReferenceArticles(original, results, options = {}) {
+  if (results.length === 0) {
+    console.warn('No usable search results to scrape');
     return [];
   }
 
-  console.log(`Scraping ${filteredUrls.length} reference articles...`);
-
-  for (const url of filteredUrls) {
-    try {
-      console.log(`  Scraping: ${url}`);
-      const content = await scrapeArticle(url);
-      if (content && content.content && content.content.length > 100) {
-        references.push({
-          url,
-          title: content.title || 'Untitled Article',
+  console.log(`Scraping ${results.length} candidate references...`);
+
+  const candidates = [];
+  const queue = [...results];
+  const worker = async () => {
+    while (queue.length > 0) {
+      const result = queue.shift();
+      try {
+        const content = await scrapeArticle(result.url, { html: result.html });
+        candidates.push({
+          url: result.url,
+          title: content.title || result.title || 'Untitled Article',
           content: content.content,
+          author: content.author,
+          publishedAt: content.publishedAt,
+          wordCount: content.wordCount,
         });
-        console.log(`  ✓ Successfully scraped: ${content.title}`);
-      } else {
-        console.warn(`  ✗ Insufficient content scraped from: ${url}`);
+        console.log(`  ✓ Scraped: ${result.url}`);
+      } catch (error) {
+        console.warn(`  ✗ Failed to scrape ${result.url}: ${error.message}`);
       }
-    } catch (error) {
-      console.warn(`  ✗ Failed to scrape ${url}: ${error.message}`);
     }
-  }
+  };
+  await Promise.all(Array.from({ length: Math.min(SCRAPE_CONCURRENCY, results.length) }, worker));
 
-  return references;
+  // Keep search order for ties, whatever order the scrapes finished in
+  const order = results.map(result => result.url);
+  candidates.sort((a, b) => order.indexOf(a.url) - order.indexOf(b.url));
+
+  const { selected, rejected } = selectReferences(original, candidates, options);
+  selected.forEach(ref => console.log(`  ★ ${ref.title} (relevance ${ref.relevance})`));
+  rejected.forEach(ref => console.log(`  - ${ref.url}: ${ref.reason} (relevance ${ref.relevance})`));
+  return selected;
 }
 
 /**
  * Scrape article content from a URL
  * 
- * Extracts the main content and title from a blog/article URL.
- * Tries multiple selectors to find the article content.
+ * Fetches the page and runs it through the readability-style extractor
+ * (src/extract). `content` is the article as Markdown, so headings, lists
+ * and links survive into the LLM prompt; `blocks` holds the same content
+ * as structured data.
  * 
  * @param {string} url - Article URL
- * @returns {Promise<Object>} Scraped article data with title and content
+ * @param {Object} options - { html } (already-fetched page, e.g. from the fixture search provider)
+ * @returns {Promise<Object>} { title, content, blocks, author, publishedAt, canonicalUrl, language, wordCount }
  */
-async function scrapeArticle(url) {
+async function scrapeArticle(url, options = {}) {
   try {
-    const response = await axios.get(url, {
-      timeout: 15000,
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-        'Accept-Language': 'en-US,en;q=0.9',
-      },
-      maxRedirects: 5,
-    });
-
-    const $ = cheerio.load(response.data);
-
-    // Extract title - try multiple selectors
-    let title = '';
-    const titleSelectors = [
-      'h1.entry-title',
-      'h1.post-title',
-      'article h1',
-      'h1',
-      '.entry-title',
-      '.post-title',
-      'title',
-    ];
-
-    for (const selector of titleSelectors) {
-      const titleElement = $(selector).first();
-      if (titleElement.length > 0) {
-        title = titleElement.text().trim();
-        // Remove site name if present (e.g., "Title | Site Name")
-        title = title.split('|')[0].split('-')[0].trim();
-        if (title.length > 10) break; // Good title found
-      }
-    }
-
-    if (!title || title.length < 5) {
-      title = $('title').text().trim().split('|')[0].split('-')[0].trim();
-    }
-
-    // Extract main content - try multiple selectors in order of preference
-    let content = '';
-    const contentSelectors = [
-      'article .entry-content',
-      'article .post-content',
-      'article .article-content',
-      '.entry-content',
-      '.post-content',
-      '.article-content',
-      'article',
-      'main article',
-      'main .content',
-      '.content',
-      'main',
-    ];
-
-    for (const selector of contentSelectors) {
-      const element = $(selector).first();
-      if (element.length > 0) {
-        // Remove unwanted elements
-        element.find('script, style, nav, footer, aside, .advertisement, .ads').remove();
-        content = element.text().trim();
-        
-        // Check if we got meaningful content
-        if (content.length > 200) {
-          break;
-        }
-      }
-    }
-
-    // Fallback: get body text but exclude navigation/footer
-    if (!content || content.length < 200) {
-      $('body').find('nav, footer, header, aside, script, style').remove();
-      content = $('body').text().trim();
-    }
+    const html = options.html ?? await fetchPage(url);
+    const article = extractArticle(html, url);
 
-    // Clean up content
-    // Remove excessive whitespace but preserve paragraph breaks
-    content = content
-      .replace(/\n\s*\n\s*\n/g, '\n\n') // Multiple newlines to double
-      .replace(/[ \t]+/g, ' ') // Multiple spaces to single
-      .trim();
-
-    if (!content || content.length < 100) {
+    if (!article.content || article.content.length < 100) {
       throw new Error('Insufficient content extracted');
     }
 
-    return { 
-      title: title || 'Untitled Article', 
-      content: content 
+    return {
+      ...article,
+      title: article.title || 'Untitled Article',
     };
   } catch (error) {
     if (error.response) {
@@ -456,6 +503,19 @@ async function scrapeArticle(url) {
   }
 }
 
+async function fetchPage(url) {
+  const response = await axios.get(url, {
+    timeout: 15000,
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+      'Accept-Language': 'en-US,en;q=0.9',
+    },
+    maxRedirects: 5,
+  });
+  return response.data;
+}
+
 /**
  * Rewrite article using LLM
  * 
@@ -463,14 +523,20 @@ async function scrapeArticle(url) {
  * 1. Analyzes the reference articles' style, tone, and formatting
  * 2. Rewrites the original article to match that style
  * 3. Preserves the original intent and key information
- * 4. Ensures content is original (not plagiarized)
- * 5. Adds a "References" section at the bottom with proper citations
+ * 4. Cleans and validates the output (see src/quality.js), retrying with
+ *    feedback or flagging it for review when it fails
+ * 5. Checks the output is original (n-gram overlap, see src/originality.js)
+ *    and regenerates or blocks it when too much was copied
+ * 6. Makes sure the "References" section lists every reference URL
  * 
  * @param {Object} originalArticle - Original article data
  * @param {Array} references - Reference articles with title, content, and URL
- * @returns {Promise<string>} Rewritten content
+ * @param {Object} options - { template, tone, onToken, onAttempt, provider, usage } (provider overrides the configured chain;
+ *   usage is a tracker that every generation is added to; onAttempt(provider, { attempt, retry }) is called before
+ *   every draft, with retry 'quality' or 'originality' when the previous draft was rejected)
+ * @returns {Promise<Object>} { content, provider, model, attempts, prompt: { template, version, tone }, quality, originality }
  */
-async function rewriteWithLLM(originalArticle, references) {
+async function rewriteWithLLM(originalArticle, references, options = {}) {
   try {
     // Build reference content summary (first 800 chars of each for context)
     const referenceSummary = references
@@ -482,146 +548,131 @@ Content Sample: ${ref.content.substring(0, 800)}...`;
       })
       .join('\n\n---\n\n');
 
-    const prompt = `You are an expert content writer and SEO specialist. Your task is to rewrite the following article to improve its quality, formatting, and match the style of top-ranking articles on Google.
-
-INSTRUCTIONS:
-1. Analyze the writing style, tone, and formatting of the reference articles
-2. Rewrite the original article to match that style while preserving all key information
-3. Improve formatting with proper headings, paragraphs, and structure
-4. Use original phrasing - DO NOT copy sentences from reference articles
-5. Maintain the original article's intent and core message
-6. Make the content more engaging and professional
-7. Add a "References" section at the very bottom with proper citations
-
-Original Article to Rewrite:
-Title: ${originalArticle.title}
-
-Content:
-${originalArticle.content}
-
-Reference Articles (Study their style, tone, and formatting):
-${referenceSummary}
-
-IMPORTANT:
-- The rewritten article must be original and not plagiarized
-- Match the professional tone and formatting style of the reference articles
-- Preserve all important information from the original article
-- Add a "References" section at the end with these URLs:
-${references.map((ref, i) => `${i + 1}. ${ref.url}`).join('\n')}
-
-Now rewrite the article:`;
-
-    let rewrittenContent;
-    
-    if (LLM_PROVIDER === 'google') {
-      rewrittenContent = await rewriteWithGoogleGemini(prompt);
-    } else if (LLM_PROVIDER === 'openai') {
-      rewrittenContent = await rewriteWithOpenAI(prompt);
-    } else if (LLM_PROVIDER === 'ollama') {
-      rewrittenContent = await rewriteWithOllama(prompt);
-    } else {
-      throw new Error(`Unsupported LLM provider: ${LLM_PROVIDER}`);
-    }
-    
-    // Ensure References section is at the bottom
-    if (!rewrittenContent.toLowerCase().includes('references')) {
-      rewrittenContent += `\n\n## References\n\n${references.map((ref, i) => `${i + 1}. [${ref.title}](${ref.url})`).join('\n')}`;
-    }
-    
-    return rewrittenContent;
-  } catch (error) {
-    throw new Error(`LLM rewriting failed: ${error.message}`);
-  }
-}
+    const template = getTemplate(options.template);
+    const { system, prompt } = renderTemplate(template, {
+      title: originalArticle.title,
+      content: originalArticle.content,
+      references: referenceSummary,
+      reference_urls: references.map((ref, i) => `${i + 1}. ${ref.url}`).join('\n'),
+      tone: options.tone,
+    });
 
-async function rewriteWithOpenAI(prompt) {
-  const completion = await openai.chat.completions.create({
-    model: 'gpt-4o-mini',
-    messages: [
-      { role: 'system', content: 'You are an expert content writer specializing in article rewriting and SEO optimization.' },
-      { role: 'user', content: prompt },
-    ],
-    temperature: 0.7,
-    max_tokens: 3000,
-  });
-  return completion.choices[0].message.content.trim();
-}
+    const provider = options.provider || await getLLMProvider();
+    const sources = { original: originalArticle, references };
+    const qualityOptions = { ...qualityOptionsFromEnv(), ...template.quality };
+    const originalityOptions = originalityOptionsFromEnv();
+    let feedback = null;
+    let retries = 0;
+    let regenerations = 0;
+    let attempt = 0;
+    let retry = null;
+
+    // generate -> clean -> validate -> originality; retry with feedback while allowed
+    for (;;) {
+      attempt += 1;
+      const result = await provider.generate({
+        system,
+        prompt: feedback ? `${prompt}\n\n${feedback}` : prompt,
+        onToken: options.onToken,
+        onAttempt: (name) => options.onAttempt?.(name, { attempt, retry }),
+      });
+      options.usage?.addGeneration({
+        ...result,
+        provider: result.provider || provider.name,
+        model: result.model || provider.model,
+      });
 
-async function rewriteWithGoogleGemini(prompt, retries = 3) {
-  const model = process.env.GOOGLE_AI_MODEL || 'gemini-2.0-flash-exp';
-  const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent`;
-
-  for (let i = 0; i < retries; i++) {
-    try {
-      const response = await axios.post(
-        apiUrl,
-        {
-          contents: [{ parts: [{ text: `You are an expert content writer specializing in article rewriting and SEO optimization.\n\n${prompt}` }] }],
-          generationConfig: { temperature: 0.7, topK: 40, topP: 0.95, maxOutputTokens: 3000 },
-        },
-        { headers: { 'Content-Type': 'application/json', 'X-goog-api-key': GOOGLE_AI_API_KEY } }
-      );
-
-      if (!response.data.candidates?.[0]?.content?.parts?.[0]?.text) {
-        throw new Error('Invalid response from Google Gemini API');
+      // Providers that cannot stream deliver the whole text at once (one token event per draft)
+      if (options.onToken && !result.streamed) {
+        options.onToken(result.content);
       }
 
-      console.log('--------------:)------------------');
-      console.log(response.data.candidates[0].content.parts[0].text.trim());
-      console.log('--------------------------------');
-      return response.data.candidates[0].content.parts[0].text.trim();
-    } catch (error) {
-      if (error.response?.status === 429 && i < retries - 1) {
-        const waitTime = Math.pow(2, i) * 10000;
-        console.log(`Rate limited. Retrying in ${waitTime}ms...`);
-        await new Promise(resolve => setTimeout(resolve, waitTime));
+      let rewrittenContent = cleanOutput(result.content);
+      const validation = validateOutput(rewrittenContent, sources, qualityOptions);
+
+      if (!validation.passed && retries < qualityOptions.maxRetries) {
+        retries += 1;
+        console.warn(`Quality check failed (${validation.issues.map(issue => issue.code).join(', ')}), retrying (${retries}/${qualityOptions.maxRetries})`);
+        feedback = qualityFeedback(validation, references);
+        retry = 'quality';
         continue;
       }
-      throw error;
-    }
-  }
-}
+      if (!validation.passed && qualityOptions.onFailure === 'block') {
+        throw new Error(`Rewrite blocked by quality check: ${validation.issues.map(issue => issue.message).join(' ')}`);
+      }
 
-async function rewriteWithOllama(prompt) {
-  const response = await axios.post(
-    `${OLLAMA_BASE_URL}/api/generate`,
-    {
-      model: OLLAMA_MODEL,
-      prompt: `You are an expert content writer specializing in article rewriting and SEO optimization.\n\n${prompt}`,
-      stream: false,
-      options: { temperature: 0.7, num_predict: 3000 },
-    },
-    { timeout: 120000 }
-  );
-  return response.data.response.trim();
-}
+      // Published articles always credit their sources
+      rewrittenContent = appendMissingReferences(rewrittenContent, references);
+
+      const originality = {
+        ...checkOriginality(rewrittenContent, sources, originalityOptions),
+        regenerations,
+      };
+
+      if (!originality.passed && originalityOptions.action !== 'report') {
+        if (originalityOptions.action === 'regenerate' && regenerations < originalityOptions.maxRegenerations) {
+          regenerations += 1;
+          console.warn(`Originality check failed (${describeViolations(originality)}), regenerating (${regenerations}/${originalityOptions.maxRegenerations})`);
+          feedback = originalityFeedback(originality);
+          retry = 'originality';
+          continue;
+        }
+        throw new Error(`Rewrite blocked by originality check: ${describeViolations(originality)}`);
+      }
 
-/**
- * Publish rewritten article to Article Service
- * 
- * @param {Object} articleData - Article data to publish
- * @returns {Promise<Object>} Published article data
- */
-async function publishArticle(articleData) {
-  try {
-    const response = await axios.post(
-      `${ARTICLE_SERVICE_BASE_URL}/api/articles`,
-      articleData,
-      {
-        headers: {
-          'Content-Type': 'application/json',
-        },
+      if (!validation.passed) {
+        console.warn(`Publishing with quality issues, flagged for review: ${validation.issues.map(issue => issue.code).join(', ')}`);
       }
-    );
-    return response.data;
+
+      return {
+        content: rewrittenContent,
+        provider: result.provider || provider.name,
+        model: result.model || provider.model,
+        attempts: result.attempts || [],
+        prompt: { template: template.name, version: template.version, tone: options.tone || template.tone },
+        quality: { ...validation, flagged: !validation.passed, retries },
+        originality,
+      };
+    }
   } catch (error) {
-    throw new Error(`Failed to publish article: ${error.message}`);
+    throw new Error(`LLM rewriting failed: ${error.message}`);
   }
 }
 
 // If run directly, execute the rewrite process
+// Usage: node rewrite-latest.js [--id=N [--force]] [--batch [--concurrency=N] [--max=N] [--budget-minutes=N]]
+//                                [--template=NAME] [--tone=TONE]
 if (import.meta.url === `file://${process.argv[1]}`) {
-  rewriteLatest()
+  const { values: args } = parseArgs({
+    options: {
+      id: { type: 'string' },
+      force: { type: 'boolean', default: false },
+      batch: { type: 'boolean', default: false },
+      concurrency: { type: 'string' },
+      max: { type: 'string' },
+      'budget-minutes': { type: 'string' },
+      template: { type: 'string' },
+      tone: { type: 'string' },
+    },
+  });
+
+  const prompt = { template: args.template, tone: args.tone };
+
+  let run;
+  if (args.id) {
+    run = rewriteById(args.id, { ...prompt, force: args.force });
+  } else if (args.batch) {
+    run = rewriteBatch({
+      ...prompt,
+      concurrency: args.concurrency,
+      maxArticles: args.max,
+      budgetMinutes: args['budget-minutes'],
+    });
+  } else {
+    run = rewriteLatest(prompt);
+  }
+
+  run
     .then(result => {
       console.log('Rewrite process completed:', result);
       process.exit(0);
@@ -631,4 +682,3 @@ if (import.meta.url === `file://${process.argv[1]}`) {
       process.exit(1);
     });
 }
-
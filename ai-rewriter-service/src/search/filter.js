@@ -0,0 +1,111 @@
+/**
+ * Search Result Filtering
+ *
+ * Decides which search results are worth scraping as references:
+ *
+ * - SEARCH_DENY_DOMAINS   never used (always includes beyondchats.com and
+ *                         search/video sites); subdomains match too
+ * - SEARCH_ALLOW_DOMAINS  when set, only these domains are used
+ * - SEARCH_PATH_PATTERNS  comma-separated regular expressions; when set,
+ *                         the URL path must match one of them
+ *                         (e.g. "/blog/,/articles?/,/\d{4}/\d{2}/")
+ * - SEARCH_RESULT_COUNT   how many results to keep (default 5)
+ *
+ * Without path patterns, any page except a site's home page is accepted.
+ */
+
+import { envNumber } from '../env.js';
+
+const ALWAYS_DENIED = ['beyondchats.com', 'google.com', 'youtube.com', 'duckduckgo.com', 'bing.com', 'search.brave.com'];
+const NON_ARTICLE_EXTENSIONS = /\.(pdf|docx?|xlsx?|pptx?|zip|jpe?g|png|gif|mp4|mp3)$/i;
+
+function list(value) {
+  return (value || '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Read filter options from SEARCH_* env vars
+ *
+ * Path patterns are compiled here so an invalid one fails at startup
+ * rather than in the middle of a search.
+ *
+ * @returns {Object} { allowDomains, denyDomains, pathPatterns (RegExp), count }
+ */
+export function filterOptionsFromEnv() {
+  return {
+    allowDomains: list(process.env.SEARCH_ALLOW_DOMAINS),
+    denyDomains: list(process.env.SEARCH_DENY_DOMAINS),
+    pathPatterns: list(process.env.SEARCH_PATH_PATTERNS).map(pattern => {
+      try {
+        return new RegExp(pattern, 'i');
+      } catch (error) {
+        throw new Error(`Invalid SEARCH_PATH_PATTERNS entry "${pattern}": ${error.message}`);
+      }
+    }),
+    count: envNumber('SEARCH_RESULT_COUNT', 5, { min: 1, integer: true }),
+  };
+}
+
+/**
+ * Whether a hostname is (a subdomain of) one of the given domains
+ *
+ * @param {string} hostname - e.g. "www.example.com"
+ * @param {Array<string>} domains - e.g. ["example.com"]
+ * @returns {boolean} True on match
+ */
+export function matchesDomain(hostname, domains) {
+  const host = hostname.toLowerCase().replace(/^www\./, '');
+  return domains.some(domain => {
+    const d = domain.toLowerCase().replace(/^www\./, '');
+    return host === d || host.endsWith(`.${d}`);
+  });
+}
+
+/**
+ * Filter and de-duplicate search results
+ *
+ * @param {Array<Object>} results - Raw results [{ url, title, snippet }]
+ * @param {Object} options - { allowDomains, denyDomains, pathPatterns, count }
+ * @returns {Array<Object>} Accepted results, in provider order
+ */
+export function filterResults(results, options = {}) {
+  const { allowDomains = [], denyDomains = [], pathPatterns = [], count = 5 } = options;
+  const denied = [...ALWAYS_DENIED, ...denyDomains];
+  const patterns = pathPatterns.map(pattern => (pattern instanceof RegExp ? pattern : new RegExp(pattern, 'i')));
+  const seen = new Set();
+  const accepted = [];
+
+  for (const result of results) {
+    let url;
+    try {
+      url = new URL(result.url);
+    } catch {
+      continue;
+    }
+
+    if (!/^https?:$/.test(url.protocol)) continue;
+    if (matchesDomain(url.hostname, denied)) continue;
+    if (allowDomains.length > 0 && !matchesDomain(url.hostname, allowDomains)) continue;
+    if (NON_ARTICLE_EXTENSIONS.test(url.pathname)) continue;
+
+    if (patterns.length > 0) {
+      if (!patterns.some(pattern => pattern.test(url.pathname))) continue;
+    } else if (url.pathname.replace(/\/+$/, '') === '') {
+      continue;
+    }
+
+    // Same page with different tracking params / fragments counts once
+    url.hash = '';
+    const key = `${url.hostname.replace(/^www\./, '')}${url.pathname.replace(/\/+$/, '')}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    accepted.push({ ...result, url: url.href });
+    if (accepted.length >= count) break;
+  }
+
+  return accepted;
+}
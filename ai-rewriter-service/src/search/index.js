@@ -0,0 +1,63 @@
+/**
+ * Reference Search
+ *
+ * Finds candidate reference articles for a title through a pluggable
+ * search backend (SEARCH_PROVIDER):
+ *
+ *   serpapi     Google results via SerpAPI (default when SERP_API_KEY is set)
+ *   google-cse  Google Programmable Search JSON API
+ *   bing        Bing Web Search API
+ *   brave       Brave Search API
+ *   duckduckgo  HTML scraping, demo only (default without SERP_API_KEY)
+ *   fixture     Local JSON file, for tests and offline runs
+ *
+ * Results from every provider go through the same filter (see filter.js).
+ */
+
+import './providers/serpapi.js';
+import './providers/google-cse.js';
+import './providers/bing.js';
+import './providers/brave.js';
+import './providers/duckduckgo.js';
+import './providers/fixture.js';
+import { createSearchProvider } from './registry.js';
+import { filterResults, filterOptionsFromEnv } from './filter.js';
+
+export { registerSearchProvider, listSearchProviders, createSearchProvider } from './registry.js';
+export { filterResults, filterOptionsFromEnv, matchesDomain } from './filter.js';
+
+/**
+ * Name of the configured search provider
+ *
+ * @returns {string} Provider name
+ */
+export function searchProviderFromEnv() {
+  if (process.env.SEARCH_PROVIDER) {
+    return process.env.SEARCH_PROVIDER.toLowerCase().trim();
+  }
+  return process.env.SERP_API_KEY ? 'serpapi' : 'duckduckgo';
+}
+
+/**
+ * Search for reference articles
+ *
+ * Asks the provider for more results than needed (filtering usually
+ * discards several) and returns the first `count` that pass the filter.
+ *
+ * @param {string} query - Search query (article title)
+ * @param {Object} options - { provider, count, filter, deps } (filter overrides SEARCH_* env options)
+ * @returns {Promise<Array<Object>>} Results [{ url, title, snippet, provider, html? }]
+ */
+export async function searchReferences(query, options = {}) {
+  const name = options.provider || searchProviderFromEnv();
+  const filter = { ...filterOptionsFromEnv(), ...options.filter };
+  if (options.count) filter.count = options.count;
+
+  const provider = createSearchProvider(name, {}, options.deps);
+  try {
+    const raw = await provider.search(query, { count: Math.max(10, filter.count * 3) });
+    return filterResults(raw, filter).map(result => ({ ...result, provider: provider.name }));
+  } catch (error) {
+    throw new Error(`Search with "${provider.name}" failed: ${error.message}`);
+  }
+}
@@ -0,0 +1,33 @@
+/**
+ * Bing Web Search API provider
+ *
+ * API key: SEARCH_BING_API_KEY (sent as Ocp-Apim-Subscription-Key).
+ * Market: SEARCH_BING_MARKET (default en-US).
+ */
+
+import { registerSearchProvider } from '../registry.js';
+
+registerSearchProvider({
+  name: 'bing',
+  requiresApiKey: true,
+  defaults: () => ({
+    baseUrl: 'https://api.bing.microsoft.com/v7.0',
+    market: process.env.SEARCH_BING_MARKET || 'en-US',
+  }),
+  create: (config, { http }) => ({
+    name: 'bing',
+    search: async (query, { count = 10 } = {}) => {
+      const response = await http.get(`${config.baseUrl}/search`, {
+        params: { q: query, count: Math.min(count, 50), mkt: config.market, responseFilter: 'Webpages' },
+        headers: { 'Ocp-Apim-Subscription-Key': config.apiKey },
+        timeout: config.timeoutMs,
+      });
+
+      return (response.data.webPages?.value || []).map(page => ({
+        url: page.url,
+        title: page.name || '',
+        snippet: page.snippet || '',
+      }));
+    },
+  }),
+});
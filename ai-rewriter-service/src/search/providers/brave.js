@@ -0,0 +1,31 @@
+/**
+ * Brave Search API provider
+ *
+ * API key: SEARCH_BRAVE_API_KEY (sent as X-Subscription-Token).
+ */
+
+import { registerSearchProvider } from '../registry.js';
+
+registerSearchProvider({
+  name: 'brave',
+  requiresApiKey: true,
+  defaults: () => ({
+    baseUrl: 'https://api.search.brave.com/res/v1',
+  }),
+  create: (config, { http }) => ({
+    name: 'brave',
+    search: async (query, { count = 10 } = {}) => {
+      const response = await http.get(`${config.baseUrl}/web/search`, {
+        params: { q: query, count: Math.min(count, 20) },
+        headers: { 'X-Subscription-Token': config.apiKey, Accept: 'application/json' },
+        timeout: config.timeoutMs,
+      });
+
+      return (response.data.web?.results || []).map(result => ({
+        url: result.url,
+        title: result.title || '',
+        snippet: result.description || '',
+      }));
+    },
+  }),
+});
@@ -0,0 +1,59 @@
+/**
+ * DuckDuckGo HTML search provider (demo only)
+ *
+ * Scrapes the html.duckduckgo.com results page. Needs no API key, but the
+ * markup can change at any time and heavy use gets rate limited. Use one of
+ * the API-backed providers in production.
+ */
+
+import * as cheerio from 'cheerio';
+import { registerSearchProvider } from '../registry.js';
+
+/**
+ * Unwrap DuckDuckGo redirect links (/l/?uddg=<encoded url>)
+ */
+function unwrapRedirect(href) {
+  const match = href.match(/uddg=([^&]+)/);
+  if (match) {
+    try {
+      return decodeURIComponent(match[1]);
+    } catch {
+      return href;
+    }
+  }
+  return href.startsWith('//') ? `https:${href}` : href;
+}
+
+registerSearchProvider({
+  name: 'duckduckgo',
+  requiresApiKey: false,
+  defaults: () => ({
+    baseUrl: 'https://html.duckduckgo.com/html/',
+  }),
+  create: (config, { http }) => ({
+    name: 'duckduckgo',
+    search: async (query) => {
+      const response = await http.get(config.baseUrl, {
+        params: { q: query },
+        headers: {
+          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+          'Accept': 'text/html,application/xhtml+xml',
+        },
+        timeout: config.timeoutMs,
+      });
+
+      const $ = cheerio.load(response.data);
+      return $('.result').toArray()
+        .filter(result => !$(result).hasClass('result--ad'))
+        .map(result => {
+          const link = $(result).find('a.result__a').first();
+          return {
+            url: unwrapRedirect(link.attr('href') || ''),
+            title: link.text().trim(),
+            snippet: $(result).find('.result__snippet').text().trim(),
+          };
+        })
+        .filter(result => result.url);
+    },
+  }),
+});
@@ -0,0 +1,61 @@
+/**
+ * Local fixture search provider (tests and offline runs)
+ *
+ * Reads results from a JSON file (SEARCH_FIXTURE_PATH, default the sample
+ * in fixtures/search.json of this service) instead of calling a search API:
+ *
+ *   {
+ *     "How to scale support": [
+ *       { "url": "https://example.com/blog/scaling", "title": "...", "file": "pages/scaling.html" }
+ *     ],
+ *     "*": [ ...results for any other query... ]
+ *   }
+ *
+ * Queries are matched case-insensitively. A result may carry the page
+ * itself as `html` or as a `file` path (relative to the fixture file), in
+ * which case the pipeline scrapes it without touching the network.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { registerSearchProvider } from '../registry.js';
+
+registerSearchProvider({
+  name: 'fixture',
+  requiresApiKey: false,
+  defaults: () => ({
+    filePath: process.env.SEARCH_FIXTURE_PATH
+      ? path.resolve(process.env.SEARCH_FIXTURE_PATH)
+      : fileURLToPath(new URL('../../../fixtures/search.json', import.meta.url)),
+  }),
+  create: (config) => {
+    // A missing file is a configuration error, not an empty result list
+    if (!fs.existsSync(config.filePath)) {
+      throw new Error(`Search fixture file ${config.filePath} not found (set SEARCH_FIXTURE_PATH)`);
+    }
+    return {
+      name: 'fixture',
+      search: async (query) => {
+        let fixtures;
+        try {
+          fixtures = JSON.parse(fs.readFileSync(config.filePath, 'utf8'));
+        } catch (error) {
+          throw new Error(`Failed to read search fixtures ${config.filePath}: ${error.message}`);
+        }
+
+        const key = Object.keys(fixtures).find(candidate => candidate.toLowerCase() === query.toLowerCase().trim());
+        const results = fixtures[key] || fixtures['*'] || [];
+
+        return results.map(result => {
+          const entry = typeof result === 'string' ? { url: result } : { ...result };
+          if (entry.file) {
+            entry.html = fs.readFileSync(path.resolve(path.dirname(config.filePath), entry.file), 'utf8');
+            delete entry.file;
+          }
+          return { title: '', snippet: '', ...entry };
+        });
+      },
+    };
+  },
+});
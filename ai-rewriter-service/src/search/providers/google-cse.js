@@ -0,0 +1,40 @@
+/**
+ * Google Programmable Search (Custom Search JSON API) provider
+ *
+ * API key: SEARCH_GOOGLE_CSE_API_KEY (or GOOGLE_API_KEY).
+ * Search engine ID: SEARCH_GOOGLE_CSE_CX (or GOOGLE_CX).
+ * The API returns at most 10 results per request.
+ */
+
+import { registerSearchProvider } from '../registry.js';
+
+registerSearchProvider({
+  name: 'google-cse',
+  requiresApiKey: true,
+  defaults: () => ({
+    apiKey: process.env.GOOGLE_API_KEY,
+    cx: process.env.SEARCH_GOOGLE_CSE_CX || process.env.GOOGLE_CX,
+    baseUrl: 'https://www.googleapis.com/customsearch/v1',
+  }),
+  create: (config, { http }) => {
+    if (!config.cx) {
+      throw new Error('Missing search engine ID for search provider "google-cse" (SEARCH_GOOGLE_CSE_CX)');
+    }
+
+    return {
+      name: 'google-cse',
+      search: async (query, { count = 10 } = {}) => {
+        const response = await http.get(config.baseUrl, {
+          params: { key: config.apiKey, cx: config.cx, q: query, num: Math.min(count, 10) },
+          timeout: config.timeoutMs,
+        });
+
+        return (response.data.items || []).map(item => ({
+          url: item.link,
+          title: item.title || '',
+          snippet: item.snippet || '',
+        }));
+      },
+    };
+  },
+});
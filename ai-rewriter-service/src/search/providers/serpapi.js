@@ -0,0 +1,32 @@
+/**
+ * SerpAPI search provider (Google results)
+ *
+ * API key: SEARCH_SERPAPI_API_KEY or SERP_API_KEY.
+ */
+
+import { registerSearchProvider } from '../registry.js';
+
+registerSearchProvider({
+  name: 'serpapi',
+  requiresApiKey: true,
+  defaults: () => ({
+    apiKey: process.env.SERP_API_KEY,
+    baseUrl: 'https://serpapi.com',
+    engine: 'google',
+  }),
+  create: (config, { http }) => ({
+    name: 'serpapi',
+    search: async (query, { count = 10 } = {}) => {
+      const response = await http.get(`${config.baseUrl}/search`, {
+        params: { engine: config.engine, q: query, api_key: config.apiKey, num: Math.min(count, 100) },
+        timeout: config.timeoutMs,
+      });
+
+      return (response.data.organic_results || []).map(result => ({
+        url: result.link,
+        title: result.title || '',
+        snippet: result.snippet || '',
+      }));
+    },
+  }),
+});
@@ -0,0 +1,82 @@
+/**
+ * Search Provider Registry
+ *
+ * Same shape as the LLM registry (src/llm/registry.js): every search backend
+ * registers itself under a name and the pipeline only talks to the registry.
+ *
+ * A provider definition looks like:
+ *   {
+ *     name: 'brave',
+ *     requiresApiKey: true,
+ *     defaults: () => ({ apiKey, baseUrl, timeoutMs, ... }),
+ *     create: (config, { http }) => ({ name, search }),
+ *   }
+ *
+ * `search(query, { count })` resolves to raw results
+ * `[{ url, title, snippet }]`; filtering happens in filter.js so every
+ * provider behaves the same.
+ */
+
+import axios from 'axios';
+import { envNumber } from '../env.js';
+
+const providers = new Map();
+
+/**
+ * Register a search provider
+ *
+ * @param {Object} definition - Provider definition (see module header)
+ */
+export function registerSearchProvider(definition) {
+  if (!definition?.name || typeof definition.create !== 'function') {
+    throw new Error('Search provider definition needs a name and a create() function');
+  }
+  providers.set(definition.name.toLowerCase(), definition);
+}
+
+/**
+ * List the names of all registered search providers
+ *
+ * @returns {Array<string>} Provider names
+ */
+export function listSearchProviders() {
+  return [...providers.keys()];
+}
+
+/**
+ * Create a search provider instance
+ *
+ * Config precedence: overrides > SEARCH_<NAME>_* env vars > provider defaults.
+ * Recognised env keys are API_KEY, BASE_URL and TIMEOUT_MS
+ * (e.g. SEARCH_GOOGLE_CSE_API_KEY, SEARCH_BRAVE_TIMEOUT_MS).
+ *
+ * @param {string} name - Provider name
+ * @param {Object} overrides - Config overrides
+ * @param {Object} deps - Injected dependencies ({ http } - axios-compatible client)
+ * @returns {Object} Provider instance with search()
+ */
+export function createSearchProvider(name, overrides = {}, deps = {}) {
+  const definition = providers.get(String(name).toLowerCase().trim());
+  if (!definition) {
+    throw new Error(`Unknown search provider: ${name} (registered: ${listSearchProviders().join(', ')})`);
+  }
+
+  const prefix = `SEARCH_${definition.name.toUpperCase().replace(/[^A-Z0-9]+/g, '_')}_`;
+  const fromEnv = {
+    apiKey: process.env[`${prefix}API_KEY`],
+    baseUrl: process.env[`${prefix}BASE_URL`],
+    timeoutMs: envNumber(`${prefix}TIMEOUT_MS`, undefined, { min: 1 }),
+  };
+
+  const config = {
+    timeoutMs: 15000,
+    ...definition.defaults?.(),
+    ...Object.fromEntries(Object.entries({ ...fromEnv, ...overrides }).filter(([, value]) => value !== undefined)),
+  };
+
+  if (definition.requiresApiKey && !config.apiKey) {
+    throw new Error(`Missing API key for search provider "${definition.name}"`);
+  }
+
+  return definition.create(config, { http: deps.http || axios });
+}
@@ -0,0 +1,115 @@
+/**
+ * Text Similarity
+ *
+ * Small, dependency-free helpers for comparing articles: tokenising,
+ * TF-IDF vectors and cosine similarity. Good enough to rank a handful of
+ * scraped pages against the original article without an embedding model.
+ */
+
+const STOP_WORDS = new Set(`a about above after again against all am an and any are as at be because been
+before being below between both but by can could did do does doing down during each few for from further
+had has have having he her here hers herself him himself his how i if in into is it its itself just me
+more most my myself no nor not now of off on once only or other our ours ourselves out over own same she
+should so some such than that the their theirs them themselves then there these they this those through
+to too under until up very was we were what when where which while who whom why will with would you your
+yours yourself yourselves also may might must shall us get got make made many much one two three via`.split(/\s+/));
+
+/**
+ * Split text into lowercase word tokens
+ *
+ * Markdown link targets are dropped so URLs do not count as content.
+ *
+ * @param {string} text - Text or Markdown
+ * @param {Object} options - { stopWords: false to keep stop words }
+ * @returns {Array<string>} Tokens
+ */
+export function tokenize(text, { stopWords = true } = {}) {
+  const tokens = String(text || '')
+    .replace(/\]\([^)]*\)/g, ']')
+    .replace(/https?:\/\/\S+/g, ' ')
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+(?:['’][\p{L}]+)?/gu) || [];
+
+  return stopWords
+    ? tokens.filter(token => token.length > 1 && !STOP_WORDS.has(token))
+    : tokens;
+}
+
+function termFrequencies(tokens) {
+  const counts = new Map();
+  for (const token of tokens) {
+    counts.set(token, (counts.get(token) || 0) + 1);
+  }
+  return counts;
+}
+
+/**
+ * Build TF-IDF vectors for a set of documents
+ *
+ * Uses log-scaled term frequency and smoothed inverse document frequency,
+ * so terms shared by every document still carry a little weight (with only
+ * a few documents, plain IDF would zero them out).
+ *
+ * @param {Array<string>} documents - Document texts
+ * @returns {Array<Map<string, number>>} One sparse vector per document
+ */
+export function tfidfVectors(documents) {
+  const frequencies = documents.map(doc => termFrequencies(tokenize(doc)));
+  const documentFrequency = new Map();
+  for (const tf of frequencies) {
+    for (const term of tf.keys()) {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+  }
+
+  const total = documents.length;
+  return frequencies.map(tf => {
+    const vector = new Map();
+    for (const [term, count] of tf) {
+      const idf = Math.log((1 + total) / (1 + documentFrequency.get(term))) + 1;
+      vector.set(term, (1 + Math.log(count)) * idf);
+    }
+    return vector;
+  });
+}
+
+/**
+ * Cosine similarity of two sparse vectors (0..1 for non-negative weights)
+ *
+ * @param {Map<string, number>} a - Vector
+ * @param {Map<string, number>} b - Vector
+ * @returns {number} Similarity
+ */
+export function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (const [term, weight] of a) {
+    normA += weight * weight;
+    const other = b.get(term);
+    if (other) dot += weight * other;
+  }
+  for (const weight of b.values()) {
+    normB += weight * weight;
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Word n-gram shingles of a text
+ *
+ * Stop words are kept: copied sentences are recognised by their exact
+ * word sequence, function words included.
+ *
+ * @param {string} text - Text or Markdown
+ * @param {number} size - Words per shingle
+ * @returns {Object} { tokens, shingles: Array<string> } (shingles[i] starts at tokens[i])
+ */
+export function shingles(text, size = 5) {
+  const tokens = tokenize(text, { stopWords: false });
+  const list = [];
+  for (let i = 0; i + size <= tokens.length; i++) {
+    list.push(tokens.slice(i, i + size).join(' '));
+  }
+  return { tokens, shingles: list };
+}
@@ -0,0 +1,276 @@
+/**
+ * Usage Accounting
+ *
+ * Records what each rewrite cost: prompt and completion tokens for every
+ * LLM call, search calls per provider (SerpAPI bills per search), and an
+ * estimated USD cost from the price table (prices.js). One entry per
+ * rewrite goes to DATA_DIR/usage.jsonl (ledger.js), aggregated per UTC
+ * day and month by GET /stats/usage.
+ *
+ * Optional budgets (USAGE_BUDGET_DAILY_USD, USAGE_BUDGET_MONTHLY_USD) stop
+ * new rewrites once the estimated spend for the current day or month has
+ * reached them. A rewrite already running is allowed to finish.
+ */
+
+import { createUsageLedger } from './ledger.js';
+import { generationCost, priceTableFromEnv, searchCost } from './prices.js';
+import { dataPath } from '../data-dir.js';
+import { envNumber } from '../env.js';
+
+export { DEFAULT_PRICES, priceTableFromEnv, modelPrice } from './prices.js';
+export { createUsageLedger } from './ledger.js';
+
+let ledger = null;
+
+const round = (usd) => Math.round(usd * 1e6) / 1e6;
+
+const dayOf = (time) => new Date(time).toISOString().slice(0, 10);
+const monthOf = (time) => new Date(time).toISOString().slice(0, 7);
+
+/**
+ * Read the spending budgets from the environment
+ *
+ * A value that is not a non-negative number throws rather than silently
+ * turning the cap off.
+ *
+ * @returns {Object} { dailyUsd, monthlyUsd } - null when unset
+ */
+export function budgetFromEnv() {
+  return {
+    dailyUsd: envNumber('USAGE_BUDGET_DAILY_USD', null, { min: 0 }),
+    monthlyUsd: envNumber('USAGE_BUDGET_MONTHLY_USD', null, { min: 0 }),
+  };
+}
+
+/**
+ * Read usage settings from the environment
+ *
+ * @returns {Object} { filePath, budget: { dailyUsd, monthlyUsd } } - budgets are null when unset
+ */
+export function usageOptionsFromEnv() {
+  return {
+    filePath: process.env.USAGE_LEDGER_PATH || dataPath('usage.jsonl'),
+    budget: budgetFromEnv(),
+  };
+}
+
+/**
+ * Get the shared usage ledger
+ *
+ * @returns {Object} Usage ledger (see ledger.js)
+ */
+export function getUsageLedger() {
+  if (!ledger) {
+    ledger = createUsageLedger({ filePath: usageOptionsFromEnv().filePath });
+  }
+  return ledger;
+}
+
+/**
+ * Track the usage of one rewrite as it runs
+ *
+ * @param {Object} options - { prices } (default: priceTableFromEnv())
+ * @returns {Object} Tracker with addGeneration(result), addSearch(provider), isEmpty(), summary()
+ */
+export function createUsageTracker({ prices = priceTableFromEnv() } = {}) {
+  const generations = [];
+  const searches = {};
+
+  return {
+    /**
+     * Record one LLM generation
+     *
+     * @param {Object} result - generate() result ({ provider, model, usage })
+     */
+    addGeneration(result) {
+      generations.push({
+        provider: result.provider,
+        model: result.model,
+        promptTokens: result.usage?.promptTokens || 0,
+        completionTokens: result.usage?.completionTokens || 0,
+        reported: Boolean(result.usage),
+      });
+    },
+
+    /**
+     * Record one search API call
+     *
+     * @param {string} provider - Search provider name
+     */
+    addSearch(provider) {
+      searches[provider] = (searches[provider] || 0) + 1;
+    },
+
+    isEmpty() {
+      return generations.length === 0 && Object.keys(searches).length === 0;
+    },
+
+    /**
+     * Totals so far
+     *
+     * @returns {Object} { llmCalls, promptTokens, completionTokens, unreportedCalls, models, searchCalls, costUsd, unpriced }
+     */
+    summary() {
+      const unpriced = new Set();
+      const models = new Map();
+
+      for (const generation of generations) {
+        const key = `${generation.provider}/${generation.model}`;
+        const cost = generationCost(prices, generation);
+        if (cost === null) unpriced.add(key);
+
+        const model = models.get(key) || {
+          provider: generation.provider,
+          model: generation.model,
+          calls: 0,
+          promptTokens: 0,
+          completionTokens: 0,
+          costUsd: 0,
+        };
+        model.calls += 1;
+        model.promptTokens += generation.promptTokens;
+        model.completionTokens += generation.completionTokens;
+        model.costUsd = round(model.costUsd + (cost || 0));
+        models.set(key, model);
+      }
+
+      let searchUsd = 0;
+      for (const [provider, calls] of Object.entries(searches)) {
+        const cost = searchCost(prices, provider, calls);
+        if (cost === null) unpriced.add(`search:${provider}`);
+        searchUsd += cost || 0;
+      }
+
+      const llmUsd = [...models.values()].reduce((sum, model) => sum + model.costUsd, 0);
+      return {
+        llmCalls: generations.length,
+        promptTokens: generations.reduce((sum, g) => sum + g.promptTokens, 0),
+        completionTokens: generations.reduce((sum, g) => sum + g.completionTokens, 0),
+        // Calls whose API reported no token counts (counted as zero)
+        unreportedCalls: generations.filter(g => !g.reported).length,
+        models: [...models.values()],
+        searchCalls: { ...searches },
+        costUsd: { llm: round(llmUsd), search: round(searchUsd), total: round(llmUsd + searchUsd) },
+        unpriced: [...unpriced],
+      };
+    },
+  };
+}
+
+const emptyBucket = (period) => ({
+  period,
+  rewrites: 0,
+  published: 0,
+  failed: 0,
+  llmCalls: 0,
+  promptTokens: 0,
+  completionTokens: 0,
+  searchCalls: {},
+  costUsd: 0,
+});
+
+function addToBucket(bucket, entry) {
+  bucket.rewrites += 1;
+  if (entry.outcome === 'published') bucket.published += 1;
+  if (entry.outcome === 'failed') bucket.failed += 1;
+  bucket.llmCalls += entry.llmCalls || 0;
+  bucket.promptTokens += entry.promptTokens || 0;
+  bucket.completionTokens += entry.completionTokens || 0;
+  for (const [provider, calls] of Object.entries(entry.searchCalls || {})) {
+    bucket.searchCalls[provider] = (bucket.searchCalls[provider] || 0) + calls;
+  }
+  bucket.costUsd = round(bucket.costUsd + (entry.costUsd?.total || 0));
+}
+
+/**
+ * Aggregate ledger entries per UTC day and month
+ *
+ * Every period in range is listed (oldest first), including empty ones.
+ *
+ * @param {Array<Object>} entries - Ledger entries
+ * @param {Object} options - { days, months, now }
+ * @returns {Object} { daily, monthly, models } - models is a per-model breakdown of the current month
+ */
+export function summarizeUsage(entries, { days = 30, months = 12, now = Date.now() } = {}) {
+  const today = new Date(now);
+  const daily = new Map();
+  const monthly = new Map();
+
+  for (let i = days - 1; i >= 0; i--) {
+    const day = dayOf(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate() - i));
+    daily.set(day, emptyBucket(day));
+  }
+  for (let i = months - 1; i >= 0; i--) {
+    const month = monthOf(Date.UTC(today.getUTCFullYear(), today.getUTCMonth() - i, 1));
+    monthly.set(month, emptyBucket(month));
+  }
+
+  const currentMonth = monthOf(now);
+  const models = new Map();
+
+  for (const entry of entries) {
+    const dayBucket = daily.get(entry.at.slice(0, 10));
+    if (dayBucket) addToBucket(dayBucket, entry);
+    const monthBucket = monthly.get(entry.at.slice(0, 7));
+    if (monthBucket) addToBucket(monthBucket, entry);
+
+    if (entry.at.slice(0, 7) !== currentMonth) continue;
+    for (const model of entry.models || []) {
+      const key = `${model.provider}/${model.model}`;
+      const total = models.get(key) || { ...model, calls: 0, promptTokens: 0, completionTokens: 0, costUsd: 0 };
+      total.calls += model.calls;
+      total.promptTokens += model.promptTokens;
+      total.completionTokens += model.completionTokens;
+      total.costUsd = round(total.costUsd + model.costUsd);
+      models.set(key, total);
+    }
+  }
+
+  return {
+    daily: [...daily.values()],
+    monthly: [...monthly.values()],
+    models: [...models.values()].sort((a, b) => b.costUsd - a.costUsd),
+  };
+}
+
+/**
+ * Spend against the configured budgets
+ *
+ * @param {Object} options - { ledger, budget, now } (defaults: shared ledger, env budget, current time)
+ * @returns {Object} { daily, monthly, exceeded } - each period: { limitUsd, spentUsd, remainingUsd, exceeded }
+ */
+export function budgetStatus({ ledger: usageLedger = getUsageLedger(), budget = budgetFromEnv(), now = Date.now() } = {}) {
+  const day = dayOf(now);
+  const month = monthOf(now);
+  const entries = usageLedger.entries({ since: `${month}-01` });
+
+  const spent = (prefix) => round(entries
+    .filter(entry => entry.at.startsWith(prefix))
+    .reduce((sum, entry) => sum + (entry.costUsd?.total || 0), 0));
+
+  const period = (limitUsd, spentUsd) => ({
+    limitUsd,
+    spentUsd,
+    remainingUsd: limitUsd === null ? null : round(Math.max(0, limitUsd - spentUsd)),
+    exceeded: limitUsd !== null && spentUsd >= limitUsd,
+  });
+
+  const daily = period(budget.dailyUsd, spent(day));
+  const monthly = period(budget.monthlyUsd, spent(month));
+  return { daily, monthly, exceeded: daily.exceeded || monthly.exceeded };
+}
+
+/**
+ * Throw when the daily or monthly budget is used up
+ *
+ * @param {Object} options - Same as budgetStatus()
+ */
+export function assertWithinBudget(options) {
+  const { daily, monthly } = budgetStatus(options);
+  if (monthly.exceeded) {
+    throw new Error(`Monthly usage budget of $${monthly.limitUsd} exceeded ($${monthly.spentUsd} spent); rewrites resume next month (UTC)`);
+  }
+  if (daily.exceeded) {
+    throw new Error(`Daily usage budget of $${daily.limitUsd} exceeded ($${daily.spentUsd} spent); rewrites resume tomorrow (UTC)`);
+  }
+}
@@ -0,0 +1,54 @@
+/**
+ * File-backed Usage Ledger
+ *
+ * One JSON line per rewrite, appended as it finishes. Appending (rather
+ * than rewriting a JSON document like the job store) lets the server and
+ * the CLI script record into the same file without overwriting each
+ * other's entries. Unreadable lines are skipped, so a crash mid-write
+ * only loses that one entry.
+ */
+
+import fs from 'node:fs';
+
+/**
+ * Create a usage ledger backed by a JSON Lines file
+ *
+ * @param {Object} options - { filePath }
+ * @returns {Object} Usage ledger
+ */
+export function createUsageLedger({ filePath }) {
+  return {
+    filePath,
+
+    /**
+     * Append an entry
+     *
+     * @param {Object} entry - Usage entry (see createUsageTracker().entry())
+     */
+    record(entry) {
+      fs.appendFileSync(filePath, JSON.stringify(entry) + '\n');
+    },
+
+    /**
+     * Read entries recorded at or after `since`
+     *
+     * @param {Object} options - { since } ISO timestamp (default: everything)
+     * @returns {Array<Object>} Entries, oldest first
+     */
+    entries({ since = '' } = {}) {
+      if (!fs.existsSync(filePath)) return [];
+
+      return fs.readFileSync(filePath, 'utf8')
+        .split('\n')
+        .filter(Boolean)
+        .flatMap(line => {
+          try {
+            return [JSON.parse(line)];
+          } catch {
+            return [];
+          }
+        })
+        .filter(entry => entry.at >= since);
+    },
+  };
+}
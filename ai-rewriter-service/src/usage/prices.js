@@ -0,0 +1,110 @@
+/**
+ * Price Table
+ *
+ * Estimated prices used to turn token counts and search calls into a cost.
+ * LLM prices are USD per million tokens, search prices USD per call.
+ * Models are matched exactly, then by the longest listed prefix
+ * (gemini-2.0-flash-exp -> gemini-2.0-flash), then by provider, so local
+ * providers can be priced at zero as a whole.
+ *
+ * Providers change prices; override or extend the defaults with a JSON file
+ * in the same shape (USAGE_PRICES_FILE):
+ *
+ *   { "models": { "gpt-4o-mini": { "input": 0.15, "output": 0.6 } },
+ *     "providers": { "openai-compatible": { "input": 0, "output": 0 } },
+ *     "search": { "serpapi": 0.01 } }
+ */
+
+import fs from 'node:fs';
+
+export const DEFAULT_PRICES = {
+  models: {
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+    'gpt-4.1': { input: 2, output: 8 },
+    'gemini-2.0-flash': { input: 0.1, output: 0.4 },
+    'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+    'gemini-1.5-pro': { input: 1.25, output: 5 },
+    'claude-3-5-haiku': { input: 0.8, output: 4 },
+    'claude-3-5-sonnet': { input: 3, output: 15 },
+    'claude-sonnet-4': { input: 3, output: 15 },
+  },
+  providers: {
+    ollama: { input: 0, output: 0 },
+  },
+  search: {
+    serpapi: 0.015,
+    'google-cse': 0.005,
+    duckduckgo: 0,
+    fixture: 0,
+  },
+};
+
+/**
+ * Load the price table, merging USAGE_PRICES_FILE over the defaults
+ *
+ * @returns {Object} { models, providers, search }
+ */
+export function priceTableFromEnv() {
+  const file = process.env.USAGE_PRICES_FILE;
+  if (!file) return DEFAULT_PRICES;
+
+  let custom;
+  try {
+    custom = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read USAGE_PRICES_FILE ${file}: ${error.message}`);
+  }
+
+  return {
+    models: { ...DEFAULT_PRICES.models, ...custom.models },
+    providers: { ...DEFAULT_PRICES.providers, ...custom.providers },
+    search: { ...DEFAULT_PRICES.search, ...custom.search },
+  };
+}
+
+/**
+ * Find the per-million-token price for a model
+ *
+ * @param {Object} prices - Price table
+ * @param {string} provider - Provider name
+ * @param {string} model - Model name
+ * @returns {Object|null} { input, output } or null when unpriced
+ */
+export function modelPrice(prices, provider, model = '') {
+  if (prices.models[model]) return prices.models[model];
+
+  const prefix = Object.keys(prices.models)
+    .filter(name => model.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+  if (prefix) return prices.models[prefix];
+
+  return prices.providers[provider] || null;
+}
+
+/**
+ * Estimated cost of one generation
+ *
+ * @param {Object} prices - Price table
+ * @param {Object} generation - { provider, model, promptTokens, completionTokens }
+ * @returns {number|null} USD, or null when the model is unpriced
+ */
+export function generationCost(prices, { provider, model, promptTokens, completionTokens }) {
+  const price = modelPrice(prices, provider, model);
+  if (!price) return null;
+  return (promptTokens * price.input + completionTokens * price.output) / 1e6;
+}
+
+/**
+ * Estimated cost of search calls
+ *
+ * @param {Object} prices - Price table
+ * @param {string} provider - Search provider name
+ * @param {number} calls - Number of calls
+ * @returns {number|null} USD, or null when the provider is unpriced
+ */
+export function searchCost(prices, provider, calls) {
+  const price = prices.search[provider];
+  return price === undefined ? null : price * calls;
+}
@@ -0,0 +1,161 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { buildApp } from '../src/app.js';
+import { createApiAuth } from '../src/api-auth.js';
+
+const KEY = 'test-key';
+const auth = { authorization: `Bearer ${KEY}` };
+
+let dir;
+let app;
+let enqueued;
+
+function setup({ perMinute = 100, perDay = 10, now, ledgerEntries = [] } = {}) {
+  enqueued = [];
+  const queue = {
+    enqueue(type, params) {
+      const job = { id: `job-${enqueued.length + 1}`, state: 'queued', type, params };
+      enqueued.push(job);
+      return job;
+    },
+  };
+  const usageLedger = { entries: () => ledgerEntries };
+  const apiAuth = createApiAuth({
+    keys: [{ name: 'tester', key: KEY, perMinute, perDay }],
+    usageFile: path.join(dir, 'api-usage.json'),
+    now,
+  });
+  app = buildApp({ queue, scheduler: {}, logger: false, auth: apiAuth, usageLedger });
+  return app;
+}
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-auth-'));
+});
+
+afterEach(async () => {
+  await app?.close();
+  app = null;
+  delete process.env.USAGE_BUDGET_DAILY_USD;
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('/health needs no key', async () => {
+  setup();
+  const response = await app.inject({ method: 'GET', url: '/health' });
+  assert.equal(response.statusCode, 200);
+});
+
+test('a missing key gets 401 with WWW-Authenticate', async () => {
+  setup();
+  const response = await app.inject({ method: 'GET', url: '/prompts' });
+  assert.equal(response.statusCode, 401);
+  assert.equal(response.headers['www-authenticate'], 'Bearer');
+  assert.deepEqual(response.json(), { success: false, error: 'Missing API key' });
+});
+
+test('an unknown key gets 401', async () => {
+  setup();
+  const response = await app.inject({ method: 'GET', url: '/prompts', headers: { 'x-api-key': 'nope' } });
+  assert.equal(response.statusCode, 401);
+  assert.equal(response.json().error, 'Invalid API key');
+});
+
+test('keys in the query string are not accepted', async () => {
+  setup();
+  const response = await app.inject({ method: 'GET', url: `/prompts?api_key=${KEY}` });
+  assert.equal(response.statusCode, 401);
+});
+
+test('with no keys configured every request is rejected', async () => {
+  app = buildApp({ queue: {}, scheduler: {}, logger: false, auth: createApiAuth(), usageLedger: { entries: () => [] } });
+  const response = await app.inject({ method: 'GET', url: '/prompts' });
+  assert.equal(response.statusCode, 401);
+  assert.match(response.json().error, /API_KEYS/);
+  assert.equal((await app.inject({ method: 'GET', url: '/prompts', headers: auth })).statusCode, 401);
+});
+
+test('Bearer and X-API-Key are both accepted', async () => {
+  setup();
+  assert.equal((await app.inject({ method: 'GET', url: '/prompts', headers: auth })).statusCode, 200);
+  assert.equal((await app.inject({ method: 'GET', url: '/prompts', headers: { 'x-api-key': KEY } })).statusCode, 200);
+});
+
+test('the per-minute rate limit answers 429 with Retry-After and resets after the window', async () => {
+  let time = Date.parse('2025-01-01T12:00:00Z');
+  setup({ perMinute: 2, now: () => time });
+
+  const first = await app.inject({ method: 'GET', url: '/prompts', headers: auth });
+  assert.equal(first.headers['x-ratelimit-limit'], '2');
+  assert.equal(first.headers['x-ratelimit-remaining'], '1');
+  await app.inject({ method: 'GET', url: '/prompts', headers: auth });
+
+  const limited = await app.inject({ method: 'GET', url: '/prompts', headers: auth });
+  assert.equal(limited.statusCode, 429);
+  assert.equal(limited.headers['retry-after'], '60');
+  assert.equal(limited.headers['x-ratelimit-remaining'], '0');
+
+  time += 60 * 1000;
+  assert.equal((await app.inject({ method: 'GET', url: '/prompts', headers: auth })).statusCode, 200);
+});
+
+test('the daily quota is charged per queued rewrite and answers 429 until midnight UTC', async () => {
+  setup({ perDay: 2, now: () => Date.parse('2025-01-01T23:00:00Z') });
+
+  const first = await app.inject({ method: 'POST', url: '/rewrite/1', headers: auth });
+  assert.equal(first.statusCode, 202);
+  assert.equal(first.headers['x-quota-limit'], '2');
+  assert.equal(first.headers['x-quota-remaining'], '1');
+  assert.equal((await app.inject({ method: 'POST', url: '/rewrite/latest', headers: auth })).statusCode, 202);
+
+  const limited = await app.inject({ method: 'POST', url: '/rewrite/2', headers: auth });
+  assert.equal(limited.statusCode, 429);
+  assert.equal(limited.headers['retry-after'], '3600');
+  assert.match(limited.json().error, /Daily quota exceeded/);
+  assert.equal(enqueued.length, 2);
+
+  // Other routes are only rate limited
+  assert.equal((await app.inject({ method: 'GET', url: '/prompts', headers: auth })).statusCode, 200);
+});
+
+test('rejected rewrite requests do not use up the quota', async () => {
+  setup({ perDay: 1 });
+
+  assert.equal((await app.inject({ method: 'POST', url: '/rewrite/abc', headers: auth })).statusCode, 400);
+  const unknownTemplate = await app.inject({
+    method: 'POST',
+    url: '/rewrite/1',
+    headers: auth,
+    payload: { template: 'no-such-template' },
+  });
+  assert.equal(unknownTemplate.statusCode, 400);
+  const badBatch = await app.inject({ method: 'POST', url: '/rewrite/batch', headers: auth, payload: { concurrency: 'lots' } });
+  assert.equal(badBatch.statusCode, 400);
+  assert.match(badBatch.json().error, /Invalid concurrency: lots/);
+
+  const response = await app.inject({ method: 'POST', url: '/rewrite/1', headers: auth });
+  assert.equal(response.statusCode, 202);
+});
+
+test('requests refused by the usage budget do not use up the quota', async () => {
+  process.env.USAGE_BUDGET_DAILY_USD = '1';
+  const ledgerEntries = [{ at: new Date().toISOString(), costUsd: { total: 5 } }];
+  setup({ perDay: 1, ledgerEntries });
+
+  assert.equal((await app.inject({ method: 'POST', url: '/rewrite/1', headers: auth })).statusCode, 402);
+
+  ledgerEntries.length = 0;
+  assert.equal((await app.inject({ method: 'POST', url: '/rewrite/1', headers: auth })).statusCode, 202);
+});
+
+test('quota usage survives a restart', async () => {
+  setup({ perDay: 1 });
+  assert.equal((await app.inject({ method: 'POST', url: '/rewrite/1', headers: auth })).statusCode, 202);
+  await app.close();
+
+  setup({ perDay: 1 });
+  assert.equal((await app.inject({ method: 'POST', url: '/rewrite/1', headers: auth })).statusCode, 429);
+});
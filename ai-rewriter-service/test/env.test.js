@@ -0,0 +1,115 @@
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { envNumber } from '../src/env.js';
+import { referenceOptionsFromEnv } from '../src/references.js';
+import { qualityOptionsFromEnv } from '../src/quality.js';
+import { originalityOptionsFromEnv } from '../src/originality.js';
+import { budgetFromEnv } from '../src/usage/index.js';
+import { filterOptionsFromEnv } from '../src/search/index.js';
+import { apiAuthOptionsFromEnv } from '../src/api-auth.js';
+import { batchOptions } from '../src/scripts/rewrite-latest.js';
+
+const VARS = [
+  'TEST_NUMBER',
+  'REFERENCE_COUNT',
+  'QUALITY_MAX_RETRIES',
+  'ORIGINALITY_REFERENCE_THRESHOLD',
+  'USAGE_BUDGET_DAILY_USD',
+  'USAGE_BUDGET_MONTHLY_USD',
+  'SEARCH_PATH_PATTERNS',
+  'SEARCH_RESULT_COUNT',
+  'API_KEYS',
+  'API_USAGE_PATH',
+  'BATCH_CONCURRENCY',
+];
+
+afterEach(() => {
+  for (const name of VARS) delete process.env[name];
+});
+
+describe('envNumber', () => {
+  test('uses the fallback when unset or empty', () => {
+    assert.equal(envNumber('TEST_NUMBER', 7), 7);
+    process.env.TEST_NUMBER = '  ';
+    assert.equal(envNumber('TEST_NUMBER', 7), 7);
+  });
+
+  test('parses numbers, zero included', () => {
+    process.env.TEST_NUMBER = '0';
+    assert.equal(envNumber('TEST_NUMBER', 7), 0);
+    process.env.TEST_NUMBER = '0.25';
+    assert.equal(envNumber('TEST_NUMBER', 7, { min: 0, max: 1 }), 0.25);
+  });
+
+  test('rejects values that are not numbers', () => {
+    process.env.TEST_NUMBER = 'two';
+    assert.throws(() => envNumber('TEST_NUMBER', 7), /^Error: Invalid TEST_NUMBER: two \(expected a number\)$/);
+  });
+
+  test('rejects values out of range', () => {
+    process.env.TEST_NUMBER = '15';
+    assert.throws(() => envNumber('TEST_NUMBER', 0.5, { min: 0, max: 1 }), /Invalid TEST_NUMBER: 15 \(expected a number >= 0 <= 1\)/);
+    process.env.TEST_NUMBER = '1.5';
+    assert.throws(() => envNumber('TEST_NUMBER', 2, { min: 1, integer: true }), /expected an integer >= 1/);
+  });
+});
+
+describe('pipeline options', () => {
+  test('defaults', () => {
+    assert.deepEqual(referenceOptionsFromEnv(), { count: 2, minSimilarity: 0.05, duplicateThreshold: 0.8 });
+    assert.equal(qualityOptionsFromEnv().maxRetries, 1);
+    assert.equal(originalityOptionsFromEnv().referenceThreshold, 0.15);
+  });
+
+  test('invalid values are reported by name', () => {
+    process.env.REFERENCE_COUNT = '0';
+    assert.throws(() => referenceOptionsFromEnv(), /Invalid REFERENCE_COUNT/);
+    process.env.QUALITY_MAX_RETRIES = '-1';
+    assert.throws(() => qualityOptionsFromEnv(), /Invalid QUALITY_MAX_RETRIES/);
+    process.env.ORIGINALITY_REFERENCE_THRESHOLD = '15';
+    assert.throws(() => originalityOptionsFromEnv(), /Invalid ORIGINALITY_REFERENCE_THRESHOLD/);
+  });
+
+  test('usage budgets are off when unset and must be non-negative numbers', () => {
+    assert.deepEqual(budgetFromEnv(), { dailyUsd: null, monthlyUsd: null });
+
+    process.env.USAGE_BUDGET_DAILY_USD = '0';
+    process.env.USAGE_BUDGET_MONTHLY_USD = '40';
+    assert.deepEqual(budgetFromEnv(), { dailyUsd: 0, monthlyUsd: 40 });
+
+    process.env.USAGE_BUDGET_DAILY_USD = '$2';
+    assert.throws(() => budgetFromEnv(), /Invalid USAGE_BUDGET_DAILY_USD: \$2/);
+    process.env.USAGE_BUDGET_DAILY_USD = '2';
+    process.env.USAGE_BUDGET_MONTHLY_USD = '-40';
+    assert.throws(() => budgetFromEnv(), /Invalid USAGE_BUDGET_MONTHLY_USD: -40 \(expected a number >= 0\)/);
+  });
+
+  test('search path patterns are compiled up front', () => {
+    process.env.SEARCH_PATH_PATTERNS = '/blog/,/\\d{4}/';
+    assert.deepEqual(filterOptionsFromEnv().pathPatterns, [/\/blog\//i, /\/\d{4}\//i]);
+
+    process.env.SEARCH_PATH_PATTERNS = '/blog/,/articles(/';
+    assert.throws(() => filterOptionsFromEnv(), /Invalid SEARCH_PATH_PATTERNS entry "\/articles\(\/"/);
+  });
+
+  test('search result count must be a positive integer', () => {
+    process.env.SEARCH_RESULT_COUNT = 'five';
+    assert.throws(() => filterOptionsFromEnv(), /Invalid SEARCH_RESULT_COUNT: five/);
+  });
+
+  test('per-key API limits are validated', () => {
+    process.env.API_USAGE_PATH = '/tmp/unused-api-usage.json';
+    process.env.API_KEYS = 'dashboard:secret:30:20';
+    assert.deepEqual(apiAuthOptionsFromEnv().keys, [{ name: 'dashboard', key: 'secret', perMinute: 30, perDay: 20 }]);
+
+    process.env.API_KEYS = 'dashboard:secret:thirty';
+    assert.throws(() => apiAuthOptionsFromEnv(), /Invalid API_KEYS requests per minute for "dashboard": thirty/);
+  });
+
+  test('batch options fall back to env and reject bad values', () => {
+    process.env.BATCH_CONCURRENCY = '2';
+    assert.deepEqual(batchOptions(), { concurrency: 2, maxArticles: Infinity, budgetMinutes: null });
+    assert.deepEqual(batchOptions({ concurrency: '3', maxArticles: 10, budgetMinutes: 5 }), { concurrency: 3, maxArticles: 10, budgetMinutes: 5 });
+    assert.throws(() => batchOptions({ concurrency: 0 }), /Invalid concurrency: 0/);
+  });
+});
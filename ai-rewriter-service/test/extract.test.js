@@ -0,0 +1,163 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import * as cheerio from 'cheerio';
+import { extractArticle, cleanTitle, blocksToMarkdown, blocksToText } from '../src/extract/index.js';
+import { extractMetadata, readJsonLd } from '../src/extract/metadata.js';
+import { toBlocks } from '../src/extract/blocks.js';
+
+// Saved pages (NAME.html) with the article expected from them (NAME.json: url, metadata, wordCount, blocks)
+const FIXTURES = fileURLToPath(new URL('./fixtures/extract', import.meta.url));
+
+describe('fixture corpus', () => {
+  const names = fs.readdirSync(FIXTURES).filter(file => file.endsWith('.html')).map(file => file.slice(0, -5));
+
+  for (const name of names) {
+    test(name, () => {
+      const html = fs.readFileSync(path.join(FIXTURES, `${name}.html`), 'utf8');
+      const expected = JSON.parse(fs.readFileSync(path.join(FIXTURES, `${name}.json`), 'utf8'));
+      const article = extractArticle(html, expected.url);
+
+      for (const [field, value] of Object.entries(expected.metadata)) {
+        assert.deepEqual(article[field], value, field);
+      }
+      assert.deepEqual(article.blocks, expected.blocks);
+      assert.equal(article.wordCount, expected.wordCount);
+      assert.equal(article.content, blocksToMarkdown(expected.blocks));
+    });
+  }
+});
+
+describe('cleanTitle', () => {
+  test('keeps hyphenated words', () => {
+    assert.equal(cleanTitle('Step-by-step guide to self-hosting'), 'Step-by-step guide to self-hosting');
+  });
+
+  test('removes a trailing site name', () => {
+    assert.equal(cleanTitle('Step-by-step guide - Builders Weekly', 'Builders Weekly'), 'Step-by-step guide');
+    assert.equal(cleanTitle('Why bots help | ACME blog', 'Acme Blog'), 'Why bots help');
+  });
+
+  test('removes a leading site name', () => {
+    assert.equal(cleanTitle('Acme » Why bots help', 'Acme'), 'Why bots help');
+  });
+
+  test('without a site name, drops the last part when the first reads like a title', () => {
+    assert.equal(cleanTitle('How chatbots cut costs — Acme'), 'How chatbots cut costs');
+    assert.equal(cleanTitle('Pricing - Acme'), 'Pricing - Acme');
+  });
+
+  test('only splits on the first separator found', () => {
+    assert.equal(cleanTitle('Q&A: bots - the good parts | Acme', 'Acme'), 'Q&A: bots - the good parts');
+  });
+
+  test('normalizes whitespace and empty input', () => {
+    assert.equal(cleanTitle('  Many\n  spaces  '), 'Many spaces');
+    assert.equal(cleanTitle(null), '');
+  });
+});
+
+describe('extractMetadata', () => {
+  const metadataOf = (html, url = 'https://example.com/post') => {
+    const $ = cheerio.load(html);
+    return extractMetadata($, url, readJsonLd($));
+  };
+
+  test('prefers article markup over Open Graph and JSON-LD', () => {
+    const metadata = metadataOf(`
+      <meta property="og:title" content="OG title">
+      <script type="application/ld+json">{"@type":"Article","headline":"LD title"}</script>
+      <article><h1>Article title</h1></article>`);
+    assert.equal(metadata.title, 'Article title');
+  });
+
+  test('ignores author meta tags that are profile URLs', () => {
+    const metadata = metadataOf(`
+      <meta property="article:author" content="https://facebook.com/someone">
+      <script type="application/ld+json">{"@type":"BlogPosting","author":{"name":"Ana Ruiz"}}</script>`);
+    assert.equal(metadata.author, 'Ana Ruiz');
+  });
+
+  test('reads the publish date from <time> as a last resort', () => {
+    const metadata = metadataOf('<article><time datetime="2024-02-29T12:00:00Z">Leap day</time></article>');
+    assert.equal(metadata.publishedAt, '2024-02-29T12:00:00.000Z');
+  });
+
+  test('drops unparseable dates', () => {
+    assert.equal(metadataOf('<meta name="date" content="sometime soon">').publishedAt, null);
+  });
+
+  test('normalizes og:locale to a language tag', () => {
+    assert.equal(metadataOf('<meta property="og:locale" content="pt_BR">').language, 'pt-BR');
+  });
+
+  test('resolves a relative canonical URL against the page URL', () => {
+    const metadata = metadataOf('<link rel="canonical" href="/a/b">', 'https://example.com/x/y?z=1');
+    assert.equal(metadata.canonicalUrl, 'https://example.com/a/b');
+  });
+});
+
+describe('toBlocks', () => {
+  const blocksOf = (html, baseUrl = 'https://example.com/dir/page') => {
+    const $ = cheerio.load(`<div id="root">${html}</div>`);
+    return toBlocks($, $('#root').toArray(), baseUrl);
+  };
+
+  test('turns loose text between block elements into paragraphs', () => {
+    assert.deepEqual(blocksOf('Intro text<h2>Title</h2>More <b>text</b>'), [
+      { type: 'paragraph', text: 'Intro text' },
+      { type: 'heading', level: 2, text: 'Title' },
+      { type: 'paragraph', text: 'More **text**' },
+    ]);
+  });
+
+  test('keeps inline links, resolved, and drops unsafe ones', () => {
+    assert.deepEqual(blocksOf('<p><a href="../x">rel</a> <a href="javascript:alert(1)">js</a> <a href="#top">top</a></p>'), [
+      { type: 'paragraph', text: '[rel](https://example.com/x) js top' },
+    ]);
+  });
+
+  test('keeps line breaks inside paragraphs', () => {
+    assert.deepEqual(blocksOf('<p>Line one<br>Line two</p>'), [{ type: 'paragraph', text: 'Line one\nLine two' }]);
+  });
+
+  test('skips link-heavy lists as navigation', () => {
+    assert.deepEqual(blocksOf('<ul><li><a href="/a">A</a></li><li><a href="/b">B</a></li></ul><p>Body</p>'), [
+      { type: 'paragraph', text: 'Body' },
+    ]);
+  });
+
+  test('reads the code language from the class name', () => {
+    assert.deepEqual(blocksOf('<pre class="lang-js"><code>const a = 1;\n</code></pre>'), [
+      { type: 'code', language: 'js', text: 'const a = 1;' },
+    ]);
+  });
+
+  test('leaves out images, captions and tables', () => {
+    assert.deepEqual(blocksOf('<p>Text<img src="a.png"><sup>1</sup></p><table><tr><td>cell</td></tr></table>'), [
+      { type: 'paragraph', text: 'Text' },
+    ]);
+  });
+});
+
+describe('rendering blocks', () => {
+  const blocks = [
+    { type: 'heading', level: 2, text: 'Steps' },
+    { type: 'list', ordered: false, items: ['First [link](https://example.com)', '  Nested', 'Second'] },
+    { type: 'quote', text: 'Line one\nLine two' },
+    { type: 'code', language: null, text: 'x = 1' },
+  ];
+
+  test('blocksToMarkdown', () => {
+    assert.equal(
+      blocksToMarkdown(blocks),
+      '## Steps\n\n- First [link](https://example.com)\n  - Nested\n- Second\n\n> Line one\n> Line two\n\n```\nx = 1\n```'
+    );
+  });
+
+  test('blocksToText strips inline Markdown', () => {
+    assert.equal(blocksToText(blocks), 'Steps\n\nFirst link\nNested\nSecond\n\nLine one\nLine two\n\nx = 1');
+  });
+});
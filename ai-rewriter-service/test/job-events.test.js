@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { buildApp } from '../src/app.js';
+import { createApiAuth } from '../src/api-auth.js';
+
+const KEY = 'test-key';
+
+function createApp(job = { id: 'job-1', state: 'succeeded', type: 'rewrite-latest', result: { skipped: true } }) {
+  const queue = {
+    events: new EventEmitter(),
+    get: (id) => (id === job.id ? job : null),
+    enqueue: () => job,
+  };
+  const app = buildApp({
+    queue,
+    scheduler: {},
+    logger: false,
+    auth: createApiAuth({ keys: [{ name: 'tester', key: KEY, perMinute: 100, perDay: 10 }] }),
+    usageLedger: { entries: () => [] },
+  });
+  return { app, queue };
+}
+
+test('the event stream keeps CORS and rate-limit headers', async () => {
+  const { app } = createApp();
+  const response = await app.inject({
+    method: 'GET',
+    url: '/jobs/job-1/events',
+    headers: { authorization: `Bearer ${KEY}`, origin: 'http://localhost:5173' },
+  });
+  await app.close();
+
+  assert.equal(response.statusCode, 200);
+  assert.equal(response.headers['content-type'], 'text/event-stream');
+  assert.equal(response.headers['access-control-allow-origin'], 'http://localhost:5173');
+  assert.equal(response.headers['x-ratelimit-limit'], '100');
+  assert.match(response.body, /^event: job\n/);
+  assert.match(response.body, /event: done\n/);
+});
+
+test('?stream=true on a rewrite route streams with the same headers', async () => {
+  const { app } = createApp();
+  const response = await app.inject({
+    method: 'POST',
+    url: '/rewrite/latest?stream=true',
+    headers: { authorization: `Bearer ${KEY}`, origin: 'http://localhost:5173' },
+  });
+  await app.close();
+
+  assert.equal(response.headers['access-control-allow-origin'], 'http://localhost:5173');
+  assert.equal(response.headers['x-quota-remaining'], '9');
+});
+
+test('a POST with a body keeps streaming until the job is done', async () => {
+  const job = { id: 'job-2', state: 'running', type: 'rewrite-article' };
+  const { app, queue } = createApp(job);
+  const address = await app.listen({ port: 0, host: '127.0.0.1' });
+
+  try {
+    const response = await fetch(`${address}/rewrite/12?stream=true`, {
+      method: 'POST',
+      headers: { authorization: `Bearer ${KEY}`, 'content-type': 'application/json' },
+      body: JSON.stringify({ force: true }),
+      signal: AbortSignal.timeout(5000),
+    });
+    assert.equal(response.status, 200);
+
+    // The request body has been read by now; the stream must still be listening
+    await new Promise(resolve => setTimeout(resolve, 50));
+    queue.events.emit('step', { jobId: job.id, name: 'generating', detail: null });
+    queue.events.emit('token', { jobId: job.id, text: 'Hello' });
+    queue.events.emit('done', { ...job, state: 'succeeded' });
+
+    const body = await response.text();
+    assert.match(body, /event: step\n/);
+    assert.match(body, /event: token\ndata: {"text":"Hello"}/);
+    assert.match(body, /event: done\n/);
+  } finally {
+    await app.close();
+  }
+});
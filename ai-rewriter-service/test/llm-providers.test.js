@@ -0,0 +1,139 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createProvider, createProviderChain, createFakeHttp, getCircuitStates, resetCircuits } from '../src/llm/index.js';
+
+// Minimal config for providers that won't start without a key or endpoint
+const OVERRIDES = {
+  google: { apiKey: 'test-key', retryBaseDelayMs: 1 },
+  openai: { apiKey: 'test-key' },
+  'azure-openai': { apiKey: 'test-key', baseUrl: 'https://example.openai.azure.com/', model: 'my-deployment' },
+  'openai-compatible': {},
+  anthropic: { apiKey: 'test-key' },
+  ollama: {},
+};
+
+const fakeProvider = (name, replies) => {
+  const http = createFakeHttp(name, replies);
+  return { http, provider: createProvider(name, OVERRIDES[name], { http }) };
+};
+
+describe('providers', () => {
+  for (const name of Object.keys(OVERRIDES)) {
+    test(`${name} returns the completion text`, async () => {
+      const { http, provider } = fakeProvider(name, '  ## Rewritten\n\nBody text.  ');
+      const result = await provider.generate({ system: 'Be brief.', prompt: 'Rewrite this.' });
+
+      assert.equal(result.content, '## Rewritten\n\nBody text.');
+      assert.equal(provider.name, name);
+      assert.equal(http.calls.length, 1);
+      assert.match(JSON.stringify(http.calls[0].data), /Rewrite this\./);
+    });
+  }
+
+  test('sends the key where each API expects it', async () => {
+    const headersOf = async (name) => {
+      const { http, provider } = fakeProvider(name, 'ok');
+      await provider.generate({ prompt: 'x' });
+      return http.calls[0].config.headers;
+    };
+
+    assert.equal((await headersOf('google'))['X-goog-api-key'], 'test-key');
+    assert.equal((await headersOf('openai')).Authorization, 'Bearer test-key');
+    assert.equal((await headersOf('azure-openai'))['api-key'], 'test-key');
+    assert.equal((await headersOf('anthropic'))['x-api-key'], 'test-key');
+    assert.equal((await headersOf('openai-compatible')).Authorization, undefined);
+  });
+
+  test('azure-openai routes by deployment', async () => {
+    const { http, provider } = fakeProvider('azure-openai', 'ok');
+    await provider.generate({ prompt: 'x' });
+    assert.equal(
+      http.calls[0].url,
+      'https://example.openai.azure.com/openai/deployments/my-deployment/chat/completions?api-version=2024-06-01'
+    );
+  });
+
+  test('refuses to start without a required API key', () => {
+    const http = createFakeHttp('openai', 'ok');
+    assert.throws(() => createProvider('openai', { apiKey: '' }, { http }), /Missing API key for LLM provider "openai"/);
+  });
+
+  for (const name of ['openai', 'azure-openai', 'openai-compatible', 'ollama']) {
+    test(`${name} streams tokens to onToken`, async () => {
+      const { http, provider } = fakeProvider(name, 'One two three.');
+      const tokens = [];
+      const result = await provider.generate({ prompt: 'x', onToken: token => tokens.push(token) });
+
+      assert.equal(http.calls[0].config.responseType, 'stream');
+      assert.deepEqual(tokens, ['One ', 'two ', 'three.']);
+      assert.equal(result.content, 'One two three.');
+      assert.equal(result.streamed, true);
+    });
+  }
+
+  test('google retries when rate limited', async () => {
+    const { http, provider } = fakeProvider('google', [429, 429, 'third try']);
+    const result = await provider.generate({ prompt: 'x' });
+    assert.equal(result.content, 'third try');
+    assert.equal(http.calls.length, 3);
+  });
+
+  test('google gives up after its retries', async () => {
+    const { http, provider } = fakeProvider('google', 429);
+    await assert.rejects(provider.generate({ prompt: 'x' }), error => error.response.status === 429);
+    assert.equal(http.calls.length, 3);
+  });
+
+  test('HTTP errors reach the caller', async () => {
+    const { provider } = fakeProvider('anthropic', 500);
+    await assert.rejects(provider.generate({ prompt: 'x' }), /status code 500/);
+  });
+});
+
+describe('createProviderChain', () => {
+  beforeEach(() => resetCircuits());
+
+  const chainOf = (replies) => createProviderChain(Object.keys(replies), {
+    overrides: OVERRIDES,
+    deps: Object.fromEntries(Object.entries(replies).map(([name, reply]) => [name, { http: createFakeHttp(name, reply) }])),
+  });
+
+  test('falls back to the next provider and reports the attempts', async () => {
+    const chain = chainOf({ anthropic: 500, ollama: 'from ollama' });
+    const tried = [];
+    const result = await chain.generate({ prompt: 'x', onAttempt: name => tried.push(name) });
+
+    assert.equal(result.content, 'from ollama');
+    assert.equal(result.provider, 'ollama');
+    assert.deepEqual(tried, ['anthropic', 'ollama']);
+    assert.deepEqual(result.attempts.map(({ provider, ok }) => ({ provider, ok })), [
+      { provider: 'anthropic', ok: false },
+      { provider: 'ollama', ok: true },
+    ]);
+  });
+
+  test('opens the circuit after repeated failures', async () => {
+    const chain = chainOf({ anthropic: 503, ollama: 'ok' });
+    for (let i = 0; i < 3; i++) await chain.generate({ prompt: 'x' });
+
+    assert.equal(getCircuitStates().anthropic.state, 'open');
+    const result = await chain.generate({ prompt: 'x' });
+    assert.deepEqual(result.attempts[0], { provider: 'anthropic', skipped: true, error: 'circuit open' });
+
+    resetCircuits();
+    assert.deepEqual(getCircuitStates(), {});
+  });
+
+  test('fails with every error when no provider succeeds', async () => {
+    const chain = chainOf({ openai: 500, ollama: 502 });
+    await assert.rejects(chain.generate({ prompt: 'x' }), (error) => {
+      assert.match(error.message, /^All LLM providers failed \(openai: .*500; ollama: .*502\)$/);
+      assert.equal(error.attempts.length, 2);
+      return true;
+    });
+  });
+
+  test('rejects unknown providers', () => {
+    assert.throws(() => createProviderChain(['ollama', 'nope']), /Unknown LLM provider\(s\): nope/);
+  });
+});
@@ -0,0 +1,55 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { acquireLock, releaseLock } from '../src/lock.js';
+
+let dir;
+let lockPath;
+
+const writeLock = (owner) => fs.writeFileSync(lockPath, JSON.stringify(owner));
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lock-'));
+  lockPath = path.join(dir, 'test.lock');
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('only one holder at a time, until released', () => {
+  assert.equal(acquireLock(lockPath), true);
+  assert.equal(acquireLock(lockPath), false);
+  releaseLock(lockPath);
+  assert.equal(fs.existsSync(lockPath), false);
+  assert.equal(acquireLock(lockPath), true);
+});
+
+test('a lock left by an earlier process with the same PID is taken over', () => {
+  // e.g. a restarted container whose process got the same PID again
+  writeLock({ pid: process.pid, bootId: 'previous-boot', acquiredAt: Date.now() });
+  assert.equal(acquireLock(lockPath), true);
+});
+
+test('a lock from before boot IDs were recorded is taken over when it has our PID', () => {
+  writeLock({ pid: process.pid, acquiredAt: Date.now() });
+  assert.equal(acquireLock(lockPath), true);
+});
+
+test('a lock held by another live process is respected', () => {
+  writeLock({ pid: process.ppid, bootId: 'other', acquiredAt: Date.now() });
+  assert.equal(acquireLock(lockPath), false);
+});
+
+test('a lock older than staleMs is taken over', () => {
+  writeLock({ pid: process.ppid, bootId: 'other', acquiredAt: Date.now() - 10_000 });
+  assert.equal(acquireLock(lockPath, { staleMs: 1000 }), true);
+});
+
+test('releasing does not remove a lock held by someone else', () => {
+  writeLock({ pid: process.ppid, bootId: 'other', acquiredAt: Date.now() });
+  releaseLock(lockPath);
+  assert.equal(fs.existsSync(lockPath), true);
+});
@@ -0,0 +1,36 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { cleanOutput } from '../src/quality.js';
+
+const ARTICLE = '## Why bots help\n\nChatbots answer the easy questions.\n\n## References\n\n1. https://example.com/a';
+
+describe('cleanOutput', () => {
+  test('strips a chat preamble and code fences around the article', () => {
+    assert.equal(cleanOutput(`Sure! Here is the rewritten article:\n\n\`\`\`markdown\n${ARTICLE}\n\`\`\``), ARTICLE);
+  });
+
+  for (const signOff of [
+    'Let me know if you want any changes.',
+    'I hope this helps!',
+    'Feel free to ask for a shorter version.',
+    "If you'd like, I can adjust the tone.",
+    'If you would like me to add more sections, just say so.',
+    'Would you like me to translate it?',
+  ]) {
+    test(`strips the sign-off "${signOff}"`, () => {
+      assert.equal(cleanOutput(`${ARTICLE}\n\n---\n\n${signOff}`), ARTICLE);
+    });
+  }
+
+  for (const line of [
+    'Note: this article was updated in 2024.',
+    'Note: I tested every tool listed above.',
+    'Feel free to reach out to our support team at any time.',
+    'If you would like to learn more, see the vendor documentation.',
+  ]) {
+    test(`keeps article content "${line}"`, () => {
+      const content = `${ARTICLE}\n\n${line}`;
+      assert.equal(cleanOutput(content), content);
+    });
+  }
+});
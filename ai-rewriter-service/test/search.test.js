@@ -0,0 +1,25 @@
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSearchProvider, searchReferences } from '../src/search/index.js';
+
+describe('fixture search provider', () => {
+  afterEach(() => {
+    delete process.env.SEARCH_FIXTURE_PATH;
+  });
+
+  test('answers from the sample fixture by default, pages included', async () => {
+    const results = await searchReferences('How chatbots help support teams', { provider: 'fixture' });
+
+    assert.equal(results.length, 2);
+    for (const result of results) {
+      assert.equal(result.provider, 'fixture');
+      assert.match(result.url, /^https:\/\//);
+      assert.match(result.html, /<article>/);
+    }
+  });
+
+  test('fails on creation when the fixture file is missing', () => {
+    process.env.SEARCH_FIXTURE_PATH = 'does/not/exist.json';
+    assert.throws(() => createSearchProvider('fixture'), /Search fixture file .*does\/not\/exist\.json not found \(set SEARCH_FIXTURE_PATH\)/);
+  });
+});
@@ -0,0 +1,61 @@
+<?php
+
+namespace App\Http\Controllers\Api;
+
+use App\Http\Controllers\Controller;
+use App\Support\AdminToken;
+use Illuminate\Http\JsonResponse;
+use Illuminate\Http\Request;
+use Illuminate\Support\Facades\Validator;
+
+/**
+ * Admin API Controller
+ * 
+ * Single-user login for the admin dashboard. Credentials come from
+ * ADMIN_USERNAME / ADMIN_PASSWORD; admin login is disabled until both are set.
+ */
+class AdminController extends Controller
+{
+    /**
+     * Exchange admin credentials for a bearer token
+     * 
+     * POST /api/admin/login
+     */
+    public function login(Request $request): JsonResponse
+    {
+        $validator = Validator::make($request->all(), [
+            'username' => 'required|string',
+            'password' => 'required|string',
+        ]);
+
+        if ($validator->fails()) {
+            return response()->json([
+                'message' => 'Validation failed',
+                'errors' => $validator->errors(),
+            ], 422);
+        }
+
+        $username = config('services.admin.username');
+        $password = config('services.admin.password');
+
+        if (!$username || !$password) {
+            return response()->json([
+                'message' => 'Admin login is not configured (set ADMIN_USERNAME and ADMIN_PASSWORD)',
+            ], 503);
+        }
+
+        // Compare both fields before deciding, so timing doesn't reveal which one was wrong
+        $validUsername = hash_equals($username, $request->username);
+        $validPassword = hash_equals($password, $request->password);
+
+        if (!$validUsername || !$validPassword) {
+            return response()->json([
+                'message' => 'Invalid username or password',
+            ], 401);
+        }
+
+        return response()->json([
+            'data' => AdminToken::issue($username),
+        ]);
+    }
+}
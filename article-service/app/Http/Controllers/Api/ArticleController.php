@@ -17,25 +17,95 @@
  */
 class ArticleController extends Controller
 {
+    /**
+     * Sort options for the article list: column => direction pairs
+     */
+    private const SORTS = [
+        'newest' => [['published_at', 'desc'], ['created_at', 'desc']],
+        'oldest' => [['published_at', 'asc'], ['created_at', 'asc']],
+        'title' => [['title', 'asc']],
+        'title_desc' => [['title', 'desc']],
+        'updated' => [['updated_at', 'desc']],
+    ];
+
     /**
      * Get all articles
      * 
      * GET /api/articles
+     * Supports q (full-text search over title and content), from / to
+     * (published_at date range, inclusive), domain (source domain) and
+     * sort (newest, oldest, title, title_desc, updated)
      */
     public function index(Request $request): JsonResponse
     {
+        $validator = Validator::make($request->all(), [
+            'q' => 'nullable|string|max:200',
+            'from' => 'nullable|date',
+            'to' => 'nullable|date',
+            'domain' => 'nullable|string|max:255',
+            'sort' => 'nullable|in:' . implode(',', array_keys(self::SORTS)),
+            'per_page' => 'nullable|integer|min:1|max:100',
+        ]);
+
+        if ($validator->fails()) {
+            return response()->json([
+                'message' => 'Validation failed',
+                'errors' => $validator->errors(),
+            ], 422);
+        }
+
         $query = Article::query();
 
+        if ($request->filled('q')) {
+            $query->search($request->q);
+        }
+
+        if ($request->filled('from')) {
+            $query->whereDate('published_at', '>=', $request->from);
+        }
+
+        if ($request->filled('to')) {
+            $query->whereDate('published_at', '<=', $request->to);
+        }
+
+        if ($request->filled('domain')) {
+            $domain = $this->normalizeDomain($request->domain);
+            if ($domain !== '') {
+                $query->fromDomain($domain);
+            }
+        }
+
         // Filter by version if provided
         if ($request->has('version')) {
             $query->where('version', $request->version);
         }
 
+        // Filter by rewritten status if provided (used by the rewriter's batch mode)
+        if ($request->has('is_rewritten')) {
+            $query->where('is_rewritten', $request->boolean('is_rewritten'));
+        }
+
+        // Only approved, published articles are public; admins and services can pass
+        // review_status=all (or a status) to see the rest
+        $reviewStatus = $this->isPrivileged($request) ? $request->get('review_status') : null;
+        if (in_array($reviewStatus, Article::REVIEW_STATUSES, true)) {
+            $query->where('review_status', $reviewStatus);
+        } elseif ($reviewStatus !== 'all') {
+            $query->visible();
+        }
+
+        if ($request->has('is_published')) {
+            $query->where('is_published', $request->boolean('is_published'));
+        }
+
+        // An empty ?sort= passes validation (nullable) and means the default
+        foreach (self::SORTS[$request->input('sort') ?: 'newest'] as [$column, $direction]) {
+            $query->orderBy($column, $direction);
+        }
+
         // Pagination
         $perPage = $request->get('per_page', 15);
-        $articles = $query->latest('published_at')
-                          ->latest('created_at')
-                          ->paginate($perPage);
+        $articles = $query->orderBy('id', 'desc')->paginate($perPage);
 
         return response()->json([
             'data' => ArticleResource::collection($articles->items()),
@@ -48,14 +118,83 @@ public function index(Request $request): JsonResponse
         ]);
     }
 
+    /**
+     * Article counts for the admin dashboard
+     * 
+     * GET /api/articles/stats
+     */
+    public function stats(): JsonResponse
+    {
+        $reviewCounts = Article::rewritten()
+            ->selectRaw('review_status, count(*) as total')
+            ->groupBy('review_status')
+            ->pluck('total', 'review_status');
+
+        return response()->json([
+            'data' => [
+                'originals' => Article::original()->count(),
+                'rewritten_originals' => Article::original()->where('is_rewritten', true)->count(),
+                'unrewritten' => Article::unrewritten()->count(),
+                'rewrites' => Article::rewritten()->count(),
+                'rewrites_by_status' => collect(Article::REVIEW_STATUSES)
+                    ->mapWithKeys(fn ($status) => [$status => (int) ($reviewCounts[$status] ?? 0)]),
+                'unpublished' => Article::where('is_published', false)->count(),
+            ],
+        ]);
+    }
+
+    /**
+     * List source domains with article counts (for the domain filter)
+     * 
+     * GET /api/articles/domains
+     */
+    public function domains(): JsonResponse
+    {
+        $counts = Article::original()
+            ->visible()
+            ->whereNotNull('source_url')
+            ->pluck('source_url')
+            ->map(fn ($url) => $this->normalizeDomain($url))
+            ->filter()
+            ->countBy()
+            ->sortDesc();
+
+        return response()->json([
+            'data' => $counts->map(fn ($count, $domain) => [
+                'domain' => $domain,
+                'count' => $count,
+            ])->values(),
+        ]);
+    }
+
     /**
      * Get a single article by ID
      * 
      * GET /api/articles/{id}
+     * Drafts, rejected rewrites and unpublished articles are not public (see
+     * ReviewController); review_status=all includes them for admins and
+     * signed service requests (the AI Rewriter and the admin dashboard)
+     * Rewritten versions come oldest first; for a rewrite, the parent's
+     * versions are included too so every sibling can be compared
      */
-    public function show($id): JsonResponse
+    public function show(Request $request, $id): JsonResponse
     {
-        $article = Article::with(['parent', 'rewrittenVersions'])->findOrFail($id);
+        $onlyApproved = !$this->isPrivileged($request) || $request->get('review_status') !== 'all';
+        $versions = function ($relation) use ($onlyApproved) {
+            if ($onlyApproved) {
+                $relation->visible();
+            }
+            $relation->oldest('created_at')->oldest('id');
+        };
+
+        $query = Article::with([
+            'parent.rewrittenVersions' => $versions,
+            'rewrittenVersions' => $versions,
+        ]);
+        if ($onlyApproved) {
+            $query->visible();
+        }
+        $article = $query->findOrFail($id);
 
         return response()->json([
             'data' => new ArticleResource($article),
@@ -90,6 +229,7 @@ public function latest(): JsonResponse
      * 
      * POST /api/articles
      * Used by AI Rewriter service to publish rewritten articles
+     * Rewritten articles are created as drafts and need approval before they go live.
      * Automatically marks the parent article as rewritten when a rewritten version is created
      */
     public function store(Request $request): JsonResponse
@@ -102,6 +242,8 @@ public function store(Request $request): JsonResponse
             'parent_article_id' => 'nullable|exists:articles,id',
             'references' => 'nullable|array',
             'references.*' => 'url',
+            'rewrite_meta' => 'nullable|array',
+            'review_status' => 'nullable|in:' . implode(',', Article::REVIEW_STATUSES),
             'published_at' => 'nullable|date',
         ]);
 
@@ -112,7 +254,15 @@ public function store(Request $request): JsonResponse
             ], 422);
         }
 
-        $article = Article::create($validator->validated());
+        $data = $validator->validated();
+        // Only an editor picks the review status; service clients always create rewrites as drafts
+        if (empty($data['review_status']) || !$request->attributes->has('admin')) {
+            $data['review_status'] = $data['version'] === 'rewritten'
+                ? Article::REVIEW_DRAFT
+                : Article::REVIEW_APPROVED;
+        }
+
+        $article = Article::create($data);
 
         // Mark parent article as rewritten if this is a rewritten version
         if ($article->version === 'rewritten' && $article->parent_article_id) {
@@ -145,6 +295,10 @@ public function update(Request $request, $id): JsonResponse
             'parent_article_id' => 'sometimes|nullable|exists:articles,id',
             'references' => 'sometimes|nullable|array',
             'references.*' => 'url',
+            'rewrite_meta' => 'sometimes|nullable|array',
+            'review_status' => 'sometimes|required|in:' . implode(',', Article::REVIEW_STATUSES),
+            'review_notes' => 'sometimes|nullable|string',
+            'is_published' => 'sometimes|boolean',
             'published_at' => 'sometimes|nullable|date',
         ]);
 
@@ -167,14 +321,41 @@ public function update(Request $request, $id): JsonResponse
      * Delete an article
      * 
      * DELETE /api/articles/{id}
+     * Deleting an original also deletes its rewrites (foreign key cascade).
+     * Deleting an original's last rewrite marks it as unrewritten again.
      */
     public function destroy($id): JsonResponse
     {
         $article = Article::findOrFail($id);
+        $parent = $article->parent;
         $article->delete();
 
+        if ($parent && !$parent->rewrittenVersions()->exists()) {
+            $parent->update(['is_rewritten' => false]);
+        }
+
         return response()->json([
             'message' => 'Article deleted successfully',
         ]);
     }
+
+    /**
+     * Whether the request came from an admin or a signed service client
+     * (set by the service:optional middleware)
+     */
+    private function isPrivileged(Request $request): bool
+    {
+        return $request->attributes->has('admin') || $request->attributes->has('service_client');
+    }
+
+    /**
+     * Reduce a URL or host to a bare domain ("https://www.Example.com/a" -> "example.com")
+     */
+    private function normalizeDomain(string $value): string
+    {
+        $host = parse_url(str_contains($value, '://') ? $value : "http://{$value}", PHP_URL_HOST) ?: '';
+        $host = preg_replace('/^www\./', '', strtolower($host));
+
+        return preg_match('/^[a-z0-9.-]+$/', $host) ? $host : '';
+    }
 }
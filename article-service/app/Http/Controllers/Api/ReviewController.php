@@ -0,0 +1,118 @@
+<?php
+
+namespace App\Http\Controllers\Api;
+
+use App\Http\Controllers\Controller;
+use App\Http\Resources\ArticleResource;
+use App\Models\Article;
+use Illuminate\Http\JsonResponse;
+use Illuminate\Http\Request;
+use Illuminate\Support\Facades\Validator;
+
+/**
+ * Review API Controller
+ * 
+ * Human review of AI-rewritten articles. The rewriter publishes drafts;
+ * an editor approves them (they go live), rejects them, or requests a
+ * regeneration (the original is queued for rewriting again).
+ */
+class ReviewController extends Controller
+{
+    /**
+     * Map of review actions to the status they set
+     */
+    private const ACTIONS = [
+        'approve' => Article::REVIEW_APPROVED,
+        'reject' => Article::REVIEW_REJECTED,
+        'request_regeneration' => Article::REVIEW_REGENERATION_REQUESTED,
+    ];
+
+    /**
+     * List rewritten articles by review status (drafts by default)
+     * 
+     * GET /api/reviews?status=draft
+     */
+    public function index(Request $request): JsonResponse
+    {
+        $status = $request->get('status', Article::REVIEW_DRAFT);
+
+        $query = Article::rewritten()->with('parent');
+        if ($status !== 'all') {
+            $query->where('review_status', $status);
+        }
+
+        $perPage = $request->get('per_page', 15);
+        $articles = $query->orderByDesc('created_at')->paginate($perPage);
+
+        return response()->json([
+            'data' => ArticleResource::collection($articles->items()),
+            'meta' => [
+                'current_page' => $articles->currentPage(),
+                'per_page' => $articles->perPage(),
+                'total' => $articles->total(),
+                'last_page' => $articles->lastPage(),
+                'pending' => Article::pendingReview()->count(),
+            ],
+        ]);
+    }
+
+    /**
+     * Get a rewritten article for review, with its original
+     * 
+     * GET /api/reviews/{id}
+     */
+    public function show($id): JsonResponse
+    {
+        $article = Article::rewritten()->with('parent')->findOrFail($id);
+
+        return response()->json([
+            'data' => new ArticleResource($article),
+        ]);
+    }
+
+    /**
+     * Approve, reject or request regeneration of a rewritten article
+     * 
+     * POST /api/articles/{id}/review
+     * Body: { "action": "approve" | "reject" | "request_regeneration", "notes": "..." }
+     */
+    public function review(Request $request, $id): JsonResponse
+    {
+        $article = Article::rewritten()->findOrFail($id);
+
+        $validator = Validator::make($request->all(), [
+            'action' => 'required|in:' . implode(',', array_keys(self::ACTIONS)),
+            'notes' => 'nullable|string|max:5000',
+        ]);
+
+        if ($validator->fails()) {
+            return response()->json([
+                'message' => 'Validation failed',
+                'errors' => $validator->errors(),
+            ], 422);
+        }
+
+        $action = $request->input('action');
+        $attributes = [
+            'review_status' => self::ACTIONS[$action],
+            'review_notes' => $request->input('notes'),
+            'reviewed_at' => now(),
+        ];
+
+        if ($action === 'approve' && !$article->published_at) {
+            $attributes['published_at'] = now();
+        }
+
+        $article->update($attributes);
+
+        // Put the original back in the rewriter's queue
+        if ($action === 'request_regeneration' && $article->parent_article_id) {
+            Article::whereKey($article->parent_article_id)->update(['is_rewritten' => false]);
+        }
+
+        return response()->json([
+            'message' => 'Review saved',
+            'data' => new ArticleResource($article->fresh('parent')),
+        ]);
+    }
+}
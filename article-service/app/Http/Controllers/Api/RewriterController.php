@@ -0,0 +1,96 @@
+<?php
+
+namespace App\Http\Controllers\Api;
+
+use App\Http\Controllers\Controller;
+use Illuminate\Http\Client\ConnectionException;
+use Illuminate\Http\JsonResponse;
+use Illuminate\Http\Request;
+use Illuminate\Support\Facades\Http;
+
+/**
+ * Rewriter API Controller
+ *
+ * Admin-only proxy to the AI Rewriter for the dashboard (trigger a rewrite,
+ * list jobs and prompt templates). The rewriter's API key (REWRITER_API_KEY)
+ * stays on this server instead of shipping in the frontend bundle, and the
+ * key's rate limit and daily quota apply to every admin together.
+ */
+class RewriterController extends Controller
+{
+    /**
+     * Rewriter response headers passed on to the dashboard
+     */
+    private const FORWARDED_HEADERS = ['Retry-After', 'X-Quota-Limit', 'X-Quota-Remaining'];
+
+    /**
+     * Queue a rewrite of one article
+     *
+     * POST /api/admin/rewrite/{id}
+     * Body (all optional): { "force": true, "template": "...", "tone": "..." }
+     */
+    public function rewrite(Request $request, $id): JsonResponse
+    {
+        return $this->forward('post', '/rewrite/' . (int) $id, $request->only(['force', 'template', 'tone']));
+    }
+
+    /**
+     * List rewrite jobs, newest first
+     *
+     * GET /api/admin/rewriter/jobs?state=failed&type=rewrite-article&limit=25
+     */
+    public function jobs(Request $request): JsonResponse
+    {
+        return $this->forward('get', '/jobs', $request->only(['state', 'type', 'limit']));
+    }
+
+    /**
+     * List prompt templates
+     *
+     * GET /api/admin/rewriter/prompts
+     */
+    public function prompts(): JsonResponse
+    {
+        return $this->forward('get', '/prompts');
+    }
+
+    private function forward(string $method, string $path, array $data = []): JsonResponse
+    {
+        $apiKey = config('services.rewriter.api_key');
+        if (!$apiKey) {
+            return response()->json([
+                'message' => 'AI Rewriter is not configured (set REWRITER_API_KEY)',
+            ], 503);
+        }
+
+        try {
+            $response = Http::baseUrl(config('services.rewriter.base_url'))
+                ->withToken($apiKey)
+                ->acceptJson()
+                ->timeout(15)
+                ->{$method}($path, $data);
+        } catch (ConnectionException $e) {
+            return response()->json([
+                'message' => 'AI Rewriter service is unreachable',
+            ], 502);
+        }
+
+        // A rejected key is a server misconfiguration, not an expired admin session
+        if ($response->status() === 401) {
+            return response()->json([
+                'message' => 'AI Rewriter rejected REWRITER_API_KEY',
+            ], 502);
+        }
+
+        $headers = collect(self::FORWARDED_HEADERS)
+            ->mapWithKeys(fn ($name) => [$name => $response->header($name)])
+            ->filter(fn ($value) => $value !== '')
+            ->all();
+
+        return response()->json(
+            $response->json() ?? ['message' => 'Unexpected response from the AI Rewriter'],
+            $response->status(),
+            $headers
+        );
+    }
+}
@@ -0,0 +1,31 @@
+<?php
+
+namespace App\Http\Middleware;
+
+use App\Support\AdminToken;
+use Closure;
+use Illuminate\Http\Request;
+use Symfony\Component\HttpFoundation\Response;
+
+/**
+ * Authenticate Admin Middleware
+ * 
+ * Requires a valid admin bearer token (see AdminController::login).
+ */
+class AuthenticateAdmin
+{
+    public function handle(Request $request, Closure $next): Response
+    {
+        $claims = AdminToken::verify($request->bearerToken());
+
+        if (!$claims) {
+            return response()->json([
+                'message' => 'Unauthenticated',
+            ], 401);
+        }
+
+        $request->attributes->set('admin', $claims['sub']);
+
+        return $next($request);
+    }
+}
@@ -0,0 +1,85 @@
+<?php
+
+namespace App\Http\Middleware;
+
+use App\Support\AdminToken;
+use App\Support\ServiceSignature;
+use Closure;
+use Illuminate\Http\Request;
+use Illuminate\Support\Facades\Cache;
+use Symfony\Component\HttpFoundation\Response;
+
+/**
+ * Authenticate Service Middleware
+ * 
+ * Guards write routes. Accepts either a request signed by a known service
+ * client (X-Client-Id, X-Timestamp, X-Nonce, X-Signature - see
+ * ServiceSignature) or an admin bearer token, so editors can still act
+ * from the dashboard and review pages.
+ *
+ * As `service:optional` it lets anonymous requests through and only
+ * checks credentials that were sent; controllers then look for the
+ * `admin` / `service_client` request attributes to show non-public data.
+ */
+class AuthenticateService
+{
+    /**
+     * Maximum clock difference accepted, in seconds
+     */
+    public const MAX_SKEW = 300;
+
+    public function handle(Request $request, Closure $next, ?string $mode = null): Response
+    {
+        if ($claims = AdminToken::verify($request->bearerToken())) {
+            $request->attributes->set('admin', $claims['sub']);
+
+            return $next($request);
+        }
+
+        $clientId = $request->header('X-Client-Id');
+        $timestamp = (string) $request->header('X-Timestamp');
+        $nonce = (string) $request->header('X-Nonce');
+        $signature = (string) $request->header('X-Signature');
+
+        if (!$clientId || !$signature) {
+            return $mode === 'optional' ? $next($request) : $this->unauthenticated('Unauthenticated');
+        }
+
+        $secret = ServiceSignature::secretFor($clientId);
+        if (!$secret) {
+            return $this->unauthenticated('Unknown client');
+        }
+
+        if (!ctype_digit($timestamp) || abs(time() - (int) $timestamp) > self::MAX_SKEW) {
+            return $this->unauthenticated('Request timestamp is missing or outside the allowed window');
+        }
+
+        $expected = ServiceSignature::sign(
+            $secret,
+            $request->method(),
+            '/' . ltrim($request->path(), '/'),
+            $timestamp,
+            $nonce,
+            $request->getContent()
+        );
+        if ($nonce === '' || !hash_equals($expected, $signature)) {
+            return $this->unauthenticated('Invalid signature');
+        }
+
+        // Each nonce is good once; it only has to be remembered while the timestamp is still valid
+        if (!Cache::add("service-nonce:{$clientId}:{$nonce}", true, self::MAX_SKEW * 2)) {
+            return $this->unauthenticated('Replayed request');
+        }
+
+        $request->attributes->set('service_client', $clientId);
+
+        return $next($request);
+    }
+
+    private function unauthenticated(string $message): Response
+    {
+        return response()->json([
+            'message' => $message,
+        ], 401);
+    }
+}
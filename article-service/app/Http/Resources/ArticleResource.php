@@ -28,8 +28,13 @@ public function toArray(Request $request): array
             'source_url' => $this->source_url,
             'version' => $this->version,
             'is_rewritten' => $this->is_rewritten,
+            'review_status' => $this->review_status,
+            'is_published' => $this->is_published,
+            'review_notes' => $this->review_notes,
+            'reviewed_at' => $this->reviewed_at?->toIso8601String(),
             'parent_article_id' => $this->parent_article_id,
             'references' => $this->references ?? [],
+            'rewrite_meta' => $this->rewrite_meta,
             'published_at' => $this->published_at?->toIso8601String(),
             'created_at' => $this->created_at->toIso8601String(),
             'updated_at' => $this->updated_at->toIso8601String(),
@@ -19,6 +19,22 @@ class Article extends Model
 {
     use HasFactory;
 
+    /**
+     * Review statuses for rewritten articles.
+     * Originals are always approved; rewrites start as drafts.
+     */
+    public const REVIEW_DRAFT = 'draft';
+    public const REVIEW_APPROVED = 'approved';
+    public const REVIEW_REJECTED = 'rejected';
+    public const REVIEW_REGENERATION_REQUESTED = 'regeneration_requested';
+
+    public const REVIEW_STATUSES = [
+        self::REVIEW_DRAFT,
+        self::REVIEW_APPROVED,
+        self::REVIEW_REJECTED,
+        self::REVIEW_REGENERATION_REQUESTED,
+    ];
+
     protected $fillable = [
         'title',
         'slug',
@@ -26,15 +42,23 @@ class Article extends Model
         'source_url',
         'version',
         'is_rewritten',
+        'review_status',
+        'is_published',
+        'review_notes',
+        'reviewed_at',
         'parent_article_id',
         'references',
+        'rewrite_meta',
         'published_at',
     ];
 
     protected $casts = [
         'references' => 'array', // Automatically cast JSON to array
+        'rewrite_meta' => 'array',
         'published_at' => 'datetime',
+        'reviewed_at' => 'datetime',
         'is_rewritten' => 'boolean',
+        'is_published' => 'boolean',
     ];
 
     /**
@@ -93,6 +117,85 @@ public function scopeUnrewritten($query)
                      ->where('is_rewritten', false);
     }
 
+    /**
+     * Scope to get only approved articles (what the public site shows)
+     */
+    public function scopeApproved($query)
+    {
+        return $query->where('review_status', self::REVIEW_APPROVED);
+    }
+
+    /**
+     * Scope to get articles the public site shows: approved and not unpublished
+     */
+    public function scopeVisible($query)
+    {
+        return $query->approved()->where('is_published', true);
+    }
+
+    /**
+     * Scope to get rewritten articles waiting for review
+     */
+    public function scopePendingReview($query)
+    {
+        return $query->where('version', 'rewritten')
+                     ->where('review_status', self::REVIEW_DRAFT);
+    }
+
+    /**
+     * Scope to full-text search title and content
+     *
+     * Every word must match (as a prefix). Uses the full-text index on MySQL
+     * and PostgreSQL; words shorter than MySQL's minimum token size, and all
+     * words on other drivers, are matched with LIKE instead.
+     */
+    public function scopeSearch($query, string $term)
+    {
+        $words = preg_split('/\s+/u', trim(preg_replace('/[^\p{L}\p{N}\s]+/u', ' ', $term)), -1, PREG_SPLIT_NO_EMPTY);
+        $driver = $query->getConnection()->getDriverName();
+
+        if (in_array($driver, ['mysql', 'mariadb'], true)) {
+            $indexed = array_filter($words, fn ($word) => mb_strlen($word) >= 3);
+            if ($indexed) {
+                $query->whereFullText(['title', 'content'], implode(' ', array_map(fn ($word) => "+{$word}*", $indexed)), ['mode' => 'boolean']);
+            }
+            $words = array_diff($words, $indexed);
+        } elseif ($driver === 'pgsql' && $words) {
+            $query->whereFullText(['title', 'content'], implode(' ', $words));
+            $words = [];
+        }
+
+        foreach ($words as $word) {
+            $query->where(function ($match) use ($word) {
+                $match->where('title', 'like', "%{$word}%")
+                      ->orWhere('content', 'like', "%{$word}%");
+            });
+        }
+
+        return $query;
+    }
+
+    /**
+     * Scope to articles whose source URL is on a domain (or its subdomains)
+     *
+     * Rewritten articles have no source URL of their own, so they match
+     * through their parent.
+     */
+    public function scopeFromDomain($query, string $domain)
+    {
+        $matchesDomain = function ($match) use ($domain) {
+            $match->where('source_url', 'like', "%://{$domain}/%")
+                  ->orWhere('source_url', 'like', "%://{$domain}")
+                  ->orWhere('source_url', 'like', "%://%.{$domain}/%")
+                  ->orWhere('source_url', 'like', "%://%.{$domain}");
+        };
+
+        return $query->where(function ($match) use ($matchesDomain) {
+            $match->where($matchesDomain)
+                  ->orWhereHas('parent', fn ($parent) => $parent->where($matchesDomain));
+        });
+    }
+
     /**
      * Scope to get latest article
      */
@@ -0,0 +1,68 @@
+<?php
+
+namespace App\Support;
+
+/**
+ * Admin Token
+ * 
+ * Stateless bearer tokens for the admin dashboard: a base64url JSON payload
+ * ({ sub, exp }) and an HMAC-SHA256 signature, keyed on APP_KEY and the
+ * admin password so changing either signs everyone out.
+ */
+class AdminToken
+{
+    /**
+     * Issue a token for the admin user
+     *
+     * @return array{token: string, expires_at: int}
+     */
+    public static function issue(string $username): array
+    {
+        $expiresAt = time() + (int) config('services.admin.token_ttl');
+        $payload = self::encode(json_encode(['sub' => $username, 'exp' => $expiresAt]));
+
+        return [
+            'token' => $payload . '.' . self::sign($payload),
+            'expires_at' => $expiresAt,
+        ];
+    }
+
+    /**
+     * Verify a token and return its claims, or null when it is invalid or expired
+     */
+    public static function verify(?string $token): ?array
+    {
+        if (!$token || substr_count($token, '.') !== 1 || !config('services.admin.password')) {
+            return null;
+        }
+
+        [$payload, $signature] = explode('.', $token);
+        if (!hash_equals(self::sign($payload), $signature)) {
+            return null;
+        }
+
+        $claims = json_decode(self::decode($payload), true);
+        if (!is_array($claims) || ($claims['exp'] ?? 0) < time()) {
+            return null;
+        }
+
+        return $claims;
+    }
+
+    private static function sign(string $payload): string
+    {
+        $key = config('app.key') . '|' . config('services.admin.password');
+
+        return self::encode(hash_hmac('sha256', $payload, $key, true));
+    }
+
+    private static function encode(string $value): string
+    {
+        return rtrim(strtr(base64_encode($value), '+/', '-_'), '=');
+    }
+
+    private static function decode(string $value): string
+    {
+        return (string) base64_decode(strtr($value, '-_', '+/'));
+    }
+}
@@ -0,0 +1,36 @@
+<?php
+
+namespace App\Support;
+
+/**
+ * Service Signature
+ * 
+ * HMAC-SHA256 request signatures for service-to-service writes (the AI
+ * Rewriter publishing rewrites). The signed string binds the method, path,
+ * timestamp, nonce and a hash of the exact body, so a captured request can
+ * neither be altered nor replayed after its nonce is used.
+ */
+class ServiceSignature
+{
+    /**
+     * Look up a client's shared secret (SERVICE_CLIENTS)
+     */
+    public static function secretFor(?string $clientId): ?string
+    {
+        if (!$clientId) {
+            return null;
+        }
+
+        return config('services.clients')[$clientId] ?? null;
+    }
+
+    /**
+     * Compute the hex signature for a request
+     */
+    public static function sign(string $secret, string $method, string $path, string $timestamp, string $nonce, string $body): string
+    {
+        $payload = implode("\n", [strtoupper($method), $path, $timestamp, $nonce, hash('sha256', $body)]);
+
+        return hash_hmac('sha256', $payload, $secret);
+    }
+}
@@ -12,7 +12,10 @@
         health: '/up',
     )
     ->withMiddleware(function (Middleware $middleware): void {
-        //
+        $middleware->alias([
+            'admin' => \App\Http\Middleware\AuthenticateAdmin::class,
+            'service' => \App\Http\Middleware\AuthenticateService::class,
+        ]);
     })
     ->withExceptions(function (Exceptions $exceptions): void {
         //
@@ -35,4 +35,23 @@
         ],
     ],
 
+    'admin' => [
+        'username' => env('ADMIN_USERNAME'),
+        'password' => env('ADMIN_PASSWORD'),
+        'token_ttl' => (int) env('ADMIN_TOKEN_TTL', 43200), // seconds
+    ],
+
+    // The AI Rewriter, proxied for the admin dashboard; the key is one of its API_KEYS
+    'rewriter' => [
+        'base_url' => env('REWRITER_BASE_URL', 'http://localhost:3001'),
+        'api_key' => env('REWRITER_API_KEY'),
+    ],
+
+    // Services allowed to make signed writes: SERVICE_CLIENTS=ai-rewriter:secret,other:secret
+    'clients' => collect(explode(',', (string) env('SERVICE_CLIENTS', '')))
+        ->map(fn ($pair) => array_map('trim', explode(':', $pair, 2)))
+        ->filter(fn ($pair) => count($pair) === 2 && $pair[0] !== '' && $pair[1] !== '')
+        ->mapWithKeys(fn ($pair) => [$pair[0] => $pair[1]])
+        ->all(),
+
 ];
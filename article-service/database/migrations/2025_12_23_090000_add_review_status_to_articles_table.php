@@ -0,0 +1,36 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     * 
+     * Adds the human review workflow: rewritten articles are created as drafts
+     * and only appear publicly once approved. Existing rows default to
+     * approved so articles that are already live stay visible.
+     */
+    public function up(): void
+    {
+        Schema::table('articles', function (Blueprint $table) {
+            $table->string('review_status')->default('approved')->after('is_rewritten');
+            $table->text('review_notes')->nullable()->after('review_status');
+            $table->timestamp('reviewed_at')->nullable()->after('review_notes');
+            $table->index('review_status');
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::table('articles', function (Blueprint $table) {
+            $table->dropIndex(['review_status']);
+            $table->dropColumn(['review_status', 'review_notes', 'reviewed_at']);
+        });
+    }
+};
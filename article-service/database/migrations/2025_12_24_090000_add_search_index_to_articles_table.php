@@ -0,0 +1,43 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Drivers with native full-text indexes. Others (SQLite) fall back to
+     * LIKE matching in Article::scopeSearch().
+     */
+    private const FULLTEXT_DRIVERS = ['mysql', 'mariadb', 'pgsql'];
+
+    /**
+     * Run the migrations.
+     * 
+     * Adds a full-text index over title and content for the article list
+     * search, and an index on published_at for date range filters.
+     */
+    public function up(): void
+    {
+        Schema::table('articles', function (Blueprint $table) {
+            if (in_array(Schema::getConnection()->getDriverName(), self::FULLTEXT_DRIVERS, true)) {
+                $table->fullText(['title', 'content']);
+            }
+            $table->index('published_at');
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::table('articles', function (Blueprint $table) {
+            if (in_array(Schema::getConnection()->getDriverName(), self::FULLTEXT_DRIVERS, true)) {
+                $table->dropFullText(['title', 'content']);
+            }
+            $table->dropIndex(['published_at']);
+        });
+    }
+};
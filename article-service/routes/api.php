@@ -1,6 +1,9 @@
 <?php
 
+use App\Http\Controllers\Api\AdminController;
 use App\Http\Controllers\Api\ArticleController;
+use App\Http\Controllers\Api\ReviewController;
+use App\Http\Controllers\Api\RewriterController;
 use Illuminate\Support\Facades\Route;
 
 /**
@@ -9,10 +12,48 @@
  * RESTful endpoints for article management.
  * All routes are prefixed with /api automatically.
  */
-Route::get('/articles', [ArticleController::class, 'index']);
+Route::get('/articles', [ArticleController::class, 'index'])->middleware('service:optional');
 Route::get('/articles/latest', [ArticleController::class, 'latest']);
-Route::get('/articles/{id}', [ArticleController::class, 'show']);
-Route::post('/articles', [ArticleController::class, 'store']);
-Route::put('/articles/{id}', [ArticleController::class, 'update']);
-Route::delete('/articles/{id}', [ArticleController::class, 'destroy']);
+Route::get('/articles/domains', [ArticleController::class, 'domains']);
+Route::get('/articles/stats', [ArticleController::class, 'stats'])->middleware('admin');
+Route::get('/articles/{id}', [ArticleController::class, 'show'])->middleware('service:optional');
 
+/**
+ * Write Routes
+ * 
+ * Creating articles needs a signed request from a service client
+ * (SERVICE_CLIENTS) or an admin token. Reads stay public.
+ */
+Route::middleware('service')->group(function () {
+    Route::post('/articles', [ArticleController::class, 'store']);
+});
+
+/**
+ * Admin Routes
+ * 
+ * Editing, deleting and reviewing need an admin token from POST /api/admin/login;
+ * a service credential cannot approve the drafts its own rewrites produced.
+ * The /admin/rewrite* routes proxy to the AI Rewriter (see RewriterController).
+ * Login is limited to 5 attempts per minute per client so the shared
+ * admin password can't be brute-forced.
+ */
+Route::post('/admin/login', [AdminController::class, 'login'])->middleware('throttle:5,1');
+Route::middleware('admin')->group(function () {
+    Route::put('/articles/{id}', [ArticleController::class, 'update']);
+    Route::post('/articles/{id}/review', [ReviewController::class, 'review']);
+    Route::delete('/articles/{id}', [ArticleController::class, 'destroy']);
+    Route::post('/admin/rewrite/{id}', [RewriterController::class, 'rewrite'])->whereNumber('id');
+    Route::get('/admin/rewriter/jobs', [RewriterController::class, 'jobs']);
+    Route::get('/admin/rewriter/prompts', [RewriterController::class, 'prompts']);
+});
+
+/**
+ * Review Routes
+ * 
+ * Rewritten articles are drafts until an editor approves them, so the
+ * review queue is admin only.
+ */
+Route::middleware('admin')->group(function () {
+    Route::get('/reviews', [ReviewController::class, 'index']);
+    Route::get('/reviews/{id}', [ReviewController::class, 'show']);
+});
@@ -0,0 +1,46 @@
+<?php
+
+namespace Tests\Feature;
+
+use Tests\TestCase;
+
+class AdminLoginTest extends TestCase
+{
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        config([
+            'services.admin.username' => 'admin',
+            'services.admin.password' => 'correct-horse',
+        ]);
+    }
+
+    public function test_valid_credentials_return_a_token(): void
+    {
+        $response = $this->postJson('/api/admin/login', [
+            'username' => 'admin',
+            'password' => 'correct-horse',
+        ]);
+
+        $response->assertOk()->assertJsonStructure(['data']);
+    }
+
+    public function test_repeated_failures_are_rate_limited(): void
+    {
+        for ($attempt = 1; $attempt <= 5; $attempt++) {
+            $this->postJson('/api/admin/login', [
+                'username' => 'admin',
+                'password' => "guess-{$attempt}",
+            ])->assertStatus(401);
+        }
+
+        $response = $this->postJson('/api/admin/login', [
+            'username' => 'admin',
+            'password' => 'correct-horse',
+        ]);
+
+        $response->assertStatus(429);
+        $response->assertHeader('Retry-After');
+    }
+}
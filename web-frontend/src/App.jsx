@@ -1,51 +1,85 @@
-import { BrowserRouter as Router, Routes, Route, Navigate, Link } from 'react-router-dom';
+import { createBrowserRouter, RouterProvider, Navigate, Link, Outlet } from 'react-router-dom';
 import ArticleList from './pages/ArticleList';
 import ArticleDetail from './pages/ArticleDetail';
+import ReviewList from './pages/ReviewList';
+import ReviewDetail from './pages/ReviewDetail';
+import AdminLogin from './pages/admin/AdminLogin';
+import AdminDashboard from './pages/admin/AdminDashboard';
+import ArticleEditor from './pages/admin/ArticleEditor';
+import RequireAdmin from './components/RequireAdmin';
 import './App.css';
 
-function App() {
+// Layout shared by every page. The data router (rather than <BrowserRouter>)
+// is what lets the article editor block navigation away from unsaved changes.
+function Layout() {
   return (
-    <Router>
-      <div className="min-h-screen bg-gray-50">
-        <header className="bg-white shadow-md border-b border-gray-200">
-          <div className="container mx-auto px-4 py-4">
-            <div className="flex items-center justify-between">
-              <Link to="/articles" className="flex items-center space-x-3">
-                <div>
-                  <h1 className="text-2xl font-bold text-gray-800">
-                    BeyondChats Articles
-                  </h1>
-                  <p className="text-xs text-gray-500">Original & AI-Rewritten Content</p>
-                </div>
+    <div className="min-h-screen bg-gray-50">
+      <header className="bg-white shadow-md border-b border-gray-200">
+        <div className="container mx-auto px-4 py-4">
+          <div className="flex items-center justify-between">
+            <Link to="/articles" className="flex items-center space-x-3">
+              <div>
+                <h1 className="text-2xl font-bold text-gray-800">
+                  BeyondChats Articles
+                </h1>
+                <p className="text-xs text-gray-500">Original & AI-Rewritten Content</p>
+              </div>
+            </Link>
+            <nav className="flex items-center space-x-4">
+              <Link
+                to="/articles"
+                className="text-gray-600 hover:text-gray-800 font-medium transition-colors"
+              >
+                Browse Articles
               </Link>
-              <nav className="flex items-center space-x-4">
-                <Link
-                  to="/articles"
-                  className="text-gray-600 hover:text-gray-800 font-medium transition-colors"
-                >
-                  Browse Articles
-                </Link>
-              </nav>
-            </div>
-          </div>
-        </header>
-        <main>
-          <Routes>
-            <Route path="/" element={<Navigate to="/articles" replace />} />
-            <Route path="/articles" element={<ArticleList />} />
-            <Route path="/articles/:id" element={<ArticleDetail />} />
-          </Routes>
-        </main>
-        <footer className="bg-white border-t border-gray-200 mt-12">
-          <div className="container mx-auto px-4 py-6">
-            <p className="text-center text-sm text-gray-500">
-              © 2025 BeyondChats Articles. Original content and AI-enhanced rewrites.
-            </p>
+              <Link
+                to="/review"
+                className="text-gray-600 hover:text-gray-800 font-medium transition-colors"
+              >
+                Review
+              </Link>
+              <Link
+                to="/admin"
+                className="text-gray-600 hover:text-gray-800 font-medium transition-colors"
+              >
+                Admin
+              </Link>
+            </nav>
           </div>
-        </footer>
-      </div>
-    </Router>
+        </div>
+      </header>
+      <main>
+        <Outlet />
+      </main>
+      <footer className="bg-white border-t border-gray-200 mt-12">
+        <div className="container mx-auto px-4 py-6">
+          <p className="text-center text-sm text-gray-500">
+            © 2025 BeyondChats Articles. Original content and AI-enhanced rewrites.
+          </p>
+        </div>
+      </footer>
+    </div>
   );
 }
 
+const router = createBrowserRouter([
+  {
+    element: <Layout />,
+    children: [
+      { path: '/', element: <Navigate to="/articles" replace /> },
+      { path: '/articles', element: <ArticleList /> },
+      { path: '/articles/:id', element: <ArticleDetail /> },
+      { path: '/review', element: <RequireAdmin><ReviewList /></RequireAdmin> },
+      { path: '/review/:id', element: <RequireAdmin><ReviewDetail /></RequireAdmin> },
+      { path: '/admin/login', element: <AdminLogin /> },
+      { path: '/admin', element: <RequireAdmin><AdminDashboard /></RequireAdmin> },
+      { path: '/admin/articles/:id/edit', element: <RequireAdmin><ArticleEditor /></RequireAdmin> },
+    ],
+  },
+]);
+
+function App() {
+  return <RouterProvider router={router} />;
+}
+
 export default App;
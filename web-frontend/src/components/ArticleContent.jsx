@@ -0,0 +1,50 @@
+/**
+ * Article Content
+ *
+ * Renders article Markdown with heading anchors and an optional table of
+ * contents. Used by the single and compare views of ArticleDetail.
+ */
+
+import { useMemo } from 'react';
+import { renderMarkdown } from '../lib/markdown';
+
+function TableOfContents({ toc }) {
+  const minLevel = Math.min(...toc.map((item) => item.level));
+
+  return (
+    <nav aria-label="Table of contents" className="mb-6 rounded-lg border border-gray-200 bg-gray-50 p-4">
+      <p className="text-sm font-semibold text-gray-700 mb-2">Contents</p>
+      <ul className="space-y-1 text-sm">
+        {toc.map((item) => (
+          <li key={item.id} style={{ paddingLeft: `${(item.level - minLevel) * 1}rem` }}>
+            <a href={`#${item.id}`} className="text-blue-600 hover:underline">
+              {item.text}
+            </a>
+          </li>
+        ))}
+      </ul>
+    </nav>
+  );
+}
+
+/**
+ * @param {Object} props
+ * @param {string} props.content - Markdown or plain text
+ * @param {string} props.idPrefix - Prefix for heading ids (keeps ids unique when two articles share a page,
+ *   and away from names like "title" that the sanitizer strips to prevent DOM clobbering)
+ * @param {boolean} props.showToc - Show a table of contents (when there are at least 3 headings)
+ * @param {string} props.className - Extra classes for the content wrapper
+ */
+export default function ArticleContent({ content, idPrefix = 'article-', showToc = false, className = '' }) {
+  const { html, toc } = useMemo(() => renderMarkdown(content, { idPrefix }), [content, idPrefix]);
+
+  return (
+    <div>
+      {showToc && toc.length >= 3 && <TableOfContents toc={toc} />}
+      <div
+        className={`article-content ${className}`}
+        dangerouslySetInnerHTML={{ __html: html }}
+      />
+    </div>
+  );
+}
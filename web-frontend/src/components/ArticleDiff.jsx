@@ -0,0 +1,179 @@
+/**
+ * Article Diff
+ *
+ * Word-level diff between two versions of an article. Paragraphs are
+ * aligned row by row (see lib/diff.js); deletions are highlighted in the
+ * left pane and insertions in the right. The panes scroll together,
+ * anchored on the aligned rows so a long rewritten paragraph doesn't push
+ * the other side out of step.
+ */
+
+import { useMemo, useRef, useState } from 'react';
+import { diffArticles } from '../lib/diff';
+
+const ROW_STYLES = {
+  equal: '',
+  changed: 'bg-yellow-50',
+  removed: 'bg-red-50',
+  added: 'bg-green-50',
+};
+
+function Stat({ label, value, className = 'text-gray-800' }) {
+  return (
+    <div className="text-center">
+      <div className={`text-2xl font-bold ${className}`}>{value}</div>
+      <div className="text-xs text-gray-500 uppercase tracking-wide">{label}</div>
+    </div>
+  );
+}
+
+function DiffStats({ stats }) {
+  return (
+    <div className="grid grid-cols-2 sm:grid-cols-5 gap-4 rounded-lg border border-gray-200 bg-white p-4 mb-4">
+      <Stat label="Changed" value={`${stats.percentChanged}%`} className="text-blue-700" />
+      <Stat label="Words added" value={`+${stats.wordsAdded}`} className="text-green-700" />
+      <Stat label="Words removed" value={`-${stats.wordsRemoved}`} className="text-red-700" />
+      <Stat label="Sections added" value={stats.sectionsAdded} className="text-green-700" />
+      <Stat label="Sections removed" value={stats.sectionsRemoved} className="text-red-700" />
+    </div>
+  );
+}
+
+/**
+ * Text of one side of a row, with that side's changes highlighted
+ */
+function RowText({ row, side }) {
+  const text = side === 'left' ? row.left : row.right;
+
+  if (row.type === 'changed') {
+    return row.parts.map((part, i) => {
+      if (side === 'left' && part.added) return null;
+      if (side === 'right' && part.removed) return null;
+      if (part.removed) {
+        return <del key={i} className="bg-red-200 text-red-900 line-through decoration-red-500">{part.value}</del>;
+      }
+      if (part.added) {
+        return <ins key={i} className="bg-green-200 text-green-900 no-underline">{part.value}</ins>;
+      }
+      return <span key={i}>{part.value}</span>;
+    });
+  }
+
+  if (row.type === 'removed') return <del className="text-red-900 no-underline">{text}</del>;
+  if (row.type === 'added') return <ins className="text-green-900 no-underline">{text}</ins>;
+  return text;
+}
+
+function DiffPane({ rows, side, title, paneRef, onScroll, accent }) {
+  return (
+    <div className={`bg-white rounded-lg shadow-lg border-l-4 ${accent}`}>
+      <h2 className="px-6 pt-4 pb-2 text-lg font-bold text-gray-800 border-b">{title}</h2>
+      <div ref={paneRef} onScroll={onScroll} className="relative max-h-[70vh] overflow-y-auto px-6 py-4 space-y-2">
+        {rows.map((row, index) => {
+          const text = side === 'left' ? row.left : row.right;
+          return (
+            <div
+              key={index}
+              data-row={index}
+              className={`rounded px-2 py-1 ${text === null ? 'border border-dashed border-gray-200 min-h-6' : ROW_STYLES[row.type]} ${
+                row.kind === 'heading' ? 'text-lg font-semibold text-gray-900' : 'text-sm text-gray-700 leading-relaxed'
+              }`}
+            >
+              {text !== null && <RowText row={row} side={side} />}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Scroll `target` so the row at the top of `source` is at the top of
+ * `target`, at the same relative offset within that row
+ */
+function syncScroll(source, target) {
+  const rows = source.querySelectorAll('[data-row]');
+  const top = source.scrollTop;
+  let anchor = rows[0];
+  for (const row of rows) {
+    if (row.offsetTop + row.offsetHeight > top) {
+      anchor = row;
+      break;
+    }
+  }
+  if (!anchor) return;
+
+  const counterpart = target.querySelector(`[data-row="${anchor.dataset.row}"]`);
+  if (!counterpart) return;
+
+  const fraction = anchor.offsetHeight > 0 ? (top - anchor.offsetTop) / anchor.offsetHeight : 0;
+  target.scrollTop = counterpart.offsetTop + Math.max(0, fraction) * counterpart.offsetHeight;
+}
+
+/**
+ * @param {Object} props
+ * @param {string} props.original - Original content (Markdown or plain text)
+ * @param {string} props.rewritten - Rewritten content
+ * @param {string} props.originalLabel - Left pane title
+ * @param {string} props.rewrittenLabel - Right pane title
+ */
+export default function ArticleDiff({ original, rewritten, originalLabel = 'Original', rewrittenLabel = 'AI Rewritten' }) {
+  const { rows, stats } = useMemo(() => diffArticles(original, rewritten), [original, rewritten]);
+  const [synced, setSynced] = useState(true);
+  const leftRef = useRef(null);
+  const rightRef = useRef(null);
+  // The pane we last scrolled programmatically; its next scroll event is ours, not the user's
+  const echo = useRef(null);
+
+  const follow = (source, target) => {
+    if (echo.current === source) {
+      echo.current = null;
+      return;
+    }
+    if (!synced || !source || !target) return;
+    const before = target.scrollTop;
+    syncScroll(source, target);
+    if (target.scrollTop !== before) echo.current = target;
+  };
+
+  return (
+    <div>
+      <DiffStats stats={stats} />
+
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4 text-sm text-gray-600">
+        <div className="flex items-center gap-4">
+          <span><del className="bg-red-200 text-red-900 px-1">removed</del></span>
+          <span><ins className="bg-green-200 text-green-900 px-1 no-underline">added</ins></span>
+          <span className="bg-yellow-50 border border-yellow-200 px-1 rounded">reworded paragraph</span>
+          <span className="text-gray-500">
+            {stats.paragraphsChanged} reworded · {stats.paragraphsAdded} new · {stats.paragraphsRemoved} dropped
+          </span>
+        </div>
+        <label className="inline-flex items-center gap-2 cursor-pointer">
+          <input type="checkbox" checked={synced} onChange={(e) => setSynced(e.target.checked)} />
+          Synchronized scrolling
+        </label>
+      </div>
+
+      <div className="grid md:grid-cols-2 gap-6">
+        <DiffPane
+          rows={rows}
+          side="left"
+          title={originalLabel}
+          paneRef={leftRef}
+          onScroll={() => follow(leftRef.current, rightRef.current)}
+          accent="border-blue-500"
+        />
+        <DiffPane
+          rows={rows}
+          side="right"
+          title={rewrittenLabel}
+          paneRef={rightRef}
+          onScroll={() => follow(rightRef.current, leftRef.current)}
+          accent="border-green-500"
+        />
+      </div>
+    </div>
+  );
+}
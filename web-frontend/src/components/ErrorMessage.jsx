@@ -0,0 +1,62 @@
+/**
+ * Error Message
+ *
+ * Renders an ApiError (see services/api.js) with a title that says what
+ * kind of failure it was, field errors for validation failures, and a
+ * retry button when trying again can help.
+ */
+
+import {
+  NetworkError,
+  NotFoundError,
+  RateLimitError,
+  ServerError,
+  TimeoutError,
+  UnauthorizedError,
+  ValidationError,
+} from '../services/api';
+
+function titleFor(error, notFoundTitle) {
+  if (error instanceof NotFoundError) return notFoundTitle;
+  if (error instanceof NetworkError) return 'Connection problem';
+  if (error instanceof UnauthorizedError) return 'Sign in required';
+  if (error instanceof TimeoutError) return 'Request timed out';
+  if (error instanceof ValidationError) return 'Invalid request';
+  if (error instanceof RateLimitError) return 'Slow down';
+  if (error instanceof ServerError) return 'Server error';
+  return 'Something went wrong';
+}
+
+/**
+ * @param {Object} props
+ * @param {Error} props.error - Usually an ApiError
+ * @param {Function} props.onRetry - Shown as a "Try again" button for retryable errors
+ * @param {string} props.notFoundTitle - Title for 404s (e.g. "Article not found")
+ */
+export default function ErrorMessage({ error, onRetry, notFoundTitle = 'Not found' }) {
+  const fieldErrors = error instanceof ValidationError ? Object.entries(error.fieldErrors) : [];
+
+  return (
+    <div role="alert" className="max-w-lg mx-auto text-center py-16">
+      <h2 className="text-xl font-semibold text-red-600 mb-2">{titleFor(error, notFoundTitle)}</h2>
+      <p className="text-gray-600">{error.message}</p>
+      {fieldErrors.length > 0 && (
+        <ul className="mt-3 text-sm text-gray-600 space-y-1">
+          {fieldErrors.map(([field, messages]) => (
+            <li key={field}>
+              <span className="font-mono">{field}</span>: {[].concat(messages).join(' ')}
+            </li>
+          ))}
+        </ul>
+      )}
+      {onRetry && error.retryable && (
+        <button
+          onClick={onRetry}
+          className="mt-4 px-4 py-2 rounded-lg bg-gray-900 text-white text-sm font-medium hover:bg-gray-700"
+        >
+          Try again
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,126 @@
+/**
+ * Markdown Editor
+ *
+ * A plain textarea with a formatting toolbar. Toolbar buttons wrap the
+ * selection (bold, italic, code, link) or prefix the selected lines
+ * (headings, lists, quotes), so the Markdown stays visible and editable.
+ */
+
+import { useRef } from 'react';
+
+const WRAPS = {
+  bold: { before: '**', after: '**', placeholder: 'bold text' },
+  italic: { before: '_', after: '_', placeholder: 'italic text' },
+  code: { before: '`', after: '`', placeholder: 'code' },
+  link: { before: '[', after: '](https://)', placeholder: 'link text' },
+};
+
+const PREFIXES = {
+  heading: '## ',
+  subheading: '### ',
+  bullets: '- ',
+  numbers: '1. ',
+  quote: '> ',
+};
+
+const BLOCK_PREFIX = /^(#{1,6} |[-*] |\d+\. |> )/;
+
+const TOOLBAR = [
+  { action: 'heading', label: 'H2', title: 'Heading' },
+  { action: 'subheading', label: 'H3', title: 'Subheading' },
+  { action: 'bold', label: 'B', title: 'Bold', className: 'font-bold' },
+  { action: 'italic', label: 'I', title: 'Italic', className: 'italic' },
+  { action: 'code', label: '</>', title: 'Inline code', className: 'font-mono' },
+  { action: 'link', label: 'Link', title: 'Link' },
+  { action: 'bullets', label: '• List', title: 'Bulleted list' },
+  { action: 'numbers', label: '1. List', title: 'Numbered list' },
+  { action: 'quote', label: '❝', title: 'Quote' },
+];
+
+/**
+ * Apply a toolbar action to the text
+ * @returns {Object} { value, selectionStart, selectionEnd }
+ */
+function applyAction(action, value, start, end) {
+  if (WRAPS[action]) {
+    const { before, after, placeholder } = WRAPS[action];
+    const selected = value.slice(start, end) || placeholder;
+    return {
+      value: value.slice(0, start) + before + selected + after + value.slice(end),
+      selectionStart: start + before.length,
+      selectionEnd: start + before.length + selected.length,
+    };
+  }
+
+  // Prefix every line touched by the selection, or remove the prefix if they all have it
+  const prefix = PREFIXES[action];
+  const lineStart = value.lastIndexOf('\n', start - 1) + 1;
+  const lineEnd = value.indexOf('\n', end) === -1 ? value.length : value.indexOf('\n', end);
+  const lines = value.slice(lineStart, lineEnd).split('\n');
+  const remove = lines.filter(Boolean).every((line) => line.startsWith(prefix));
+  const block = lines
+    .map((line) => {
+      if (remove) return line.slice(prefix.length);
+      // Swap any other block prefix (e.g. a bullet becoming a heading); leave blank lines alone
+      const text = line.replace(BLOCK_PREFIX, '');
+      return text ? prefix + text : line;
+    })
+    .join('\n');
+
+  return {
+    value: value.slice(0, lineStart) + block + value.slice(lineEnd),
+    selectionStart: lineStart,
+    selectionEnd: lineStart + block.length,
+  };
+}
+
+/**
+ * @param {Object} props
+ * @param {string} props.id - Textarea id (for a <label htmlFor>)
+ * @param {string} props.value - Markdown
+ * @param {Function} props.onChange - Called with the new Markdown
+ * @param {number} props.rows - Textarea height
+ * @param {boolean} props.invalid - Highlight the textarea as having an error
+ */
+export default function MarkdownEditor({ id, value, onChange, rows = 24, invalid = false }) {
+  const textareaRef = useRef(null);
+
+  const run = (action) => {
+    const textarea = textareaRef.current;
+    const next = applyAction(action, value, textarea.selectionStart, textarea.selectionEnd);
+    onChange(next.value);
+    // Restore the selection after React has written the new value
+    requestAnimationFrame(() => {
+      textarea.focus();
+      textarea.setSelectionRange(next.selectionStart, next.selectionEnd);
+    });
+  };
+
+  return (
+    <div className={`rounded-lg border ${invalid ? 'border-red-400' : 'border-gray-300'} focus-within:border-blue-500`}>
+      <div role="toolbar" aria-label="Formatting" className="flex flex-wrap gap-1 border-b border-gray-200 bg-gray-50 px-2 py-1">
+        {TOOLBAR.map(({ action, label, title, className = '' }) => (
+          <button
+            key={action}
+            type="button"
+            title={title}
+            aria-label={title}
+            onClick={() => run(action)}
+            className={`px-2 py-1 rounded text-xs text-gray-700 hover:bg-gray-200 ${className}`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      <textarea
+        id={id}
+        ref={textareaRef}
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        rows={rows}
+        spellCheck
+        className="block w-full resize-y rounded-b-lg px-3 py-2 font-mono text-sm focus:outline-none"
+      />
+    </div>
+  );
+}
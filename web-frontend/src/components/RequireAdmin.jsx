@@ -0,0 +1,19 @@
+/**
+ * Require Admin
+ *
+ * Route guard for the /admin area and the review queue: sends signed-out
+ * visitors to the login page, remembering where they were headed.
+ */
+
+import { Navigate, useLocation } from 'react-router-dom';
+import { getAdminToken } from '../services/api';
+
+export default function RequireAdmin({ children }) {
+  const location = useLocation();
+
+  if (!getAdminToken()) {
+    return <Navigate to="/admin/login" replace state={{ from: location.pathname + location.search }} />;
+  }
+
+  return children;
+}
@@ -0,0 +1,116 @@
+/**
+ * Version Timeline
+ *
+ * Lists an original article and its rewrites in the order they were
+ * created, with each version's metadata, and lets the reader pick which two
+ * versions to compare (A on the left, B on the right).
+ */
+
+import { formatDateTime } from '../lib/versions';
+
+function SlotButton({ slot, active, onClick }) {
+  return (
+    <button
+      type="button"
+      onClick={onClick}
+      aria-pressed={active}
+      title={`Compare as ${slot}`}
+      className={`w-7 h-7 rounded-full text-xs font-bold transition-colors ${
+        active
+          ? slot === 'A' ? 'bg-blue-500 text-white' : 'bg-green-500 text-white'
+          : 'bg-gray-200 text-gray-600 hover:bg-gray-300'
+      }`}
+    >
+      {slot}
+    </button>
+  );
+}
+
+/**
+ * Metadata for one version: creation time, rewrite details and references
+ * @param {Object} props
+ * @param {Object} props.version - Entry from buildVersions()
+ */
+export function VersionMeta({ version }) {
+  const { article } = version;
+  const meta = article.rewrite_meta || {};
+  const references = article.references || [];
+
+  return (
+    <div className="text-xs text-gray-600 space-y-1 mb-4 pb-4 border-b">
+      <div>Created {formatDateTime(article.created_at)}</div>
+      {meta.provider && (
+        <div>
+          Rewritten with {meta.provider}
+          {meta.model && ` (${meta.model})`}
+          {meta.prompt?.template && ` · template ${meta.prompt.template}@${meta.prompt.version}`}
+        </div>
+      )}
+      {article.source_url && (
+        <a href={article.source_url} target="_blank" rel="noopener noreferrer" className="text-blue-500 hover:underline">
+          View Source →
+        </a>
+      )}
+      {references.length > 0 && (
+        <div>
+          <span className="font-semibold text-gray-700">References:</span>
+          <ul className="mt-1 space-y-1">
+            {references.map((ref) => (
+              <li key={ref} className="truncate">
+                <a href={ref} target="_blank" rel="noopener noreferrer" className="text-green-600 hover:underline">
+                  {ref}
+                </a>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * @param {Object} props
+ * @param {Array<Object>} props.versions - Entries from buildVersions()
+ * @param {number} props.leftId - Version shown as A
+ * @param {number} props.rightId - Version shown as B
+ * @param {Function} props.onSelect - Called with ('left' | 'right', id)
+ */
+export default function VersionTimeline({ versions, leftId, rightId, onSelect }) {
+  return (
+    <div className="bg-white rounded-lg shadow p-4 mb-6">
+      <h3 className="text-sm font-semibold text-gray-700 mb-3">Versions</h3>
+      <ol className="relative border-l-2 border-gray-200 ml-3 space-y-3">
+        {versions.map((version) => {
+          const { article } = version;
+          const isOriginal = article.version === 'original';
+          const referenceCount = article.references?.length || 0;
+
+          return (
+            <li key={version.id} className="ml-4">
+              <span
+                className={`absolute -left-[7px] mt-2 w-3 h-3 rounded-full ${isOriginal ? 'bg-blue-500' : 'bg-green-500'}`}
+              />
+              <div className="flex items-center justify-between gap-3">
+                <div>
+                  <p className={`text-sm font-semibold ${isOriginal ? 'text-blue-800' : 'text-green-800'}`}>
+                    {version.label}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {formatDateTime(article.created_at)}
+                    {article.rewrite_meta?.provider && ` · ${article.rewrite_meta.provider}`}
+                    {!isOriginal && ` · ${referenceCount} reference${referenceCount === 1 ? '' : 's'}`}
+                  </p>
+                </div>
+                <div className="flex gap-1">
+                  <SlotButton slot="A" active={version.id === leftId} onClick={() => onSelect('left', version.id)} />
+                  <SlotButton slot="B" active={version.id === rightId} onClick={() => onSelect('right', version.id)} />
+                </div>
+              </div>
+            </li>
+          );
+        })}
+      </ol>
+    </div>
+  );
+}
@@ -0,0 +1,67 @@
+/**
+ * useApiQuery
+ *
+ * Reads a query (see articleQueries in services/api.js) through the shared
+ * cache with stale-while-revalidate behaviour: cached data is returned
+ * straight away, and refetched in the background when older than
+ * `staleTime`. The request is aborted when the component unmounts or the
+ * query key changes, so a slow response for a previous page can never
+ * overwrite the current one.
+ */
+
+import { useCallback, useEffect, useRef, useSyncExternalStore } from 'react';
+import {
+  DEFAULT_STALE_TIME_MS,
+  fetchQuery,
+  getCacheEntry,
+  isStale,
+  subscribeToCache,
+} from '../services/api';
+
+/**
+ * @param {Object} query - { key, fetch }
+ * @param {Object} options - { staleTime (ms), enabled }
+ * @returns {Object} { data, error, isLoading, isValidating, refetch }
+ */
+export default function useApiQuery(query, { staleTime = DEFAULT_STALE_TIME_MS, enabled = true } = {}) {
+  const { key } = query;
+  const entry = useSyncExternalStore(subscribeToCache, () => getCacheEntry(key));
+
+  // Latest query object for the effect below, which only re-runs when the key changes
+  const queryRef = useRef(query);
+  useEffect(() => {
+    queryRef.current = query;
+  });
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    const controller = new AbortController();
+    const load = () => fetchQuery(queryRef.current, { signal: controller.signal }).catch(() => {});
+
+    if (isStale(getCacheEntry(key), staleTime)) load();
+    // Refetch if the entry is invalidated while we are showing it
+    const unsubscribe = subscribeToCache(() => {
+      if (!getCacheEntry(key)) load();
+    });
+
+    return () => {
+      unsubscribe();
+      controller.abort();
+    };
+  }, [key, enabled, staleTime]);
+
+  const refetch = useCallback(() => fetchQuery(queryRef.current).catch(() => {}), []);
+
+  const data = entry?.data;
+  const fetching = Boolean(entry?.fetching);
+
+  return {
+    data,
+    // Hidden while a retry is in flight, so the page shows a spinner instead
+    error: fetching ? null : entry?.error || null,
+    isLoading: enabled && data === undefined && (!entry || fetching || !entry.error),
+    isValidating: fetching,
+    refetch,
+  };
+}
@@ -0,0 +1,185 @@
+/**
+ * Article diffing
+ *
+ * Compares an original article with a rewrite in two passes:
+ *
+ *   1. Paragraph alignment - both texts are split into blocks (headings and
+ *      paragraphs) and paired up by word overlap, so a paragraph that was
+ *      reworded or moved down a little still lines up with its source.
+ *      Blocks without a counterpart are reported as added or removed.
+ *   2. Word diff - every aligned pair is diffed word by word with jsdiff.
+ *
+ * Markdown markers are stripped first so formatting-only changes (a
+ * paragraph gaining **bold**) don't drown out the wording changes.
+ */
+
+import { diffWords } from 'diff';
+
+const MIN_SIMILARITY = 0.3;
+
+/**
+ * Strip inline and block Markdown syntax from a line
+ * @param {string} line - Markdown line
+ * @returns {string} Plain text
+ */
+function stripMarkdown(line) {
+  return line
+    .replace(/^#{1,6}\s+/, '')
+    .replace(/^>\s?/, '')
+    .replace(/^(?:[-*+]|\d+[.)])\s+(?:\[[ xX]\]\s+)?/, '')
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/(\*\*|__|\*|_|~~|`)(.+?)\1/g, '$2')
+    .trim();
+}
+
+/**
+ * Split article content into blocks
+ * @param {string} content - Markdown or plain text
+ * @returns {Array<{kind: string, text: string}>} Blocks in document order
+ */
+export function toBlocks(content = '') {
+  return content
+    .split(/\r?\n/)
+    .filter(line => !/^\s*(```|~~~|-{3,}|\*{3,}|\|?[\s:|-]+\|[\s:|-]*)\s*$/.test(line))
+    .map(line => ({
+      kind: /^\s*#{1,6}\s/.test(line) ? 'heading' : 'text',
+      text: stripMarkdown(line.trim()),
+    }))
+    .filter(block => block.text);
+}
+
+function wordSet(text) {
+  return new Set(text.toLowerCase().match(/[\p{L}\p{N}']+/gu) || []);
+}
+
+function countWords(text) {
+  return (text.match(/[\p{L}\p{N}']+/gu) || []).length;
+}
+
+/**
+ * Dice coefficient over the two blocks' word sets
+ */
+function similarity(a, b) {
+  if (a.words.size === 0 || b.words.size === 0) return 0;
+  let shared = 0;
+  for (const word of a.words) {
+    if (b.words.has(word)) shared += 1;
+  }
+  return (2 * shared) / (a.words.size + b.words.size);
+}
+
+/**
+ * Pair up blocks so the total similarity of matched pairs is maximal
+ * while keeping document order (weighted LCS). Headings only pair with
+ * headings.
+ *
+ * @param {Array} left - Original blocks
+ * @param {Array} right - Rewritten blocks
+ * @returns {Array<[number|null, number|null]>} Index pairs in order
+ */
+function alignBlocks(left, right) {
+  const n = left.length;
+  const m = right.length;
+  const score = Array.from({ length: n + 1 }, () => new Float64Array(m + 1));
+  const sims = Array.from({ length: n }, () => new Float64Array(m));
+
+  for (let i = 1; i <= n; i++) {
+    for (let j = 1; j <= m; j++) {
+      const sim = left[i - 1].kind === right[j - 1].kind ? similarity(left[i - 1], right[j - 1]) : 0;
+      sims[i - 1][j - 1] = sim;
+      const diagonal = sim >= MIN_SIMILARITY ? score[i - 1][j - 1] + sim : -1;
+      score[i][j] = Math.max(score[i - 1][j], score[i][j - 1], diagonal);
+    }
+  }
+
+  const pairs = [];
+  let i = n;
+  let j = m;
+  while (i > 0 || j > 0) {
+    const sim = i > 0 && j > 0 ? sims[i - 1][j - 1] : 0;
+    if (i > 0 && j > 0 && sim >= MIN_SIMILARITY && score[i][j] === score[i - 1][j - 1] + sim) {
+      pairs.push([i - 1, j - 1]);
+      i -= 1;
+      j -= 1;
+    } else if (i > 0 && (j === 0 || score[i][j] === score[i - 1][j])) {
+      pairs.push([i - 1, null]);
+      i -= 1;
+    } else {
+      pairs.push([null, j - 1]);
+      j -= 1;
+    }
+  }
+
+  return pairs.reverse();
+}
+
+/**
+ * Diff two versions of an article
+ *
+ * Each row is one aligned pair:
+ *   { type: 'equal' | 'changed' | 'removed' | 'added', kind, left, right, parts }
+ * where `parts` are jsdiff change objects ({ value, added, removed }) for
+ * changed rows.
+ *
+ * @param {string} original - Original content
+ * @param {string} rewritten - Rewritten content
+ * @returns {{rows: Array<Object>, stats: Object}} Rows and summary stats
+ */
+export function diffArticles(original, rewritten) {
+  const left = toBlocks(original).map(block => ({ ...block, words: wordSet(block.text) }));
+  const right = toBlocks(rewritten).map(block => ({ ...block, words: wordSet(block.text) }));
+
+  const stats = {
+    originalWords: 0,
+    rewrittenWords: 0,
+    wordsAdded: 0,
+    wordsRemoved: 0,
+    paragraphsChanged: 0,
+    paragraphsAdded: 0,
+    paragraphsRemoved: 0,
+    sectionsAdded: 0,
+    sectionsRemoved: 0,
+    percentChanged: 0,
+  };
+
+  const rows = alignBlocks(left, right).map(([li, ri]) => {
+    const l = li === null ? null : left[li];
+    const r = ri === null ? null : right[ri];
+    const kind = (l || r).kind;
+
+    if (!r) {
+      const words = countWords(l.text);
+      stats.wordsRemoved += words;
+      stats[kind === 'heading' ? 'sectionsRemoved' : 'paragraphsRemoved'] += 1;
+      return { type: 'removed', kind, left: l.text, right: null, parts: null };
+    }
+    if (!l) {
+      const words = countWords(r.text);
+      stats.wordsAdded += words;
+      stats[kind === 'heading' ? 'sectionsAdded' : 'paragraphsAdded'] += 1;
+      return { type: 'added', kind, left: null, right: r.text, parts: null };
+    }
+    if (l.text === r.text) {
+      return { type: 'equal', kind, left: l.text, right: r.text, parts: null };
+    }
+
+    const parts = diffWords(l.text, r.text);
+    for (const part of parts) {
+      if (part.added) stats.wordsAdded += countWords(part.value);
+      if (part.removed) stats.wordsRemoved += countWords(part.value);
+    }
+    stats.paragraphsChanged += 1;
+    return { type: 'changed', kind, left: l.text, right: r.text, parts };
+  });
+
+  stats.originalWords = left.reduce((sum, block) => sum + countWords(block.text), 0);
+  stats.rewrittenWords = right.reduce((sum, block) => sum + countWords(block.text), 0);
+
+  const total = stats.originalWords + stats.rewrittenWords;
+  stats.percentChanged = total > 0
+    ? Math.min(100, Math.round(((stats.wordsAdded + stats.wordsRemoved) / total) * 100))
+    : 0;
+
+  return { rows, stats };
+}
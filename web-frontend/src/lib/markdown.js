@@ -0,0 +1,70 @@
+/**
+ * Markdown rendering
+ *
+ * Article content is Markdown (LLM rewrites) or plain text with one
+ * paragraph per line (scraped originals). Both go through `marked` with
+ * GitHub-flavoured Markdown, so headings, lists, tables, code blocks and
+ * links render properly. Headings get stable `id`s and are collected into
+ * a table of contents. The HTML is sanitized (see sanitize.js) before it
+ * is returned.
+ */
+
+import { Marked } from 'marked';
+import { sanitizeHtml } from './sanitize';
+
+/**
+ * Turn heading text into a URL fragment
+ * @param {string} text - Heading text (plain)
+ * @returns {string} Slug
+ */
+export function slugify(text) {
+  return (
+    text
+      .toLowerCase()
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^\p{L}\p{N}\s-]/gu, '')
+      .trim()
+      .replace(/\s+/g, '-')
+      .replace(/-+/g, '-') || 'section'
+  );
+}
+
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'" };
+
+function decodeEntities(text) {
+  return text.replace(/&(?:amp|lt|gt|quot|#39);/g, (entity) => ENTITIES[entity]);
+}
+
+/**
+ * Render Markdown to HTML with heading anchors
+ * @param {string} content - Markdown or plain text
+ * @param {Object} options - { idPrefix } prefix for heading ids (use when several articles share a page)
+ * @returns {{ html: string, toc: Array<{ id: string, text: string, level: number }> }} Sanitized HTML and headings
+ */
+export function renderMarkdown(content, { idPrefix = '' } = {}) {
+  const toc = [];
+  const used = new Map();
+
+  const marked = new Marked({
+    gfm: true,
+    // Scraped originals separate paragraphs with single newlines
+    breaks: true,
+    renderer: {
+      heading({ tokens, depth }) {
+        const html = this.parser.parseInline(tokens);
+        const text = decodeEntities(this.parser.parseInline(tokens, this.parser.textRenderer));
+        const base = `${idPrefix}${slugify(text)}`;
+        const count = used.get(base) || 0;
+        used.set(base, count + 1);
+        const id = count ? `${base}-${count}` : base;
+
+        toc.push({ id, text, level: depth });
+        return `<h${depth} id="${id}">${html}</h${depth}>\n`;
+      },
+    },
+  });
+
+  const html = sanitizeHtml(marked.parse(content || '', { async: false }));
+  return { html, toc };
+}
@@ -0,0 +1,47 @@
+/**
+ * Article references
+ *
+ * Validation for the reference URLs edited in the article editor. The
+ * Article Service only checks that each entry is a URL; here we also
+ * insist on http(s) with a real host and flag duplicates, so a typo is
+ * caught before saving rather than showing up as a broken link.
+ */
+
+/**
+ * Check one reference URL
+ * @param {string} value - URL as typed
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateReference(value) {
+  const trimmed = value.trim();
+  if (!trimmed) return 'Enter a URL or remove this reference.';
+
+  let url;
+  try {
+    url = new URL(trimmed);
+  } catch {
+    return 'Not a valid URL. Include the scheme, e.g. https://example.com/page';
+  }
+
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return 'Only http:// and https:// links are allowed.';
+  if (!url.hostname.includes('.') && url.hostname !== 'localhost') return `"${url.hostname}" is not a full domain name.`;
+  return null;
+}
+
+/**
+ * Check a list of references, including duplicates
+ * @param {Array<string>} references - URLs as typed
+ * @returns {Array<string|null>} Error message (or null) for each reference
+ */
+export function referenceErrors(references) {
+  const seen = new Set();
+  return references.map((value) => {
+    const error = validateReference(value);
+    if (error) return error;
+
+    const normalized = new URL(value.trim()).href;
+    if (seen.has(normalized)) return 'Duplicate reference.';
+    seen.add(normalized);
+    return null;
+  });
+}
@@ -0,0 +1,98 @@
+/**
+ * HTML sanitization
+ *
+ * Article content comes from scraped third-party pages and from LLM output,
+ * so rendered HTML is never trusted. Everything passes through DOMPurify
+ * with an allow-list of formatting tags and attributes: scripts, event
+ * handlers, styles, forms, iframes and `javascript:` URLs are removed.
+ * Class names are dropped too (content could otherwise borrow the app's
+ * Tailwind utilities, e.g. `fixed inset-0 z-50`, to cover the page), except
+ * `language-*` on code blocks.
+ *
+ * Links are rewritten on the way out: external links open in a new tab
+ * with `rel="noopener noreferrer"`, in-page and same-site links stay in
+ * the current tab.
+ */
+
+import DOMPurify from 'dompurify';
+
+const ALLOWED_TAGS = [
+  'a', 'abbr', 'b', 'blockquote', 'br', 'code', 'del', 'em', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'hr', 'i', 'img', 'input', 'li', 'ol', 'p', 'pre', 's', 'strong', 'sub', 'sup', 'table',
+  'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'ul',
+];
+
+const ALLOWED_ATTR = [
+  'href', 'title', 'alt', 'src', 'id', 'class', 'align', 'colspan', 'rowspan', 'start',
+  'type', 'checked', 'disabled', 'target', 'rel',
+];
+
+// Fenced code blocks from marked: <code class="language-js">
+const ALLOWED_CLASS = /^language-[\w-]+$/;
+
+// http(s), mailto, in-page anchors and relative URLs only
+const ALLOWED_URI_REGEXP = /^(?:(?:https?|mailto):|#|\/(?!\/)|\.{0,2}\/|[^:/?#]*(?:[/?#]|$))/i;
+
+const purify = DOMPurify(window);
+
+purify.addHook('uponSanitizeAttribute', (node, data) => {
+  if (data.attrName !== 'class') return;
+
+  const classes = node.tagName === 'CODE' || node.tagName === 'PRE'
+    ? data.attrValue.split(/\s+/).filter((name) => ALLOWED_CLASS.test(name))
+    : [];
+  if (classes.length === 0) {
+    data.keepAttr = false;
+  } else {
+    data.attrValue = classes.join(' ');
+  }
+});
+
+purify.addHook('afterSanitizeAttributes', (node) => {
+  if (node.tagName === 'A' && node.hasAttribute('href')) {
+    const href = node.getAttribute('href');
+    let external = false;
+    try {
+      const url = new URL(href, window.location.href);
+      external = /^https?:$/.test(url.protocol) && url.origin !== window.location.origin;
+    } catch {
+      node.removeAttribute('href');
+    }
+
+    if (external) {
+      node.setAttribute('target', '_blank');
+      node.setAttribute('rel', 'noopener noreferrer');
+    } else {
+      node.removeAttribute('target');
+      node.removeAttribute('rel');
+    }
+  }
+
+  if (node.tagName === 'IMG') {
+    node.setAttribute('loading', 'lazy');
+    node.setAttribute('referrerpolicy', 'no-referrer');
+  }
+
+  // GFM task lists are the only inputs we render
+  if (node.tagName === 'INPUT') {
+    if (node.getAttribute('type') !== 'checkbox') {
+      node.remove();
+    } else {
+      node.setAttribute('disabled', '');
+    }
+  }
+});
+
+/**
+ * Sanitize HTML for rendering with dangerouslySetInnerHTML
+ * @param {string} html - Untrusted HTML
+ * @returns {string} Safe HTML
+ */
+export function sanitizeHtml(html) {
+  return purify.sanitize(html || '', {
+    ALLOWED_TAGS,
+    ALLOWED_ATTR,
+    ALLOWED_URI_REGEXP,
+    ADD_ATTR: ['loading', 'referrerpolicy'],
+  });
+}
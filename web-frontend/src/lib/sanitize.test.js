@@ -0,0 +1,130 @@
+import { describe, expect, it } from 'vitest';
+import { sanitizeHtml } from './sanitize';
+
+// Parse the output again so assertions look at what the browser would build
+function render(html) {
+  const container = document.createElement('div');
+  container.innerHTML = sanitizeHtml(html);
+  return container;
+}
+
+function attributeNames(container) {
+  return [...container.querySelectorAll('*')].flatMap((node) => node.getAttributeNames());
+}
+
+describe('sanitizeHtml', () => {
+  it('keeps formatting', () => {
+    const html = '<h2 id="intro">Intro</h2><p><strong>Bold</strong> and <em>italic</em> <code>x</code></p>';
+    expect(sanitizeHtml(html)).toBe(html);
+  });
+
+  it('returns an empty string for empty input', () => {
+    expect(sanitizeHtml(null)).toBe('');
+    expect(sanitizeHtml(undefined)).toBe('');
+  });
+
+  it.each([
+    ['script tags', '<p>Hi</p><script>alert(1)</script>'],
+    ['script tags with a src', '<script src="https://evil.example/x.js"></script>'],
+    ['iframes', '<iframe src="https://evil.example"></iframe>'],
+    ['iframes with srcdoc', '<iframe srcdoc="<script>alert(1)</script>"></iframe>'],
+    ['objects and embeds', '<object data="x.swf"></object><embed src="x.swf">'],
+    ['forms', '<form action="https://evil.example"><button>Go</button></form>'],
+    ['style tags', '<style>body { display: none }</style>'],
+    ['meta refreshes', '<meta http-equiv="refresh" content="0;url=https://evil.example">'],
+    ['base tags', '<base href="https://evil.example/">'],
+  ])('removes %s', (_, html) => {
+    const container = render(html);
+    expect(container.querySelector('script, iframe, object, embed, form, button, style, meta, base')).toBeNull();
+  });
+
+  it.each([
+    ['onerror', '<img src="x" onerror="alert(1)">'],
+    ['onclick', '<p onclick="alert(1)">Click</p>'],
+    ['onmouseover', '<a href="/x" onmouseover="alert(1)">Hover</a>'],
+    ['onload on body', '<body onload="alert(1)"><p>x</p></body>'],
+    ['style', '<p style="background:url(javascript:alert(1))">x</p>'],
+  ])('strips %s attributes', (_, html) => {
+    const names = attributeNames(render(html));
+    expect(names.filter((name) => name.startsWith('on'))).toEqual([]);
+    expect(names).not.toContain('style');
+  });
+
+  it.each([
+    '<a href="javascript:alert(1)">x</a>',
+    '<a href="JaVaScRiPt:alert(1)">x</a>',
+    '<a href=" javascript:alert(1)">x</a>',
+    '<a href="java&#x09;script:alert(1)">x</a>',
+    '<a href="&#106;avascript:alert(1)">x</a>',
+    '<a href="vbscript:msgbox(1)">x</a>',
+    '<a href="data:text/html,<script>alert(1)</script>">x</a>',
+  ])('drops dangerous link targets: %s', (html) => {
+    const link = render(html).querySelector('a');
+    expect(link.textContent).toBe('x');
+    expect(link.hasAttribute('href')).toBe(false);
+  });
+
+  it('drops javascript: image sources', () => {
+    const image = render('<img src="javascript:alert(1)" alt="x">').querySelector('img');
+    expect(image.hasAttribute('src')).toBe(false);
+  });
+
+  it.each([
+    ['scripts inside SVG', '<svg><script>alert(1)</script></svg>'],
+    ['SVG onload', '<svg onload="alert(1)"><circle r="1"></circle></svg>'],
+    ['SVG links', '<svg><a xlink:href="javascript:alert(1)"><text>x</text></a></svg>'],
+    ['SVG animate', '<svg><animate attributeName="href" values="javascript:alert(1)"></animate></svg>'],
+    ['MathML', '<math><mtext><table><mglyph><style><img src=x onerror=alert(1)>'],
+  ])('removes %s', (_, html) => {
+    const container = render(html);
+    expect(container.querySelector('svg, math, script, animate')).toBeNull();
+    expect(attributeNames(container).filter((name) => name.startsWith('on'))).toEqual([]);
+  });
+
+  it('is not fooled by markup hidden in attributes (mutation XSS)', () => {
+    const container = render('<noscript><p title="</noscript><img src=x onerror=alert(1)>"></p></noscript>');
+    expect(attributeNames(container)).not.toContain('onerror');
+  });
+
+  it('drops class names that could restyle the page', () => {
+    const container = render(
+      '<div class="fixed inset-0 z-50 bg-white"><p class="absolute top-0">Fake login</p><a class="language-js" href="/x">x</a></div>'
+    );
+    expect(container.querySelector('[class]')).toBeNull();
+  });
+
+  it('keeps only language-* classes on code blocks', () => {
+    const code = render('<pre><code class="language-js fixed inset-0">const a = 1;</code></pre>').querySelector('code');
+    expect(code.getAttribute('class')).toBe('language-js');
+  });
+
+  it('opens external links in a new tab without an opener', () => {
+    const link = render('<a href="https://example.com/page">x</a>').querySelector('a');
+    expect(link.getAttribute('target')).toBe('_blank');
+    expect(link.getAttribute('rel')).toBe('noopener noreferrer');
+  });
+
+  it('keeps in-page and same-site links in the current tab', () => {
+    const container = render(
+      `<a href="#section" target="_blank" rel="opener">a</a><a href="/articles/1">b</a><a href="${window.location.origin}/x">c</a>`
+    );
+    for (const link of container.querySelectorAll('a')) {
+      expect(link.hasAttribute('target')).toBe(false);
+      expect(link.hasAttribute('rel')).toBe(false);
+    }
+  });
+
+  it('loads images lazily without leaking the referrer', () => {
+    const image = render('<img src="https://example.com/a.png" alt="a">').querySelector('img');
+    expect(image.getAttribute('loading')).toBe('lazy');
+    expect(image.getAttribute('referrerpolicy')).toBe('no-referrer');
+  });
+
+  it('keeps task-list checkboxes, disabled, and removes other inputs', () => {
+    const container = render('<input type="checkbox" checked><input type="text" value="x"><input type="image" src="x">');
+    const inputs = container.querySelectorAll('input');
+    expect(inputs).toHaveLength(1);
+    expect(inputs[0].type).toBe('checkbox');
+    expect(inputs[0].disabled).toBe(true);
+  });
+});
@@ -0,0 +1,36 @@
+/**
+ * Article versions
+ *
+ * An original article and its rewrites, in the order they were created,
+ * as used by the version timeline and the compare/diff views.
+ */
+
+/**
+ * Build the version list for an original and its rewrites
+ * @param {Object} original - Original article
+ * @param {Array<Object>} rewrites - Rewritten versions, oldest first
+ * @returns {Array<Object>} { id, label, article }
+ */
+export function buildVersions(original, rewrites) {
+  return [
+    ...(original ? [{ id: original.id, label: 'Original', article: original }] : []),
+    ...rewrites.map((article, index) => ({ id: article.id, label: `Rewrite ${index + 1}`, article })),
+  ];
+}
+
+/**
+ * Format a timestamp for version metadata
+ * @param {string} value - ISO 8601 timestamp
+ * @returns {string} Date and time, or "Unknown date"
+ */
+export function formatDateTime(value) {
+  return value
+    ? new Date(value).toLocaleString('en-US', {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit',
+      })
+    : 'Unknown date';
+}
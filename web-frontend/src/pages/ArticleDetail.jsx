@@ -3,61 +3,44 @@
  * 
  * Enhanced UI with side-by-side comparison of Original vs Rewritten
  * Clear visual differentiation and better UX
+ * Any two versions (the original or any rewrite) can be compared
  */
 
-import { useState, useEffect } from 'react';
+import { useState } from 'react';
 import { useParams, Link } from 'react-router-dom';
-import { articleService } from '../services/api';
+import { articleQueries, getAdminToken } from '../services/api';
+import useApiQuery from '../hooks/useApiQuery';
+import ArticleContent from '../components/ArticleContent';
+import ArticleDiff from '../components/ArticleDiff';
+import ErrorMessage from '../components/ErrorMessage';
+import VersionTimeline, { VersionMeta } from '../components/VersionTimeline';
+import { buildVersions } from '../lib/versions';
+
+/**
+ * Split an article response into its original and rewritten versions
+ * @param {Object} article - Article from GET /api/articles/{id}
+ * @returns {{originalArticle: Object|null, rewrittenVersions: Array<Object>}}
+ */
+function splitVersions(article) {
+  if (article.version === 'rewritten' && article.parent) {
+    return {
+      originalArticle: article.parent,
+      rewrittenVersions: article.parent.rewritten_versions?.length ? article.parent.rewritten_versions : [article],
+    };
+  }
+  if (article.version === 'original') {
+    return { originalArticle: article, rewrittenVersions: article.rewritten_versions || [] };
+  }
+  return { originalArticle: null, rewrittenVersions: [] };
+}
 
 export default function ArticleDetail() {
   const { id } = useParams();
-  const [article, setArticle] = useState(null);
-  const [originalArticle, setOriginalArticle] = useState(null);
-  const [rewrittenVersions, setRewrittenVersions] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
-  const [viewMode, setViewMode] = useState('single'); // 'single' or 'compare'
-
-  useEffect(() => {
-    fetchArticle();
-  }, [id]);
-
-  const fetchArticle = async () => {
-    try {
-      setLoading(true);
-      const response = await articleService.getById(id);
-      const articleData = response.data.data;
-      setArticle(articleData);
-      
-      // Determine original and rewritten articles
-      if (articleData.version === 'rewritten' && articleData.parent) {
-        setOriginalArticle(articleData.parent);
-        setRewrittenVersions([articleData]);
-      } else if (articleData.version === 'original') {
-        setOriginalArticle(articleData);
-        if (articleData.rewritten_versions) {
-          setRewrittenVersions(articleData.rewritten_versions);
-        }
-      }
-      
-      setError(null);
-    } catch (err) {
-      setError('Failed to load article');
-      console.error(err);
-    } finally {
-      setLoading(false);
-    }
-  };
-
-  const formatContent = (content) => {
-    return content
-      .split('\n')
-      .map((para, i) => para.trim() && `<p class="mb-4">${para.trim()}</p>`)
-      .filter(Boolean)
-      .join('');
-  };
+  const { data: article, error, isLoading, refetch } = useApiQuery(articleQueries.detail(id));
+  const [viewMode, setViewMode] = useState('single'); // 'single', 'compare' or 'diff'
+  const [selection, setSelection] = useState({ left: null, right: null }); // version ids picked for A and B
 
-  if (loading) {
+  if (isLoading) {
     return (
       <div className="flex items-center justify-center min-h-screen">
         <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500"></div>
@@ -65,19 +48,36 @@ export default function ArticleDetail() {
     );
   }
 
-  if (error || !article) {
+  if (!article) {
     return (
-      <div className="flex items-center justify-center min-h-screen">
-        <div className="text-red-500 text-xl">{error || 'Article not found'}</div>
-        <Link to="/articles" className="ml-4 text-blue-500 hover:underline">
+      <div className="container mx-auto px-4 py-8 text-center">
+        {error && <ErrorMessage error={error} onRetry={refetch} notFoundTitle="Article not found" />}
+        <Link to="/articles" className="text-blue-500 hover:underline">
           Back to Articles
         </Link>
       </div>
     );
   }
 
+  const { originalArticle, rewrittenVersions } = splitVersions(article);
   const hasBothVersions = originalArticle && rewrittenVersions.length > 0;
-  const currentRewritten = rewrittenVersions[0];
+  const versions = buildVersions(originalArticle, rewrittenVersions);
+  const findVersion = (versionId) => versions.find((version) => version.id === versionId);
+
+  // Default comparison: the original against the rewrite being viewed (or the latest one)
+  const leftVersion = findVersion(selection.left) || versions[0];
+  const rightVersion = findVersion(selection.right)
+    || findVersion(article.version === 'rewritten' ? article.id : null)
+    || versions[versions.length - 1];
+
+  // Picking the version already on the other side swaps the two
+  const selectVersion = (side, versionId) => {
+    const other = side === 'left' ? 'right' : 'left';
+    const current = { left: leftVersion.id, right: rightVersion.id };
+    setSelection(current[other] === versionId
+      ? { [side]: versionId, [other]: current[side] }
+      : { ...current, [side]: versionId });
+  };
 
   return (
     <div className="container mx-auto px-4 py-8">
@@ -111,6 +111,14 @@ export default function ArticleDetail() {
                 AI Rewritten
               </span>
             )}
+            {getAdminToken() && (
+              <Link
+                to={`/admin/articles/${article.id}/edit`}
+                className="px-4 py-2 rounded-lg bg-gray-100 text-sm font-medium text-gray-700 hover:bg-gray-200"
+              >
+                Edit
+              </Link>
+            )}
           </div>
         </div>
 
@@ -147,70 +155,69 @@ export default function ArticleDetail() {
             >
               Compare View
             </button>
+            <button
+              onClick={() => setViewMode('diff')}
+              className={`px-4 py-2 rounded-lg font-medium transition-colors ${
+                viewMode === 'diff'
+                  ? 'bg-purple-500 text-white'
+                  : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+              }`}
+            >
+              Diff View
+            </button>
           </div>
         )}
       </div>
 
       {/* Content Display */}
-      {viewMode === 'compare' && hasBothVersions ? (
-        <div className="grid md:grid-cols-2 gap-6">
-          {/* Original Article */}
-          <div className="bg-white rounded-lg shadow-lg border-l-4 border-blue-500 p-6">
-            <div className="flex items-center justify-between mb-4">
-              <h2 className="text-2xl font-bold text-blue-800">Original</h2>
-              <span className="px-3 py-1 bg-blue-100 text-blue-800 rounded-full text-xs font-semibold">
-                Source
-              </span>
-            </div>
-            <div
-              className="prose prose-sm max-w-none text-gray-700"
-              dangerouslySetInnerHTML={{
-                __html: formatContent(originalArticle.content),
-              }}
-            />
-            {originalArticle.source_url && (
-              <div className="mt-4 pt-4 border-t">
-                <a
-                  href={originalArticle.source_url}
-                  target="_blank"
-                  rel="noopener noreferrer"
-                  className="text-sm text-blue-500 hover:underline"
-                >
-                  View Source →
-                </a>
-              </div>
-            )}
-          </div>
+      {viewMode !== 'single' && hasBothVersions && (
+        <VersionTimeline
+          versions={versions}
+          leftId={leftVersion.id}
+          rightId={rightVersion.id}
+          onSelect={selectVersion}
+        />
+      )}
 
-          {/* Rewritten Article */}
-          <div className="bg-gradient-to-br from-green-50 to-white rounded-lg shadow-lg border-l-4 border-green-500 p-6">
-            <div className="flex items-center justify-between mb-4">
-              <h2 className="text-2xl font-bold text-green-800">AI Rewritten</h2>
-              <span className="px-3 py-1 bg-green-100 text-green-800 rounded-full text-xs font-semibold">
-                Enhanced
-              </span>
-            </div>
-            <div
-              className="prose prose-sm max-w-none text-gray-700"
-              dangerouslySetInnerHTML={{
-                __html: formatContent(currentRewritten.content),
-              }}
-            />
-            {currentRewritten.references && currentRewritten.references.length > 0 && (
-              <div className="mt-4 pt-4 border-t">
-                <p className="text-sm font-semibold text-gray-700 mb-2">References:</p>
-                <ul className="text-xs space-y-1">
-                  {currentRewritten.references.slice(0, 3).map((ref, i) => (
-                    <li key={i}>
-                      <a href={ref} target="_blank" rel="noopener noreferrer" className="text-green-600 hover:underline">
-                        {ref.substring(0, 50)}...
-                      </a>
-                    </li>
-                  ))}
-                </ul>
+      {viewMode === 'diff' && hasBothVersions ? (
+        <div className="mb-6">
+          <ArticleDiff
+            original={leftVersion.article.content}
+            rewritten={rightVersion.article.content}
+            originalLabel={`A · ${leftVersion.label}`}
+            rewrittenLabel={`B · ${rightVersion.label}`}
+          />
+        </div>
+      ) : viewMode === 'compare' && hasBothVersions ? (
+        <div className="grid md:grid-cols-2 gap-6">
+          {[['A', leftVersion], ['B', rightVersion]].map(([slot, version]) => {
+            const isOriginal = version.article.version === 'original';
+            return (
+              <div
+                key={slot}
+                className={`rounded-lg shadow-lg border-l-4 p-6 ${
+                  isOriginal ? 'bg-white border-blue-500' : 'bg-gradient-to-br from-green-50 to-white border-green-500'
+                }`}
+              >
+                <div className="flex items-center justify-between mb-2">
+                  <h2 className={`text-2xl font-bold ${isOriginal ? 'text-blue-800' : 'text-green-800'}`}>
+                    {version.label}
+                  </h2>
+                  <span className={`px-3 py-1 rounded-full text-xs font-semibold ${
+                    isOriginal ? 'bg-blue-100 text-blue-800' : 'bg-green-100 text-green-800'
+                  }`}>
+                    {slot} · {isOriginal ? 'Source' : 'Enhanced'}
+                  </span>
+                </div>
+                <VersionMeta version={version} />
+                <ArticleContent
+                  content={version.article.content}
+                  idPrefix={`compare-${slot.toLowerCase()}-`}
+                  className="text-sm"
+                />
               </div>
-            )}
-          </div>
+            );
+          })}
         </div>
       ) : (
         <div className={`rounded-lg shadow-lg p-8 mb-6 ${
@@ -218,12 +225,7 @@ export default function ArticleDetail() {
             ? 'bg-white border-l-4 border-blue-500'
             : 'bg-gradient-to-br from-green-50 to-white border-l-4 border-green-500'
         }`}>
-          <div
-            className="prose prose-lg max-w-none"
-            dangerouslySetInnerHTML={{
-              __html: formatContent(article.content),
-            }}
-          />
+          <ArticleContent content={article.content} showToc className="text-lg" />
         </div>
       )}
 
@@ -268,13 +270,13 @@ export default function ArticleDetail() {
                 <p className="text-sm text-gray-600 mt-1">{originalArticle.title}</p>
               </Link>
             )}
-            {rewrittenVersions.map((rewritten) => (
+            {versions.slice(1).map(({ id: versionId, label, article: rewritten }) => (
               <Link
-                key={rewritten.id}
-                to={`/articles/${rewritten.id}`}
+                key={versionId}
+                to={`/articles/${versionId}`}
                 className="block p-3 bg-white rounded hover:shadow-md transition-shadow"
               >
-                <span className="text-sm font-medium text-green-600">AI Rewritten Version</span>
+                <span className="text-sm font-medium text-green-600">AI Rewritten Version · {label}</span>
                 <p className="text-sm text-gray-600 mt-1">{rewritten.title}</p>
               </Link>
             ))}
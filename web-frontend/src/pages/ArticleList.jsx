@@ -1,6 +1,22 @@
 import { useState, useEffect, useMemo } from 'react';
-import { Link } from 'react-router-dom';
-import { articleService } from '../services/api';
+import { Link, useSearchParams } from 'react-router-dom';
+import { articleQueries, prefetchQuery } from '../services/api';
+import useApiQuery from '../hooks/useApiQuery';
+import ErrorMessage from '../components/ErrorMessage';
+
+const PER_PAGE = 12;
+const SEARCH_DEBOUNCE_MS = 300;
+
+const SORT_OPTIONS = [
+  { value: 'newest', label: 'Newest first' },
+  { value: 'oldest', label: 'Oldest first' },
+  { value: 'title', label: 'Title A–Z' },
+  { value: 'title_desc', label: 'Title Z–A' },
+  { value: 'updated', label: 'Recently updated' },
+];
+
+// Query params that make up a filtered view (all of them live in the URL)
+const FILTER_PARAMS = ['q', 'version', 'rewritten', 'from', 'to', 'domain', 'sort'];
 
 const VersionBadge = ({ version }) => {
   const base =
@@ -33,36 +49,79 @@ const SkeletonCard = () => (
   </div>
 );
 
+/**
+ * Merge changes into URL query params. Empty values are dropped and any
+ * change other than the page goes back to page 1.
+ * @param {URLSearchParams} params - Current params
+ * @param {Object} changes - Param name => new value
+ * @returns {URLSearchParams} New params
+ */
+function mergeParams(params, changes) {
+  const next = new URLSearchParams(params);
+  for (const [name, value] of Object.entries(changes)) {
+    if (value === '' || value === null || value === undefined) {
+      next.delete(name);
+    } else {
+      next.set(name, value);
+    }
+  }
+  if (!('page' in changes)) next.delete('page');
+  return next;
+}
+
 export default function ArticleList() {
-  const [articles, setArticles] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [filter, setFilter] = useState('all');
-  const [pagination, setPagination] = useState({
-    current_page: 1,
-    per_page: 12,
-    last_page: 1,
-  });
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  const q = searchParams.get('q') || '';
+  const filter = searchParams.get('version') || 'all';
+  const rewritten = searchParams.get('rewritten') || '';
+  const from = searchParams.get('from') || '';
+  const to = searchParams.get('to') || '';
+  const domain = searchParams.get('domain') || '';
+  const sort = searchParams.get('sort') || 'newest';
+  const page = Number(searchParams.get('page')) || 1;
+  const hasFilters = FILTER_PARAMS.some((name) => searchParams.has(name));
+
+  // The search box updates the URL after a pause; back/forward updates the box
+  const [searchText, setSearchText] = useState(q);
+  const [syncedQ, setSyncedQ] = useState(q);
+  if (q !== syncedQ) {
+    setSyncedQ(q);
+    if (searchText.trim() !== q) setSearchText(q);
+  }
+
+  const updateParams = (changes) => setSearchParams((current) => mergeParams(current, changes));
 
   useEffect(() => {
-    fetchArticles();
-  }, [pagination.current_page, filter]);
-
-  const fetchArticles = async () => {
-    try {
-      setLoading(true);
-
-      const response = await articleService.getAll({
-        page: pagination.current_page,
-        per_page: pagination.per_page,
-        version: filter !== 'all' ? filter : undefined,
-      });
-
-      setArticles(response.data.data);
-      setPagination(response.data.meta);
-    } finally {
-      setLoading(false);
-    }
-  };
+    if (searchText.trim() === q) return undefined;
+    const timer = setTimeout(
+      () => setSearchParams((current) => mergeParams(current, { q: searchText.trim() }), { replace: true }),
+      SEARCH_DEBOUNCE_MS
+    );
+    return () => clearTimeout(timer);
+  }, [searchText, q, setSearchParams]);
+
+  const { data, error, isLoading: loading, refetch } = useApiQuery(
+    articleQueries.list({
+      page,
+      per_page: PER_PAGE,
+      version: filter !== 'all' ? filter : undefined,
+      is_rewritten: rewritten === 'yes' ? 1 : rewritten === 'no' ? 0 : undefined,
+      q: q || undefined,
+      from: from || undefined,
+      to: to || undefined,
+      domain: domain || undefined,
+      sort: sort !== 'newest' ? sort : undefined,
+    })
+  );
+  const articles = data?.data || [];
+  const pagination = data?.meta || { current_page: 1, per_page: PER_PAGE, last_page: 1, total: 0 };
+
+  // Domains change rarely; keep them for five minutes
+  const { data: domains = [] } = useApiQuery(articleQueries.domains(), { staleTime: 5 * 60 * 1000 });
+
+  const inputClass =
+    'rounded-lg border border-gray-300 bg-white px-3 py-2 text-sm text-gray-700 focus:border-blue-500 focus:outline-none';
 
   const formatter = useMemo(
     () => new Intl.DateTimeFormat('en-IN', { dateStyle: 'medium' }),
@@ -81,10 +140,7 @@ export default function ArticleList() {
           {['all', 'original', 'rewritten'].map((type) => (
             <button
               key={type}
-              onClick={() => {
-                setPagination((p) => ({ ...p, current_page: 1 }));
-                setFilter(type);
-              }}
+              onClick={() => updateParams({ version: type !== 'all' ? type : '' })}
               className={`px-4 py-2 rounded-lg text-sm font-medium transition ${
                 filter === type
                   ? 'bg-gray-900 text-white'
@@ -97,6 +153,89 @@ export default function ArticleList() {
         </div>
       </div>
 
+      {/* Search & Filters */}
+      <div className="mb-8 space-y-3">
+        <input
+          type="search"
+          value={searchText}
+          onChange={(e) => setSearchText(e.target.value)}
+          placeholder="Search titles and content…"
+          aria-label="Search articles"
+          className={`${inputClass} w-full`}
+        />
+        <div className="flex flex-wrap items-center gap-3">
+          <select
+            value={rewritten}
+            onChange={(e) => updateParams({ rewritten: e.target.value })}
+            aria-label="Rewritten status"
+            className={inputClass}
+          >
+            <option value="">Any rewrite status</option>
+            <option value="yes">Rewritten</option>
+            <option value="no">Not yet rewritten</option>
+          </select>
+          <select
+            value={domain}
+            onChange={(e) => updateParams({ domain: e.target.value })}
+            aria-label="Source domain"
+            className={inputClass}
+          >
+            <option value="">All sources</option>
+            {domain && !domains.some((d) => d.domain === domain) && <option value={domain}>{domain}</option>}
+            {domains.map((d) => (
+              <option key={d.domain} value={d.domain}>
+                {d.domain} ({d.count})
+              </option>
+            ))}
+          </select>
+          <label className="flex items-center gap-2 text-sm text-gray-600">
+            From
+            <input
+              type="date"
+              value={from}
+              max={to || undefined}
+              onChange={(e) => updateParams({ from: e.target.value })}
+              className={inputClass}
+            />
+          </label>
+          <label className="flex items-center gap-2 text-sm text-gray-600">
+            To
+            <input
+              type="date"
+              value={to}
+              min={from || undefined}
+              onChange={(e) => updateParams({ to: e.target.value })}
+              className={inputClass}
+            />
+          </label>
+          <select
+            value={sort}
+            onChange={(e) => updateParams({ sort: e.target.value !== 'newest' ? e.target.value : '' })}
+            aria-label="Sort order"
+            className={inputClass}
+          >
+            {SORT_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          {hasFilters && (
+            <button
+              onClick={() => setSearchParams({})}
+              className="text-sm text-blue-600 hover:underline"
+            >
+              Clear filters
+            </button>
+          )}
+          {!loading && data && (
+            <span className="ml-auto text-sm text-gray-500">
+              {pagination.total} article{pagination.total === 1 ? '' : 's'}
+            </span>
+          )}
+        </div>
+      </div>
+
       {/* Content */}
       {loading ? (
         <div className="grid gap-6 sm:grid-cols-2 lg:grid-cols-3">
@@ -104,9 +243,11 @@ export default function ArticleList() {
             <SkeletonCard key={i} />
           ))}
         </div>
+      ) : error && !data ? (
+        <ErrorMessage error={error} onRetry={refetch} />
       ) : articles.length === 0 ? (
         <div className="text-center py-16 text-gray-500">
-          No articles found.
+          {hasFilters ? 'No articles match these filters.' : 'No articles found.'}
         </div>
       ) : (
         <>
@@ -125,6 +266,7 @@ export default function ArticleList() {
                   cursor: "pointer"
                 }}
                 onMouseEnter={e => {
+                  prefetchQuery(articleQueries.detail(article.id));
                   e.currentTarget.style.transform = "scale(1.035)";
                   e.currentTarget.style.boxShadow = "0 8px 32px 0 rgba(41,43,80,0.13)";
                 }}
@@ -136,6 +278,7 @@ export default function ArticleList() {
                 <Link
                 key={article.id}
                 to={`/articles/${article.id}`}
+                onFocus={() => prefetchQuery(articleQueries.detail(article.id))}
                 className="group block rounded-xl border border-gray-200 bg-white hover:shadow-lg transition"
               >
                 <div className="p-6 flex flex-col h-full">
@@ -178,12 +321,7 @@ export default function ArticleList() {
             <div className="flex justify-center items-center gap-4 mt-10">
               <button
                 disabled={pagination.current_page === 1}
-                onClick={() =>
-                  setPagination((p) => ({
-                    ...p,
-                    current_page: p.current_page - 1,
-                  }))
-                }
+                onClick={() => updateParams({ page: pagination.current_page - 1 })}
                 className="px-4 py-2 rounded-lg bg-gray-100 hover:bg-gray-200 disabled:opacity-50"
               >
                 Previous
@@ -195,12 +333,7 @@ export default function ArticleList() {
 
               <button
                 disabled={pagination.current_page === pagination.last_page}
-                onClick={() =>
-                  setPagination((p) => ({
-                    ...p,
-                    current_page: p.current_page + 1,
-                  }))
-                }
+                onClick={() => updateParams({ page: pagination.current_page + 1 })}
                 className="px-4 py-2 rounded-lg bg-gray-100 hover:bg-gray-200 disabled:opacity-50"
               >
                 Next
@@ -0,0 +1,217 @@
+/**
+ * Review Page
+ *
+ * Shows the original article next to an AI-rewritten draft, with the
+ * rewriter's quality and originality reports, and lets an editor approve,
+ * reject or request a regeneration.
+ */
+
+import { useState, useEffect } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { UnauthorizedError, reviewService } from '../services/api';
+import { ReviewStatusBadge } from './ReviewList';
+import ArticleContent from '../components/ArticleContent';
+
+const ACTIONS = [
+  { value: 'approve', label: 'Approve & publish', className: 'bg-emerald-600 hover:bg-emerald-700 text-white' },
+  { value: 'request_regeneration', label: 'Request regeneration', className: 'bg-purple-600 hover:bg-purple-700 text-white' },
+  { value: 'reject', label: 'Reject', className: 'bg-red-600 hover:bg-red-700 text-white' },
+];
+
+const percent = (value) => `${Math.round((value || 0) * 100)}%`;
+
+function Reports({ meta }) {
+  const quality = meta?.quality;
+  const originality = meta?.originality;
+  if (!quality && !originality) return null;
+
+  return (
+    <div className="grid md:grid-cols-2 gap-4 mb-6">
+      {quality && (
+        <div className={`rounded-lg border p-4 ${quality.passed ? 'border-emerald-200 bg-emerald-50' : 'border-orange-200 bg-orange-50'}`}>
+          <h3 className="font-semibold text-gray-800 mb-2">
+            Quality {quality.passed ? 'passed' : 'issues'}
+            {quality.retries > 0 && <span className="text-xs font-normal text-gray-500"> · {quality.retries} retr{quality.retries === 1 ? 'y' : 'ies'}</span>}
+          </h3>
+          {quality.issues?.length > 0 ? (
+            <ul className="text-sm text-orange-800 list-disc pl-5 space-y-1">
+              {quality.issues.map((issue) => (
+                <li key={issue.code}>{issue.message}</li>
+              ))}
+            </ul>
+          ) : (
+            <p className="text-sm text-gray-600">
+              {quality.metrics?.words} words · {quality.metrics?.headings} headings
+            </p>
+          )}
+        </div>
+      )}
+      {originality && (
+        <div className={`rounded-lg border p-4 ${originality.passed ? 'border-emerald-200 bg-emerald-50' : 'border-red-200 bg-red-50'}`}>
+          <h3 className="font-semibold text-gray-800 mb-2">
+            Originality {originality.passed ? 'passed' : 'failed'}
+            {originality.regenerations > 0 && <span className="text-xs font-normal text-gray-500"> · {originality.regenerations} regeneration(s)</span>}
+          </h3>
+          <ul className="text-sm text-gray-700 space-y-1">
+            {originality.sources?.map((source) => (
+              <li key={source.source} className="flex justify-between gap-4">
+                <span className="truncate">{source.source === 'original' ? 'Original article' : source.source}</span>
+                <span className={originality.violations?.includes(source.source) ? 'text-red-700 font-semibold' : ''}>
+                  {percent(source.overlap)} overlap
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default function ReviewDetail() {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  // Article for the current id; loading until loadedId matches
+  const [loaded, setLoaded] = useState({ id: null, article: null });
+  const [notes, setNotes] = useState('');
+  const [submitting, setSubmitting] = useState(null);
+  const [error, setError] = useState(null);
+  const loading = loaded.id !== id;
+  const { article } = loaded;
+
+  useEffect(() => {
+    let cancelled = false;
+
+    reviewService
+      .getById(id)
+      .then((response) => {
+        if (cancelled) return;
+        setLoaded({ id, article: response.data.data });
+        setNotes(response.data.data.review_notes || '');
+        setError(null);
+      })
+      .catch((err) => {
+        console.error(err);
+        if (cancelled) return;
+        setLoaded({ id, article: null });
+        setError('Failed to load article');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [id]);
+
+  const submit = async (action) => {
+    try {
+      setSubmitting(action);
+      await reviewService.submit(id, action, notes || null);
+      navigate('/review');
+    } catch (err) {
+      // Reviews are writes: the Article Service only accepts them with an admin token
+      if (err instanceof UnauthorizedError) {
+        navigate('/admin/login', { state: { from: `/review/${id}` } });
+        return;
+      }
+      setError(err.message || 'Failed to save review');
+      setSubmitting(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-screen">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500"></div>
+      </div>
+    );
+  }
+
+  if (!article) {
+    return (
+      <div className="flex items-center justify-center min-h-screen">
+        <div className="text-red-500 text-xl">{error || 'Article not found'}</div>
+        <Link to="/review" className="ml-4 text-blue-500 hover:underline">
+          Back to Review Queue
+        </Link>
+      </div>
+    );
+  }
+
+  const original = article.parent;
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <Link to="/review" className="inline-flex items-center text-blue-500 hover:text-blue-700 mb-6 transition-colors">
+        ← Back to Review Queue
+      </Link>
+
+      <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-4 mb-6">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-800">{article.title}</h1>
+          <p className="text-sm text-gray-500 mt-2">
+            {article.rewrite_meta?.provider && `${article.rewrite_meta.provider} (${article.rewrite_meta.model}) · `}
+            {article.rewrite_meta?.prompt && `template ${article.rewrite_meta.prompt.template} v${article.rewrite_meta.prompt.version} · `}
+            created {new Date(article.created_at).toLocaleString()}
+          </p>
+        </div>
+        <div className="flex items-center gap-3">
+          <ReviewStatusBadge status={article.review_status} />
+          {/* Fix small mistakes by hand instead of requesting a full regeneration */}
+          <Link
+            to={`/admin/articles/${article.id}/edit`}
+            className="px-3 py-1 rounded-lg bg-gray-100 text-sm text-gray-700 hover:bg-gray-200"
+          >
+            Edit
+          </Link>
+        </div>
+      </div>
+
+      <Reports meta={article.rewrite_meta} />
+
+      <div className="grid md:grid-cols-2 gap-6 mb-6">
+        <div className="bg-white rounded-lg shadow-lg border-l-4 border-blue-500 p-6 overflow-auto max-h-[70vh]">
+          <h2 className="text-xl font-bold text-blue-800 mb-4">Original</h2>
+          {original ? (
+            <ArticleContent content={original.content} idPrefix="original-" className="text-sm" />
+          ) : (
+            <p className="text-gray-500">The original article is no longer available.</p>
+          )}
+        </div>
+
+        <div className="bg-gradient-to-br from-green-50 to-white rounded-lg shadow-lg border-l-4 border-green-500 p-6 overflow-auto max-h-[70vh]">
+          <h2 className="text-xl font-bold text-green-800 mb-4">Rewritten draft</h2>
+          <ArticleContent content={article.content} idPrefix="draft-" className="text-sm" />
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow p-6">
+        <label htmlFor="review-notes" className="block text-sm font-semibold text-gray-700 mb-2">
+          Reviewer notes
+        </label>
+        <textarea
+          id="review-notes"
+          value={notes}
+          onChange={(e) => setNotes(e.target.value)}
+          rows={3}
+          placeholder="Why was this rejected, or what should the regeneration fix?"
+          className="w-full rounded-lg border border-gray-300 p-3 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+
+        {error && <p className="text-sm text-red-600 mt-3">{error}</p>}
+
+        <div className="flex flex-wrap gap-3 mt-4">
+          {ACTIONS.map(({ value, label, className }) => (
+            <button
+              key={value}
+              onClick={() => submit(value)}
+              disabled={submitting !== null}
+              className={`px-4 py-2 rounded-lg font-medium transition-colors disabled:opacity-50 ${className}`}
+            >
+              {submitting === value ? 'Saving…' : label}
+            </button>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
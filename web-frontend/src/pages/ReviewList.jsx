@@ -0,0 +1,179 @@
+/**
+ * Review Queue Page
+ *
+ * Lists AI-rewritten articles by review status. Drafts are shown first;
+ * nothing here is visible on the public article list until approved.
+ */
+
+import { useState, useEffect, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import { reviewService } from '../services/api';
+
+const STATUSES = [
+  { value: 'draft', label: 'Drafts' },
+  { value: 'regeneration_requested', label: 'Regenerating' },
+  { value: 'rejected', label: 'Rejected' },
+  { value: 'approved', label: 'Approved' },
+];
+
+const STATUS_LABELS = {
+  draft: 'Draft',
+  approved: 'Approved',
+  rejected: 'Rejected',
+  regeneration_requested: 'Regeneration requested',
+};
+
+export const ReviewStatusBadge = ({ status }) => {
+  const styles = {
+    draft: 'bg-amber-50 text-amber-700 border-amber-200',
+    approved: 'bg-emerald-50 text-emerald-700 border-emerald-200',
+    rejected: 'bg-red-50 text-red-700 border-red-200',
+    regeneration_requested: 'bg-purple-50 text-purple-700 border-purple-200',
+  };
+
+  return (
+    <span className={`inline-flex items-center px-2.5 py-1 rounded-full text-xs font-medium border ${styles[status] || 'bg-gray-50 text-gray-700 border-gray-200'}`}>
+      {STATUS_LABELS[status] || status}
+    </span>
+  );
+};
+
+export default function ReviewList() {
+  const [status, setStatus] = useState('draft');
+  const [page, setPage] = useState(1);
+  // Response for the current query; loading until its key matches
+  const [result, setResult] = useState({ key: null, articles: [], meta: { current_page: 1, last_page: 1, pending: 0 }, error: null });
+  const key = `${status}:${page}`;
+  const loading = result.key !== key;
+  const { articles, meta, error } = result;
+
+  useEffect(() => {
+    let cancelled = false;
+
+    reviewService
+      .getAll({ status, page, per_page: 20 })
+      .then((response) => {
+        if (!cancelled) {
+          setResult({ key: `${status}:${page}`, articles: response.data.data, meta: response.data.meta, error: null });
+        }
+      })
+      .catch((err) => {
+        console.error(err);
+        if (!cancelled) {
+          setResult((previous) => ({ ...previous, key: `${status}:${page}`, articles: [], error: 'Failed to load the review queue' }));
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [status, page]);
+
+  const formatter = useMemo(
+    () => new Intl.DateTimeFormat('en-IN', { dateStyle: 'medium', timeStyle: 'short' }),
+    []
+  );
+
+  return (
+    <div className="max-w-5xl mx-auto px-4 py-10">
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 mb-8">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Review Queue</h1>
+          <p className="text-sm text-gray-500 mt-1">
+            {meta.pending} rewrite{meta.pending === 1 ? '' : 's'} waiting for review
+          </p>
+        </div>
+
+        <div className="flex flex-wrap gap-2">
+          {STATUSES.map(({ value, label }) => (
+            <button
+              key={value}
+              onClick={() => {
+                setPage(1);
+                setStatus(value);
+              }}
+              className={`px-4 py-2 rounded-lg text-sm font-medium transition ${
+                status === value
+                  ? 'bg-gray-900 text-white'
+                  : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {error ? (
+        <div className="text-center py-16 text-red-500">{error}</div>
+      ) : loading ? (
+        <div className="flex justify-center py-16">
+          <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-blue-500"></div>
+        </div>
+      ) : articles.length === 0 ? (
+        <div className="text-center py-16 text-gray-500">Nothing to review.</div>
+      ) : (
+        <ul className="divide-y divide-gray-200 bg-white rounded-xl border border-gray-200">
+          {articles.map((article) => {
+            const quality = article.rewrite_meta?.quality;
+            const originality = article.rewrite_meta?.originality;
+
+            return (
+              <li key={article.id}>
+                <Link
+                  to={`/review/${article.id}`}
+                  className="flex flex-col md:flex-row md:items-center gap-3 p-5 hover:bg-gray-50 transition"
+                >
+                  <div className="flex-1 min-w-0">
+                    <p className="font-semibold text-gray-900 truncate">{article.title}</p>
+                    <p className="text-xs text-gray-500 mt-1">
+                      Original: {article.parent?.title || `#${article.parent_article_id}`}
+                      {' · '}
+                      {formatter.format(new Date(article.created_at))}
+                      {article.rewrite_meta?.provider && ` · ${article.rewrite_meta.provider}`}
+                    </p>
+                  </div>
+                  <div className="flex items-center gap-2 shrink-0">
+                    {quality?.flagged && (
+                      <span className="px-2 py-1 rounded text-xs font-medium bg-orange-100 text-orange-700">
+                        Quality issues
+                      </span>
+                    )}
+                    {originality && !originality.passed && (
+                      <span className="px-2 py-1 rounded text-xs font-medium bg-red-100 text-red-700">
+                        Originality
+                      </span>
+                    )}
+                    <ReviewStatusBadge status={article.review_status} />
+                  </div>
+                </Link>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {meta.last_page > 1 && (
+        <div className="flex justify-center items-center gap-4 mt-8">
+          <button
+            disabled={page === 1}
+            onClick={() => setPage((p) => p - 1)}
+            className="px-4 py-2 rounded-lg bg-gray-100 hover:bg-gray-200 disabled:opacity-50"
+          >
+            Previous
+          </button>
+          <span className="text-sm text-gray-600">
+            Page {meta.current_page} of {meta.last_page}
+          </span>
+          <button
+            disabled={page === meta.last_page}
+            onClick={() => setPage((p) => p + 1)}
+            className="px-4 py-2 rounded-lg bg-gray-100 hover:bg-gray-200 disabled:opacity-50"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,378 @@
+/**
+ * Admin Dashboard
+ *
+ * Article counts, every article (including drafts and unpublished ones)
+ * with edit / publish / rewrite / delete actions, and the AI Rewriter's
+ * job history with errors.
+ */
+
+import { useEffect, useState } from 'react';
+import { Link, Navigate, useNavigate } from 'react-router-dom';
+import {
+  UnauthorizedError,
+  adminQueries,
+  adminService,
+  articleService,
+  invalidateQueries,
+  rewriterService,
+} from '../../services/api';
+import useApiQuery from '../../hooks/useApiQuery';
+import ErrorMessage from '../../components/ErrorMessage';
+import { ReviewStatusBadge } from '../ReviewList';
+import { formatDateTime } from '../../lib/versions';
+
+const PER_PAGE = 20;
+const JOB_POLL_MS = 5000;
+
+const JOB_STATE_STYLES = {
+  queued: 'bg-gray-100 text-gray-700',
+  running: 'bg-blue-100 text-blue-700',
+  succeeded: 'bg-emerald-100 text-emerald-700',
+  failed: 'bg-red-100 text-red-700',
+};
+
+function StatCard({ label, value, className = 'text-gray-900' }) {
+  return (
+    <div className="bg-white rounded-lg shadow p-4">
+      <div className={`text-3xl font-bold ${className}`}>{value ?? '–'}</div>
+      <div className="text-sm text-gray-500">{label}</div>
+    </div>
+  );
+}
+
+function Stats({ stats, error }) {
+  if (error && !stats) return <p className="text-sm text-red-600 mb-6">Could not load counts: {error.message}</p>;
+
+  return (
+    <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-8">
+      <StatCard label="Unrewritten originals" value={stats?.unrewritten} className="text-amber-600" />
+      <StatCard label="Rewritten originals" value={stats?.rewritten_originals} className="text-emerald-600" />
+      <StatCard label="Rewrites" value={stats?.rewrites} />
+      <StatCard label="Drafts awaiting review" value={stats?.rewrites_by_status?.draft} className="text-purple-600" />
+      <StatCard label="Unpublished" value={stats?.unpublished} className="text-gray-500" />
+    </div>
+  );
+}
+
+function JobHistory() {
+  const [state, setState] = useState('');
+  const { data: jobs, error, refetch } = useApiQuery(adminQueries.jobs({ state: state || undefined, limit: 25 }), {
+    staleTime: 0,
+  });
+  const active = jobs?.some((job) => job.state === 'queued' || job.state === 'running');
+
+  // Keep polling while something is queued or running
+  useEffect(() => {
+    if (!active) return undefined;
+    const timer = setInterval(refetch, JOB_POLL_MS);
+    return () => clearInterval(timer);
+  }, [active, refetch]);
+
+  return (
+    <section className="bg-white rounded-lg shadow p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold text-gray-900">Rewrite jobs</h2>
+        <select
+          value={state}
+          onChange={(e) => setState(e.target.value)}
+          aria-label="Job state"
+          className="rounded-lg border border-gray-300 px-3 py-1.5 text-sm"
+        >
+          <option value="">All jobs</option>
+          <option value="queued">Queued</option>
+          <option value="running">Running</option>
+          <option value="succeeded">Succeeded</option>
+          <option value="failed">Failed</option>
+        </select>
+      </div>
+
+      {error && !jobs ? (
+        <ErrorMessage error={error} onRetry={refetch} />
+      ) : !jobs ? (
+        <p className="text-sm text-gray-500">Loading…</p>
+      ) : jobs.length === 0 ? (
+        <p className="text-sm text-gray-500">No jobs yet.</p>
+      ) : (
+        <ul className="divide-y">
+          {jobs.map((job) => (
+            <li key={job.id} className="py-3 text-sm">
+              <div className="flex flex-wrap items-center gap-2">
+                <span className={`px-2 py-0.5 rounded text-xs font-medium ${JOB_STATE_STYLES[job.state] || ''}`}>
+                  {job.state}
+                </span>
+                <span className="font-medium text-gray-800">{job.type}</span>
+                {job.params?.articleId && <span className="text-gray-500">article #{job.params.articleId}</span>}
+                {job.step && <span className="text-blue-600">· {job.step}</span>}
+                <span className="ml-auto text-xs text-gray-500">
+                  {formatDateTime(job.createdAt)}
+                  {job.durationMs != null && ` · ${Math.round(job.durationMs / 1000)}s`}
+                </span>
+              </div>
+              {job.error && (
+                <p className="mt-1 text-xs text-red-600">
+                  {job.error.step && <span className="font-mono">[{job.error.step}] </span>}
+                  {job.error.message}
+                </p>
+              )}
+              {job.result?.rewrittenArticleId && (
+                <Link to={`/review/${job.result.rewrittenArticleId}`} className="mt-1 inline-block text-xs text-blue-600 hover:underline">
+                  Review rewrite #{job.result.rewrittenArticleId} →
+                </Link>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
+
+export default function AdminDashboard() {
+  const navigate = useNavigate();
+  const [page, setPage] = useState(1);
+  const [version, setVersion] = useState('');
+  const [search, setSearch] = useState('');
+  const [q, setQ] = useState('');
+  const [template, setTemplate] = useState('');
+  const [busy, setBusy] = useState(null); // `${action}:${id}` while an action runs
+  const [notice, setNotice] = useState(null); // { type: 'success' | 'error', text }
+
+  const { data, error, isLoading, refetch } = useApiQuery(
+    adminQueries.articles({ page, per_page: PER_PAGE, version: version || undefined, q: q || undefined })
+  );
+  const { data: prompts = [] } = useApiQuery(adminQueries.prompts(), { staleTime: 5 * 60 * 1000 });
+  // Stats need the admin token, so they double as the session check
+  const { data: stats, error: statsError } = useApiQuery(adminQueries.stats());
+
+  if (statsError instanceof UnauthorizedError) {
+    return <Navigate to="/admin/login" replace state={{ from: '/admin' }} />;
+  }
+
+  const articles = data?.data || [];
+  const meta = data?.meta || { current_page: 1, last_page: 1, total: 0 };
+
+  /**
+   * Run an article action; `fn` resolves to the success message
+   */
+  const run = async (action, article, fn) => {
+    try {
+      setBusy(`${action}:${article.id}`);
+      setNotice(null);
+      setNotice({ type: 'success', text: await fn() });
+    } catch (err) {
+      if (err instanceof UnauthorizedError) {
+        navigate('/admin/login', { replace: true, state: { from: '/admin' } });
+        return;
+      }
+      setNotice({ type: 'error', text: `Could not ${action} "${article.title}": ${err.message}` });
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const togglePublished = (article) => {
+    const action = article.is_published ? 'unpublish' : 'publish';
+    run(action, article, async () => {
+      await articleService.update(article.id, { is_published: !article.is_published });
+      return `${article.is_published ? 'Unpublished' : 'Published'} "${article.title}"`;
+    });
+  };
+
+  const remove = (article) => {
+    const warning = article.version === 'original'
+      ? `Delete "${article.title}" and all of its rewrites? This cannot be undone.`
+      : `Delete the rewrite "${article.title}"? This cannot be undone.`;
+    if (!window.confirm(warning)) return;
+    run('delete', article, async () => {
+      await adminService.remove(article.id);
+      return `Deleted "${article.title}"`;
+    });
+  };
+
+  const rewrite = (article) => {
+    if (article.is_rewritten && !window.confirm(`"${article.title}" already has a rewrite. Create another version?`)) return;
+    run('rewrite', article, async () => {
+      const response = await rewriterService.rewriteArticle(article.id, {
+        force: article.is_rewritten,
+        template: template || undefined,
+      });
+      invalidateQueries('rewriter:/jobs');
+      return `Queued rewrite of "${article.title}" (job ${response.data.jobId})`;
+    });
+  };
+
+  const logout = () => {
+    adminService.logout();
+    navigate('/admin/login', { replace: true });
+  };
+
+  const actionClass = 'px-2.5 py-1 rounded text-xs font-medium disabled:opacity-50';
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 py-10">
+      <div className="flex items-center justify-between mb-8">
+        <h1 className="text-3xl font-bold text-gray-900">Admin</h1>
+        <button onClick={logout} className="text-sm text-gray-600 hover:text-gray-900">
+          Sign out
+        </button>
+      </div>
+
+      <Stats stats={stats} error={statsError} />
+
+      {notice && (
+        <div
+          role="status"
+          className={`mb-6 rounded-lg px-4 py-3 text-sm ${
+            notice.type === 'error' ? 'bg-red-50 text-red-700' : 'bg-emerald-50 text-emerald-700'
+          }`}
+        >
+          {notice.text}
+        </div>
+      )}
+
+      <div className="grid lg:grid-cols-3 gap-8">
+        <section className="lg:col-span-2 bg-white rounded-lg shadow p-6">
+          <div className="flex flex-wrap items-center gap-3 mb-4">
+            <h2 className="text-xl font-semibold text-gray-900 mr-auto">Articles</h2>
+            <form
+              onSubmit={(e) => {
+                e.preventDefault();
+                setPage(1);
+                setQ(search.trim());
+              }}
+            >
+              <input
+                type="search"
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+                placeholder="Search…"
+                aria-label="Search articles"
+                className="rounded-lg border border-gray-300 px-3 py-1.5 text-sm"
+              />
+            </form>
+            <select
+              value={version}
+              onChange={(e) => {
+                setPage(1);
+                setVersion(e.target.value);
+              }}
+              aria-label="Version"
+              className="rounded-lg border border-gray-300 px-3 py-1.5 text-sm"
+            >
+              <option value="">All versions</option>
+              <option value="original">Originals</option>
+              <option value="rewritten">Rewrites</option>
+            </select>
+            {prompts.length > 0 && (
+              <select
+                value={template}
+                onChange={(e) => setTemplate(e.target.value)}
+                aria-label="Prompt template for rewrites"
+                className="rounded-lg border border-gray-300 px-3 py-1.5 text-sm"
+              >
+                <option value="">Default template</option>
+                {prompts.map((prompt) => (
+                  <option key={prompt.name} value={prompt.name}>
+                    {prompt.name} ({prompt.version})
+                  </option>
+                ))}
+              </select>
+            )}
+          </div>
+
+          {isLoading ? (
+            <p className="text-sm text-gray-500">Loading…</p>
+          ) : error && !data ? (
+            <ErrorMessage error={error} onRetry={refetch} />
+          ) : articles.length === 0 ? (
+            <p className="text-sm text-gray-500">No articles.</p>
+          ) : (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs uppercase text-gray-500 border-b">
+                  <th className="py-2 pr-3">Article</th>
+                  <th className="py-2 pr-3">Status</th>
+                  <th className="py-2 text-right">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y">
+                {articles.map((article) => (
+                  <tr key={article.id} className={article.is_published ? '' : 'opacity-60'}>
+                    <td className="py-3 pr-3">
+                      <Link to={`/articles/${article.id}`} className="font-medium text-gray-900 hover:text-blue-600">
+                        {article.title}
+                      </Link>
+                      <div className="text-xs text-gray-500">
+                        #{article.id} · {article.version}
+                        {article.version === 'original' && (article.is_rewritten ? ' · rewritten' : ' · not rewritten')}
+                        {article.parent_article_id && ` · of #${article.parent_article_id}`}
+                      </div>
+                    </td>
+                    <td className="py-3 pr-3 space-y-1">
+                      <ReviewStatusBadge status={article.review_status} />
+                      {!article.is_published && <div className="text-xs text-gray-500">Unpublished</div>}
+                    </td>
+                    <td className="py-3">
+                      <div className="flex flex-wrap justify-end gap-1">
+                        <Link to={`/admin/articles/${article.id}/edit`} className={`${actionClass} bg-gray-100 hover:bg-gray-200`}>
+                          Edit
+                        </Link>
+                        <button
+                          onClick={() => togglePublished(article)}
+                          disabled={busy !== null}
+                          className={`${actionClass} bg-gray-100 hover:bg-gray-200`}
+                        >
+                          {article.is_published ? 'Unpublish' : 'Publish'}
+                        </button>
+                        {article.version === 'original' && (
+                          <button
+                            onClick={() => rewrite(article)}
+                            disabled={busy !== null}
+                            className={`${actionClass} bg-purple-100 text-purple-700 hover:bg-purple-200`}
+                          >
+                            {busy === `rewrite:${article.id}` ? 'Queuing…' : 'Rewrite'}
+                          </button>
+                        )}
+                        <button
+                          onClick={() => remove(article)}
+                          disabled={busy !== null}
+                          className={`${actionClass} bg-red-50 text-red-700 hover:bg-red-100`}
+                        >
+                          Delete
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {meta.last_page > 1 && (
+            <div className="flex justify-center items-center gap-4 mt-6 text-sm">
+              <button
+                disabled={meta.current_page === 1}
+                onClick={() => setPage(meta.current_page - 1)}
+                className="px-3 py-1.5 rounded bg-gray-100 hover:bg-gray-200 disabled:opacity-50"
+              >
+                Previous
+              </button>
+              <span className="text-gray-600">
+                Page {meta.current_page} of {meta.last_page}
+              </span>
+              <button
+                disabled={meta.current_page === meta.last_page}
+                onClick={() => setPage(meta.current_page + 1)}
+                className="px-3 py-1.5 rounded bg-gray-100 hover:bg-gray-200 disabled:opacity-50"
+              >
+                Next
+              </button>
+            </div>
+          )}
+        </section>
+
+        <JobHistory />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,73 @@
+/**
+ * Admin Login Page
+ *
+ * Signs in with the ADMIN_USERNAME / ADMIN_PASSWORD configured on the
+ * Article Service and returns to the page that was requested.
+ */
+
+import { useState } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { adminService } from '../../services/api';
+
+export default function AdminLogin() {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    try {
+      setSubmitting(true);
+      setError(null);
+      await adminService.login(username, password);
+      navigate(location.state?.from || '/admin', { replace: true });
+    } catch (err) {
+      setError(err.message);
+      setSubmitting(false);
+    }
+  };
+
+  const inputClass =
+    'w-full rounded-lg border border-gray-300 px-3 py-2 text-sm focus:border-blue-500 focus:outline-none';
+
+  return (
+    <div className="max-w-sm mx-auto px-4 py-16">
+      <h1 className="text-2xl font-bold text-gray-900 mb-6">Admin sign in</h1>
+      <form onSubmit={submit} className="bg-white rounded-lg shadow p-6 space-y-4">
+        <label className="block text-sm font-medium text-gray-700">
+          Username
+          <input
+            type="text"
+            autoComplete="username"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            required
+            className={`${inputClass} mt-1`}
+          />
+        </label>
+        <label className="block text-sm font-medium text-gray-700">
+          Password
+          <input
+            type="password"
+            autoComplete="current-password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            required
+            className={`${inputClass} mt-1`}
+          />
+        </label>
+        {error && <p className="text-sm text-red-600">{error}</p>}
+        <button
+          type="submit"
+          disabled={submitting}
+          className="w-full px-4 py-2 rounded-lg bg-gray-900 text-white font-medium hover:bg-gray-700 disabled:opacity-50"
+        >
+          {submitting ? 'Signing in…' : 'Sign in'}
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,327 @@
+/**
+ * Article Editor
+ *
+ * Correct an article (usually an AI rewrite that is almost right) in the
+ * browser: Markdown editor with a live preview rendered exactly like
+ * ArticleDetail, reference URLs checked as you type, and a prompt before
+ * leaving the page with unsaved changes. Saves go through articleService.
+ */
+
+import { useEffect, useState } from 'react';
+import { Link, useBlocker, useParams } from 'react-router-dom';
+import { UnauthorizedError, ValidationError, adminQueries, articleService } from '../../services/api';
+import useApiQuery from '../../hooks/useApiQuery';
+import ErrorMessage from '../../components/ErrorMessage';
+import ArticleContent from '../../components/ArticleContent';
+import MarkdownEditor from '../../components/MarkdownEditor';
+import { referenceErrors } from '../../lib/references';
+
+const LAYOUTS = [
+  { id: 'split', label: 'Side by side' },
+  { id: 'write', label: 'Editor' },
+  { id: 'preview', label: 'Preview' },
+];
+
+function toForm(article) {
+  return {
+    id: article.id,
+    title: article.title,
+    content: article.content,
+    references: article.references || [],
+    is_published: article.is_published,
+  };
+}
+
+function isSameForm(a, b) {
+  return (
+    a.title === b.title &&
+    a.content === b.content &&
+    a.is_published === b.is_published &&
+    a.references.length === b.references.length &&
+    a.references.every((value, index) => value === b.references[index])
+  );
+}
+
+function countWords(text) {
+  return text.split(/\s+/).filter(Boolean).length;
+}
+
+function LeaveDialog({ blocker }) {
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 px-4">
+      <div role="alertdialog" aria-labelledby="leave-title" className="w-full max-w-md rounded-lg bg-white p-6 shadow-xl">
+        <h2 id="leave-title" className="text-lg font-semibold text-gray-900">Discard unsaved changes?</h2>
+        <p className="mt-2 text-sm text-gray-600">Your edits to this article have not been saved and will be lost.</p>
+        <div className="mt-5 flex justify-end gap-3">
+          <button
+            type="button"
+            onClick={() => blocker.reset()}
+            autoFocus
+            className="px-4 py-2 rounded-lg bg-gray-100 text-gray-700 hover:bg-gray-200"
+          >
+            Keep editing
+          </button>
+          <button
+            type="button"
+            onClick={() => blocker.proceed()}
+            className="px-4 py-2 rounded-lg bg-red-600 text-white font-medium hover:bg-red-700"
+          >
+            Discard and leave
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default function ArticleEditor() {
+  const { id } = useParams();
+  const { data: article, error, isLoading, refetch } = useApiQuery(adminQueries.article(id));
+  const [saved, setSaved] = useState(null);
+  const [form, setForm] = useState(null);
+  const [layout, setLayout] = useState('split');
+  const [saving, setSaving] = useState(false);
+  const [saveError, setSaveError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  // Load the form once the article arrives (and again if the route id changes).
+  // Later refetches don't touch the form, so edits in progress are never overwritten.
+  if (article && saved?.id !== article.id) {
+    setSaved(toForm(article));
+    setForm(toForm(article));
+  }
+
+  const dirty = Boolean(form && saved && !isSameForm(form, saved));
+
+  // In-app navigation: ask first (see LeaveDialog). Closing or reloading the tab: the browser's own prompt.
+  const blocker = useBlocker(
+    ({ currentLocation, nextLocation }) => dirty && !saving && currentLocation.pathname !== nextLocation.pathname
+  );
+
+  useEffect(() => {
+    if (!dirty) return undefined;
+    const warn = (e) => {
+      e.preventDefault();
+      e.returnValue = '';
+    };
+    window.addEventListener('beforeunload', warn);
+    return () => window.removeEventListener('beforeunload', warn);
+  }, [dirty]);
+
+  if (isLoading || (article && !form)) {
+    return <p className="max-w-6xl mx-auto px-4 py-10 text-gray-500">Loading…</p>;
+  }
+
+  if (!article) {
+    return (
+      <div className="max-w-6xl mx-auto px-4 py-10">
+        {error && <ErrorMessage error={error} onRetry={refetch} notFoundTitle="Article not found" />}
+        <Link to="/admin" className="text-blue-500 hover:underline">Back to Admin</Link>
+      </div>
+    );
+  }
+
+  const refErrors = referenceErrors(form.references);
+  const invalidReferences = refErrors.filter(Boolean).length;
+
+  const change = (field, value) => {
+    setForm((current) => ({ ...current, [field]: value }));
+    setNotice(null);
+  };
+
+  const changeReference = (index, value) =>
+    change('references', form.references.map((current, i) => (i === index ? value : current)));
+
+  const save = async (e) => {
+    e.preventDefault();
+    if (invalidReferences > 0) return;
+
+    try {
+      setSaving(true);
+      setSaveError(null);
+      const response = await articleService.update(article.id, {
+        title: form.title,
+        content: form.content,
+        references: form.references.map((value) => value.trim()),
+        is_published: form.is_published,
+      });
+      const next = toForm(response.data.data);
+      setSaved(next);
+      setForm(next);
+      setNotice('Changes saved.');
+    } catch (err) {
+      setSaveError(err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const discard = () => {
+    if (!window.confirm('Discard all unsaved changes to this article?')) return;
+    setForm(saved);
+    setSaveError(null);
+    setNotice('Changes discarded.');
+  };
+
+  const fieldErrors = saveError instanceof ValidationError ? saveError.fieldErrors : {};
+  const fieldError = (name) =>
+    Object.entries(fieldErrors)
+      .filter(([field]) => field === name || field.startsWith(`${name}.`))
+      .flatMap(([, messages]) => messages)
+      .join(' ');
+  const inputClass = 'w-full rounded-lg border border-gray-300 px-3 py-2 text-sm focus:border-blue-500 focus:outline-none';
+
+  return (
+    <div className="max-w-6xl mx-auto px-4 py-10">
+      {blocker.state === 'blocked' && <LeaveDialog blocker={blocker} />}
+
+      <Link to="/admin" className="text-sm text-blue-500 hover:underline">← Back to Admin</Link>
+      <div className="flex flex-wrap items-baseline justify-between gap-3 mt-4 mb-6">
+        <h1 className="text-2xl font-bold text-gray-900">
+          Edit {article.version === 'original' ? 'original' : 'rewrite'} #{article.id}
+          {dirty && <span className="ml-3 align-middle text-sm font-medium text-amber-600">Unsaved changes</span>}
+        </h1>
+        <Link to={`/articles/${article.id}`} className="text-sm text-blue-500 hover:underline">View article</Link>
+      </div>
+
+      <form onSubmit={save} className="bg-white rounded-lg shadow p-6 space-y-5">
+        <label className="block text-sm font-medium text-gray-700">
+          Title
+          <input
+            type="text"
+            value={form.title}
+            onChange={(e) => change('title', e.target.value)}
+            required
+            maxLength={255}
+            className={`${inputClass} mt-1`}
+          />
+          {fieldError('title') && <span className="text-xs text-red-600">{fieldError('title')}</span>}
+        </label>
+
+        <div>
+          <div className="flex flex-wrap items-center justify-between gap-2 mb-1">
+            <label htmlFor="article-content" className="text-sm font-medium text-gray-700">
+              Content (Markdown) <span className="font-normal text-gray-500">· {countWords(form.content)} words</span>
+            </label>
+            <div className="flex gap-1" role="group" aria-label="Editor layout">
+              {LAYOUTS.map(({ id: layoutId, label }) => (
+                <button
+                  key={layoutId}
+                  type="button"
+                  onClick={() => setLayout(layoutId)}
+                  aria-pressed={layout === layoutId}
+                  className={`px-3 py-1 rounded text-xs font-medium ${
+                    layout === layoutId ? 'bg-gray-900 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+          <div className={`grid gap-4 ${layout === 'split' ? 'lg:grid-cols-2' : ''}`}>
+            {layout !== 'preview' && (
+              <MarkdownEditor
+                id="article-content"
+                value={form.content}
+                onChange={(value) => change('content', value)}
+                invalid={Boolean(fieldError('content'))}
+              />
+            )}
+            {layout !== 'write' && (
+              <div className="rounded-lg border border-gray-200 p-4 max-h-[36rem] overflow-y-auto" aria-label="Preview">
+                {form.content.trim() ? (
+                  <ArticleContent content={form.content} idPrefix="preview-" showToc />
+                ) : (
+                  <p className="text-sm text-gray-400">Nothing to preview yet.</p>
+                )}
+              </div>
+            )}
+          </div>
+          {fieldError('content') && <span className="text-xs text-red-600">{fieldError('content')}</span>}
+        </div>
+
+        <fieldset>
+          <legend className="text-sm font-medium text-gray-700 mb-1">References</legend>
+          <ul className="space-y-2">
+            {form.references.map((value, index) => (
+              <li key={index}>
+                <div className="flex gap-2">
+                  <input
+                    type="text"
+                    inputMode="url"
+                    value={value}
+                    onChange={(e) => changeReference(index, e.target.value)}
+                    placeholder="https://example.com/source"
+                    aria-label={`Reference ${index + 1}`}
+                    aria-invalid={Boolean(refErrors[index])}
+                    className={`${inputClass} font-mono ${refErrors[index] ? 'border-red-400' : ''}`}
+                  />
+                  <button
+                    type="button"
+                    onClick={() => change('references', form.references.filter((_, i) => i !== index))}
+                    aria-label={`Remove reference ${index + 1}`}
+                    className="px-3 rounded-lg bg-gray-100 text-gray-600 hover:bg-gray-200"
+                  >
+                    ✕
+                  </button>
+                </div>
+                {(refErrors[index] || fieldError(`references.${index}`)) && (
+                  <span className="text-xs text-red-600">{refErrors[index] || fieldError(`references.${index}`)}</span>
+                )}
+              </li>
+            ))}
+          </ul>
+          <button
+            type="button"
+            onClick={() => change('references', [...form.references, ''])}
+            className="mt-2 text-sm text-blue-600 hover:underline"
+          >
+            + Add reference
+          </button>
+        </fieldset>
+
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input type="checkbox" checked={form.is_published} onChange={(e) => change('is_published', e.target.checked)} />
+          Published (visible on the public site once approved)
+        </label>
+
+        {saveError instanceof UnauthorizedError ? (
+          <p className="text-sm text-red-600">
+            Your admin session has expired.{' '}
+            <a href="/admin/login" target="_blank" rel="noopener noreferrer" className="underline">
+              Sign in again in a new tab
+            </a>
+            , then save. Your edits are kept here.
+          </p>
+        ) : (
+          saveError && !(saveError instanceof ValidationError) && <p className="text-sm text-red-600">{saveError.message}</p>
+        )}
+        {notice && !dirty && <p className="text-sm text-green-700">{notice}</p>}
+
+        <div className="flex flex-wrap items-center gap-3">
+          <button
+            type="submit"
+            disabled={saving || !dirty || invalidReferences > 0}
+            className="px-4 py-2 rounded-lg bg-gray-900 text-white font-medium hover:bg-gray-700 disabled:opacity-50"
+          >
+            {saving ? 'Saving…' : 'Save'}
+          </button>
+          <button
+            type="button"
+            onClick={discard}
+            disabled={saving || !dirty}
+            className="px-4 py-2 rounded-lg bg-gray-100 text-gray-700 hover:bg-gray-200 disabled:opacity-50"
+          >
+            Discard changes
+          </button>
+          {invalidReferences > 0 && (
+            <span className="text-sm text-red-600">
+              Fix {invalidReferences} invalid reference{invalidReferences === 1 ? '' : 's'} to save.
+            </span>
+          )}
+        </div>
+      </form>
+    </div>
+  );
+}
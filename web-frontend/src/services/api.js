@@ -1,37 +1,245 @@
 /**
  * API Service
- * 
+ *
  * Handles all API calls to the Article Service
+ *
+ * Besides the plain axios calls (articleService, reviewService) this module
+ * is the client-side data layer:
+ *   - Typed errors: every failed request rejects with an ApiError subclass
+ *     (NetworkError, TimeoutError, NotFoundError, ValidationError,
+ *     ServerError, ...) so pages can say what went wrong.
+ *   - Queries: `articleQueries.detail(id)` etc. describe a cacheable GET as
+ *     { key, fetch }. `fetchQuery()` runs one through a shared cache that
+ *     de-duplicates concurrent requests and retries transient failures with
+ *     exponential backoff. Use it from components via hooks/useApiQuery.js,
+ *     which serves cached data immediately and revalidates it when stale.
+ *   - Cancellation: a query aborts its HTTP request once every caller that
+ *     asked for it has aborted (e.g. the page navigated away).
+ *   - `prefetchQuery()` warms the cache (used on list-card hover).
+ *
+ * adminService and rewriterService back the /admin dashboard. Admin calls
+ * send the bearer token from POST /api/admin/login; rewriterService reaches
+ * the AI Rewriter through the Article Service's admin proxy
+ * (/api/admin/rewrite*), which holds the rewriter's API key.
  */
 
 import axios from 'axios';
 
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:8000';
+const ADMIN_TOKEN_KEY = 'adminToken';
+
+const REQUEST_TIMEOUT_MS = 15000;
+const RETRIES = 2;
+const RETRY_BASE_DELAY_MS = 400;
+
+// Cached data older than this is shown but refetched in the background
+export const DEFAULT_STALE_TIME_MS = 30000;
 
 const api = axios.create({
   baseURL: API_BASE_URL,
+  timeout: REQUEST_TIMEOUT_MS,
   headers: {
     'Content-Type': 'application/json',
   },
 });
 
+/* ------------------------------------------------------------------ */
+/* Errors                                                              */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Base class for failed API requests
+ *
+ * `status` is the HTTP status (0 when no response arrived), `details` the
+ * response body, and `retryable` whether trying again may help.
+ */
+export class ApiError extends Error {
+  constructor(message, { status = 0, details = null, cause } = {}) {
+    super(message, { cause });
+    this.name = 'ApiError';
+    this.status = status;
+    this.details = details;
+  }
+
+  get retryable() {
+    return false;
+  }
+}
+
+/** The request could not reach the server (offline, DNS, CORS, ...) */
+export class NetworkError extends ApiError {
+  constructor(options) {
+    super(`Could not reach the ${options?.service || 'article service'}. Check your connection and try again.`, options);
+    this.name = 'NetworkError';
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+/** The server did not answer within REQUEST_TIMEOUT_MS */
+export class TimeoutError extends ApiError {
+  constructor(options) {
+    super(`The ${options?.service || 'article service'} took too long to respond.`, options);
+    this.name = 'TimeoutError';
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+/** 401 - missing or expired admin token */
+export class UnauthorizedError extends ApiError {
+  constructor(message, options) {
+    super(message || 'Please sign in again.', options);
+    this.name = 'UnauthorizedError';
+  }
+}
+
+/** 404 */
+export class NotFoundError extends ApiError {
+  constructor(message, options) {
+    super(message || 'Not found.', options);
+    this.name = 'NotFoundError';
+  }
+}
+
+/** 422 - `fieldErrors` maps field names to messages */
+export class ValidationError extends ApiError {
+  constructor(message, options) {
+    super(message || 'Validation failed.', options);
+    this.name = 'ValidationError';
+    this.fieldErrors = options?.details?.errors || {};
+  }
+}
+
+/** 429 */
+export class RateLimitError extends ApiError {
+  constructor(message, options) {
+    super(message || 'Too many requests. Please wait a moment.', options);
+    this.name = 'RateLimitError';
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+/** 5xx */
+export class ServerError extends ApiError {
+  constructor(message, options) {
+    super(message || `The article service had a problem (HTTP ${options?.status}).`, options);
+    this.name = 'ServerError';
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+/** The request was aborted by the caller; not an error worth showing */
+export class CanceledError extends ApiError {
+  constructor(options) {
+    super('Request canceled.', options);
+    this.name = 'CanceledError';
+  }
+}
+
+/**
+ * Convert an axios error into an ApiError subclass
+ * @param {Error} error - Error thrown by axios
+ * @param {string} service - Name used in network error messages
+ * @returns {ApiError}
+ */
+export function toApiError(error, service = 'article service') {
+  if (error instanceof ApiError) return error;
+  if (axios.isCancel(error)) return new CanceledError({ cause: error });
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') return new TimeoutError({ service, cause: error });
+  if (!error.response) return new NetworkError({ service, cause: error });
+
+  const { status, data } = error.response;
+  const options = { status, details: data, cause: error };
+  // Laravel sends { message }, the rewriter { error }
+  const message = [data?.message, data?.error].find((value) => typeof value === 'string') || null;
+
+  if (status === 401) return new UnauthorizedError(message, options);
+  if (status === 404) return new NotFoundError(message, options);
+  if (status === 422) return new ValidationError(message, options);
+  if (status === 429) return new RateLimitError(message, options);
+  if (status >= 500) return new ServerError(message, options);
+  return new ApiError(message || `Request failed (HTTP ${status}).`, options);
+}
+
+/**
+ * The stored admin token, or null when signed out or expired
+ * @returns {string|null}
+ */
+export function getAdminToken() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(ADMIN_TOKEN_KEY));
+    if (stored?.token && stored.expiresAt * 1000 > Date.now()) return stored.token;
+  } catch {
+    // Corrupt value; treat as signed out
+  }
+  localStorage.removeItem(ADMIN_TOKEN_KEY);
+  return null;
+}
+
+function clearAdminToken() {
+  localStorage.removeItem(ADMIN_TOKEN_KEY);
+}
+
+api.interceptors.request.use((config) => {
+  const token = getAdminToken();
+  if (token) config.headers.Authorization = `Bearer ${token}`;
+  return config;
+});
+
+api.interceptors.response.use(
+  (response) => response,
+  (error) => {
+    const apiError = toApiError(error);
+    // A rejected token is no use any more; the admin pages send the user back to login
+    if (apiError instanceof UnauthorizedError) clearAdminToken();
+    return Promise.reject(apiError);
+  }
+);
+
+/* ------------------------------------------------------------------ */
+/* Services                                                            */
+/* ------------------------------------------------------------------ */
+
 export const articleService = {
   /**
    * Get all articles
-   * @param {Object} params - Query parameters (page, per_page, version)
+   * @param {Object} params - Query parameters (page, per_page, version, is_rewritten,
+   *   q, from, to, domain, sort: newest|oldest|title|title_desc|updated)
+   * @param {Object} config - Extra axios config (e.g. { signal })
    * @returns {Promise}
    */
-  getAll: (params = {}) => {
-    return api.get('/api/articles', { params });
+  getAll: (params = {}, config = {}) => {
+    return api.get('/api/articles', { ...config, params });
+  },
+
+  /**
+   * Get source domains with article counts
+   * @param {Object} config - Extra axios config (e.g. { signal })
+   * @returns {Promise}
+   */
+  getDomains: (config = {}) => {
+    return api.get('/api/articles/domains', config);
   },
 
   /**
    * Get article by ID
    * @param {number} id - Article ID
+   * @param {Object} config - Extra axios config (e.g. { signal })
    * @returns {Promise}
    */
-  getById: (id) => {
-    return api.get(`/api/articles/${id}`);
+  getById: (id, config = {}) => {
+    return api.get(`/api/articles/${id}`, config);
   },
 
   /**
@@ -41,7 +249,356 @@ export const articleService = {
   getLatest: () => {
     return api.get('/api/articles/latest');
   },
+
+  /**
+   * Update an article (title, content, references, is_published, ...)
+   * Needs the admin token. Clears cached articles so every view picks up the edit.
+   * @param {number} id - Article ID
+   * @param {Object} data - Fields to change
+   * @returns {Promise}
+   */
+  update: async (id, data) => {
+    const response = await api.put(`/api/articles/${id}`, data);
+    invalidateQueries('/api/articles');
+    return response;
+  },
 };
 
-export default api;
+export const reviewService = {
+  /**
+   * Get rewritten articles by review status
+   * @param {Object} params - Query parameters (status: draft|approved|rejected|regeneration_requested|all, page, per_page)
+   * @returns {Promise}
+   */
+  getAll: (params = {}) => {
+    return api.get('/api/reviews', { params });
+  },
+
+  /**
+   * Get a rewritten article with its original, for review
+   * @param {number} id - Rewritten article ID
+   * @returns {Promise}
+   */
+  getById: (id) => {
+    return api.get(`/api/reviews/${id}`);
+  },
+
+  /**
+   * Approve, reject or request regeneration of a rewritten article
+   * Clears cached articles, since the decision changes what is public.
+   * @param {number} id - Rewritten article ID
+   * @param {string} action - approve | reject | request_regeneration
+   * @param {string} notes - Optional reviewer notes
+   * @returns {Promise}
+   */
+  submit: async (id, action, notes) => {
+    const response = await api.post(`/api/articles/${id}/review`, { action, notes });
+    invalidateQueries('/api/articles');
+    return response;
+  },
+};
+
+export const adminService = {
+  /**
+   * Sign in and store the admin token
+   * @param {string} username
+   * @param {string} password
+   * @returns {Promise}
+   */
+  login: async (username, password) => {
+    const response = await api.post('/api/admin/login', { username, password });
+    const { token, expires_at: expiresAt } = response.data.data;
+    localStorage.setItem(ADMIN_TOKEN_KEY, JSON.stringify({ token, expiresAt }));
+    return response;
+  },
+
+  /**
+   * Forget the admin token
+   */
+  logout: () => {
+    clearAdminToken();
+    invalidateQueries('/api/');
+  },
+
+  /**
+   * Delete an article (an original takes its rewrites with it)
+   * @param {number} id - Article ID
+   * @returns {Promise}
+   */
+  remove: async (id) => {
+    const response = await api.delete(`/api/articles/${id}`);
+    invalidateQueries('/api/articles');
+    return response;
+  },
+};
+
+export const rewriterService = {
+  /**
+   * Queue a rewrite of one article
+   * @param {number} articleId - Original article ID
+   * @param {Object} options - { force, template, tone }
+   * @returns {Promise} 202 with { jobId }
+   */
+  rewriteArticle: (articleId, { force = false, template, tone } = {}) => {
+    return api.post(`/api/admin/rewrite/${articleId}`, { force, template, tone });
+  },
+
+  /**
+   * List rewrite jobs, newest first
+   * @param {Object} params - { state, type, limit }
+   * @param {Object} config - Extra axios config (e.g. { signal })
+   * @returns {Promise}
+   */
+  getJobs: (params = {}, config = {}) => {
+    return api.get('/api/admin/rewriter/jobs', { ...config, params });
+  },
+
+  /**
+   * List prompt templates
+   * @param {Object} config - Extra axios config (e.g. { signal })
+   * @returns {Promise}
+   */
+  getPrompts: (config = {}) => {
+    return api.get('/api/admin/rewriter/prompts', config);
+  },
+};
+
+/* ------------------------------------------------------------------ */
+/* Queries & cache                                                     */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Build a stable cache key from a path and query params
+ * (undefined/empty params are left out, the rest sorted)
+ */
+function queryKey(path, params = {}) {
+  const search = new URLSearchParams(
+    Object.entries(params)
+      .filter(([, value]) => value !== undefined && value !== null && value !== '')
+      .sort(([a], [b]) => a.localeCompare(b))
+  ).toString();
+  return search ? `${path}?${search}` : path;
+}
+
+export const articleQueries = {
+  /**
+   * @param {Object} params - Same as articleService.getAll
+   * @returns {Object} Query resolving to { data, meta }
+   */
+  list: (params = {}) => ({
+    key: queryKey('/api/articles', params),
+    fetch: ({ signal }) => articleService.getAll(params, { signal }).then((response) => response.data),
+  }),
+
+  /**
+   * @param {number|string} id - Article ID
+   * @returns {Object} Query resolving to the article
+   */
+  detail: (id) => ({
+    key: `/api/articles/${id}`,
+    fetch: ({ signal }) => articleService.getById(id, { signal }).then((response) => response.data.data),
+  }),
+
+  /**
+   * @returns {Object} Query resolving to [{ domain, count }]
+   */
+  domains: () => ({
+    key: '/api/articles/domains',
+    fetch: ({ signal }) => articleService.getDomains({ signal }).then((response) => response.data.data),
+  }),
+};
+
+export const adminQueries = {
+  /**
+   * @returns {Object} Query resolving to article counts
+   */
+  stats: () => ({
+    key: '/api/articles/stats',
+    fetch: ({ signal }) => api.get('/api/articles/stats', { signal }).then((response) => response.data.data),
+  }),
+
+  /**
+   * One article, whatever its review or publish status
+   * @param {number|string} id - Article ID
+   * @returns {Object} Query resolving to the article
+   */
+  article: (id) => ({
+    key: `/api/articles/${id}?review_status=all`,
+    fetch: ({ signal }) =>
+      articleService.getById(id, { signal, params: { review_status: 'all' } }).then((response) => response.data.data),
+  }),
 
+  /**
+   * Every article, whatever its review or publish status
+   * @param {Object} params - Same as articleService.getAll
+   * @returns {Object} Query resolving to { data, meta }
+   */
+  articles: (params = {}) => articleQueries.list({ ...params, review_status: 'all' }),
+
+  /**
+   * @param {Object} params - { state, type, limit }
+   * @returns {Object} Query resolving to the job list
+   */
+  jobs: (params = {}) => ({
+    key: queryKey('rewriter:/jobs', params),
+    fetch: ({ signal }) => rewriterService.getJobs(params, { signal }).then((response) => response.data.jobs),
+  }),
+
+  /**
+   * @returns {Object} Query resolving to [{ name, version, description, tone }]
+   */
+  prompts: () => ({
+    key: 'rewriter:/prompts',
+    fetch: ({ signal }) => rewriterService.getPrompts({ signal }).then((response) => response.data.templates),
+  }),
+};
+
+// key -> { data, error, updatedAt, fetching }; entries are replaced, never mutated
+const cache = new Map();
+// key -> { promise, controller, waiters }
+const inflight = new Map();
+const listeners = new Set();
+
+function setEntry(key, changes) {
+  cache.set(key, { data: undefined, error: null, updatedAt: 0, fetching: false, ...cache.get(key), ...changes });
+  listeners.forEach((listener) => listener());
+}
+
+/**
+ * Subscribe to cache changes (for useSyncExternalStore)
+ * @param {Function} listener - Called after any entry changes
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeToCache(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Read a cache entry
+ * @param {string} key - Query key
+ * @returns {Object|undefined} { data, error, updatedAt, fetching }
+ */
+export function getCacheEntry(key) {
+  return cache.get(key);
+}
+
+/**
+ * Whether a cache entry needs refetching
+ * @param {Object} entry - Cache entry (or undefined)
+ * @param {number} staleTime - Max age in ms
+ * @returns {boolean}
+ */
+export function isStale(entry, staleTime = DEFAULT_STALE_TIME_MS) {
+  return !entry || entry.updatedAt === 0 || Date.now() - entry.updatedAt > staleTime;
+}
+
+/**
+ * Drop cached queries whose key starts with a prefix (all when omitted)
+ * @param {string} prefix - Key prefix, e.g. '/api/articles'
+ */
+export function invalidateQueries(prefix = '') {
+  for (const key of [...cache.keys()]) {
+    if (key.startsWith(prefix)) cache.delete(key);
+  }
+  listeners.forEach((listener) => listener());
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(new CanceledError());
+    }, { once: true });
+  });
+}
+
+/**
+ * Run `fn`, retrying retryable ApiErrors with exponential backoff and jitter
+ */
+async function withRetry(fn, signal) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      const apiError = toApiError(error);
+      if (!apiError.retryable || attempt >= RETRIES || signal?.aborted) throw apiError;
+      const delay = RETRY_BASE_DELAY_MS * 2 ** attempt;
+      await sleep(delay + Math.random() * delay * 0.5, signal);
+    }
+  }
+}
+
+/**
+ * Fetch a query through the cache
+ *
+ * Concurrent calls for the same key share one request. Aborting `signal`
+ * rejects this call with a CanceledError; the HTTP request itself is
+ * aborted once no caller is waiting for it any more.
+ *
+ * @param {Object} query - { key, fetch } from articleQueries
+ * @param {Object} options - { signal }
+ * @returns {Promise<*>} The query's data
+ */
+export function fetchQuery(query, { signal } = {}) {
+  if (signal?.aborted) return Promise.reject(new CanceledError());
+
+  let request = inflight.get(query.key);
+  if (!request) {
+    const controller = new AbortController();
+    request = { controller, waiters: 0 };
+    // An aborted request may already have been replaced by a newer one for the same key
+    const isCurrent = () => !inflight.has(query.key) || inflight.get(query.key) === request;
+    request.promise = withRetry(() => query.fetch({ signal: controller.signal }), controller.signal)
+      .then((data) => {
+        setEntry(query.key, { data, error: null, updatedAt: Date.now(), fetching: false });
+        return data;
+      })
+      .catch((error) => {
+        if (isCurrent()) {
+          setEntry(query.key, error instanceof CanceledError ? { fetching: false } : { error, fetching: false });
+        }
+        throw error;
+      })
+      .finally(() => {
+        if (inflight.get(query.key) === request) inflight.delete(query.key);
+      });
+    // Rejections are delivered to the waiters below
+    request.promise.catch(() => {});
+    inflight.set(query.key, request);
+    setEntry(query.key, { fetching: true });
+  }
+
+  const shared = request;
+  shared.waiters += 1;
+  if (!signal) return shared.promise;
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      shared.waiters -= 1;
+      if (shared.waiters === 0) {
+        shared.controller.abort();
+        if (inflight.get(query.key) === shared) {
+          inflight.delete(query.key);
+          setEntry(query.key, { fetching: false });
+        }
+      }
+      reject(new CanceledError());
+    };
+    signal.addEventListener('abort', onAbort, { once: true });
+    shared.promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+/**
+ * Warm the cache for a query unless it is already fresh or loading
+ * @param {Object} query - { key, fetch } from articleQueries
+ * @param {number} staleTime - Max age in ms of data that counts as fresh
+ */
+export function prefetchQuery(query, staleTime = DEFAULT_STALE_TIME_MS) {
+  if (inflight.has(query.key) || !isStale(cache.get(query.key), staleTime)) return;
+  fetchQuery(query).catch(() => {});
+}
+
+export default api;
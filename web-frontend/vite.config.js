@@ -4,4 +4,8 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  test: {
+    // DOMPurify (src/lib/sanitize.js) needs a DOM
+    environment: 'jsdom',
+  },
 })